@@ -15,6 +15,12 @@ const config = {
   APP_NAME: process.env.APP_NAME || 'Employee Support Portal',
   APP_VERSION: process.env.APP_VERSION || '1.0.0',
   REFRESH_INTERVAL: process.env.REFRESH_INTERVAL || '30000',
+  IDLE_TIMEOUT_MINUTES: process.env.IDLE_TIMEOUT_MINUTES || '10',
+  AUTO_ASSIGN_ENABLED: process.env.AUTO_ASSIGN_ENABLED || 'false',
+  AUTO_ASSIGN_STRATEGY: process.env.AUTO_ASSIGN_STRATEGY || 'least_loaded',
+  AUTO_ASSIGN_INTERVAL_SECONDS: process.env.AUTO_ASSIGN_INTERVAL_SECONDS || '60',
+  SUPPORT_EMAIL: process.env.SUPPORT_EMAIL || '',
+  N8N_REPLY_WEBHOOK_URL: process.env.N8N_REPLY_WEBHOOK_URL || '',
   DEBUG_MODE: process.env.DEBUG_MODE || 'false'
 };
 
@@ -44,6 +50,12 @@ window.CONFIG = {
   APP_NAME: '${config.APP_NAME}',
   APP_VERSION: '${config.APP_VERSION}',
   REFRESH_INTERVAL: ${config.REFRESH_INTERVAL},
+  IDLE_TIMEOUT_MINUTES: ${config.IDLE_TIMEOUT_MINUTES},
+  AUTO_ASSIGN_ENABLED: '${config.AUTO_ASSIGN_ENABLED}',
+  AUTO_ASSIGN_STRATEGY: '${config.AUTO_ASSIGN_STRATEGY}',
+  AUTO_ASSIGN_INTERVAL_SECONDS: ${config.AUTO_ASSIGN_INTERVAL_SECONDS},
+  SUPPORT_EMAIL: '${config.SUPPORT_EMAIL}',
+  N8N_REPLY_WEBHOOK_URL: '${config.N8N_REPLY_WEBHOOK_URL}',
   DEBUG_MODE: ${config.DEBUG_MODE},
   
   // API Configuration (auto-generated from SUPABASE_URL)
@@ -94,6 +106,10 @@ console.log(`   Version: ${config.APP_VERSION}`);
 console.log(`   Supabase URL: ${config.SUPABASE_URL}`);
 console.log(`   Supabase Key: ${config.SUPABASE_ANON_KEY.substring(0, 20)}...`);
 console.log(`   Refresh Interval: ${config.REFRESH_INTERVAL}ms`);
+console.log(`   Idle Timeout: ${config.IDLE_TIMEOUT_MINUTES} minutes`);
+console.log(`   Auto-Assignment: ${config.AUTO_ASSIGN_ENABLED === 'true' ? `${config.AUTO_ASSIGN_STRATEGY}, every ${config.AUTO_ASSIGN_INTERVAL_SECONDS}s` : 'disabled'}`);
+console.log(`   Support Mailbox: ${config.SUPPORT_EMAIL || 'not set'}`);
+console.log(`   Reply Webhook: ${config.N8N_REPLY_WEBHOOK_URL ? 'configured' : 'not set (replies disabled)'}`);
 console.log(`   Debug Mode: ${config.DEBUG_MODE}`);
 console.log(`   Node Environment: ${process.env.NODE_ENV || 'development'}`);
 
@@ -0,0 +1,205 @@
+/**
+ * Case Activity
+ * Chronological history of status, priority, assignment and escalation changes,
+ * recorded by the database for every change whoever (or whatever) made it.
+ */
+
+const CASE_EVENT_ICONS = {
+    'created': { icon: 'fa-plus-circle', color: 'text-gray-400' },
+    'status_changed': { icon: 'fa-exchange-alt', color: 'text-blue-500' },
+    'escalated': { icon: 'fa-exclamation-triangle', color: 'text-red-500' },
+    'de_escalated': { icon: 'fa-level-down-alt', color: 'text-green-600' },
+    'priority_changed': { icon: 'fa-flag', color: 'text-orange-500' },
+    'assigned': { icon: 'fa-user-tag', color: 'text-green-600' },
+    'merged_into': { icon: 'fa-compress-alt', color: 'text-indigo-500' },
+    'merged_from': { icon: 'fa-object-group', color: 'text-indigo-500' },
+    'split': { icon: 'fa-code-branch', color: 'text-indigo-500' },
+    'split_from': { icon: 'fa-cut', color: 'text-indigo-500' }
+};
+
+// Filter values for changes not made by a person
+const ACTIVITY_SOURCE_LABELS = {
+    'auto_assign': 'Auto-assignment',
+    'system': 'System'
+};
+
+const activityState = {
+    caseId: null,
+    events: [],
+    actorFilter: ''
+};
+
+/**
+ * Name of whoever made a change
+ */
+function getCaseEventActor(event, agentNames) {
+    if (event.source !== 'agent') {
+        return ACTIVITY_SOURCE_LABELS[event.source] || 'System';
+    }
+    return agentNames[event.actor_id] || 'Unknown agent';
+}
+
+/**
+ * Sentence describing a change, e.g. "changed priority from Normal to Urgent"
+ */
+function describeCaseEvent(event, agentNames) {
+    const agentName = id => escapeHtml(agentNames[id] || 'a former agent');
+
+    switch (event.event_type) {
+        case 'created':
+            return 'created the case';
+        case 'status_changed':
+            return `changed status from <strong>${formatStatus(event.old_value)}</strong> to <strong>${formatStatus(event.new_value)}</strong>`;
+        case 'escalated':
+            return `escalated the case${event.old_value ? ` (was ${formatStatus(event.old_value)})` : ''}`;
+        case 'de_escalated':
+            return `de-escalated the case (now <strong>${formatStatus(event.new_value)}</strong>)`;
+        case 'priority_changed':
+            return `changed priority from <strong>${capitalize(event.old_value || 'none')}</strong> to <strong>${capitalize(event.new_value)}</strong>`;
+        case 'assigned':
+            if (!event.new_value) return `unassigned <strong>${agentName(event.old_value)}</strong>`;
+            if (!event.old_value) return `assigned the case to <strong>${agentName(event.new_value)}</strong>`;
+            return `reassigned the case from <strong>${agentName(event.old_value)}</strong> to <strong>${agentName(event.new_value)}</strong>`;
+        case 'merged_into':
+            return `merged the case into <strong>${escapeHtml(event.new_value)}</strong>`;
+        case 'merged_from':
+            return `merged <strong>${escapeHtml(event.new_value)}</strong> into this case`;
+        case 'split':
+            return `moved later emails to new case <strong>${escapeHtml(event.new_value)}</strong>`;
+        case 'split_from':
+            return `split this case from <strong>${escapeHtml(event.new_value)}</strong>`;
+        default:
+            return escapeHtml(event.event_type.replace(/_/g, ' '));
+    }
+}
+
+/**
+ * Render the activity panel placeholder for the case modal
+ */
+function renderCaseActivityPanel(caseData) {
+    return `
+        <div>
+            <div class="flex items-center justify-between mb-3">
+                <h4 class="font-medium text-gray-900">Activity</h4>
+                ${can('case.manage_any') ? `
+                    <select id="caseActivityActorFilter" onchange="filterCaseActivity(this.value)"
+                            class="px-2 py-1 border border-gray-300 rounded text-xs focus:ring-2 focus:ring-blue-500 focus:border-transparent">
+                        <option value="">Everyone</option>
+                    </select>
+                ` : ''}
+            </div>
+            <div id="caseActivityList" class="max-h-64 overflow-y-auto border rounded-lg p-4 text-sm text-gray-500">
+                <i class="fas fa-spinner fa-spin mr-1"></i>Loading activity...
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Load a case's history into the activity panel
+ */
+async function loadCaseActivity(caseData) {
+    if (!document.getElementById('caseActivityList')) return;
+
+    if (activityState.caseId !== caseData.id) {
+        activityState.actorFilter = '';
+    }
+    activityState.caseId = caseData.id;
+
+    try {
+        const [{ data: events, error }, agents] = await Promise.all([
+            app.supabase
+                .from('case_events')
+                .select('*')
+                .eq('case_id', caseData.id)
+                .order('created_at', { ascending: true }),
+            loadMentionableAgents()
+        ]);
+
+        if (error) throw error;
+
+        // Ignore results for a case the user has already moved away from
+        if (activityState.caseId !== caseData.id) return;
+        activityState.events = events || [];
+
+        fillCaseActivityActorFilter(agents);
+        renderCaseActivity();
+
+    } catch (error) {
+        console.error('Error loading case activity:', error);
+        const list = document.getElementById('caseActivityList');
+        if (list) list.innerHTML = '<p class="text-red-500">Could not load activity</p>';
+    }
+}
+
+/**
+ * Offer the people (and automations) that appear in this case's history
+ */
+function fillCaseActivityActorFilter(agents) {
+    const select = document.getElementById('caseActivityActorFilter');
+    if (!select) return;
+
+    const agentNames = Object.fromEntries(agents.map(agent => [agent.id, agent.name]));
+    const options = new Map();
+
+    activityState.events.forEach(event => {
+        const value = event.source === 'agent' ? event.actor_id : `source:${event.source}`;
+        if (value && !options.has(value)) {
+            options.set(value, getCaseEventActor(event, agentNames));
+        }
+    });
+
+    fillFilterSelect('caseActivityActorFilter', 'Everyone',
+        [...options].map(([value, label]) => ({ value, label })));
+    select.value = options.has(activityState.actorFilter) ? activityState.actorFilter : '';
+}
+
+/**
+ * Show only changes made by one agent (or automation)
+ */
+function filterCaseActivity(value) {
+    activityState.actorFilter = value;
+    renderCaseActivity();
+}
+
+/**
+ * Render the activity list
+ */
+function renderCaseActivity() {
+    const list = document.getElementById('caseActivityList');
+    if (!list) return;
+
+    const agentNames = Object.fromEntries((notesState.agents || []).map(agent => [agent.id, agent.name]));
+    const filter = activityState.actorFilter;
+
+    const events = activityState.events.filter(event => {
+        if (!filter) return true;
+        return filter.startsWith('source:')
+            ? event.source === filter.slice('source:'.length)
+            : event.source === 'agent' && event.actor_id === filter;
+    });
+
+    if (events.length === 0) {
+        list.innerHTML = `<p>${filter ? 'No activity by this agent' : 'No activity recorded yet'}</p>`;
+        return;
+    }
+
+    list.innerHTML = `
+        <ol class="space-y-3">
+            ${events.map(event => {
+                const style = CASE_EVENT_ICONS[event.event_type] || { icon: 'fa-circle', color: 'text-gray-400' };
+                return `
+                    <li class="flex items-start">
+                        <i class="fas ${style.icon} ${style.color} w-5 mt-0.5"></i>
+                        <div class="flex-1 min-w-0 text-gray-700">
+                            <span class="font-medium text-gray-900">${escapeHtml(getCaseEventActor(event, agentNames))}</span>
+                            ${describeCaseEvent(event, agentNames)}
+                            ${event.detail ? `<p class="text-xs text-gray-500 italic mt-0.5 whitespace-pre-wrap">${escapeHtml(event.detail)}</p>` : ''}
+                        </div>
+                        <span class="ml-3 text-xs text-gray-400 whitespace-nowrap" title="${formatDate(event.created_at, 'long')}">${formatDate(event.created_at)}</span>
+                    </li>
+                `;
+            }).join('')}
+        </ol>
+    `;
+}
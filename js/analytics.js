@@ -36,6 +36,9 @@ async function loadAnalyticsSection() {
         await new Promise(resolve => setTimeout(resolve, 100));
         
         await createAgentPerformanceChart();
+        await new Promise(resolve => setTimeout(resolve, 100));
+        
+        await createTopTagsChart();
         
         console.log('✅ Analytics section loaded successfully');
         
@@ -69,7 +72,7 @@ async function createTATTrendsChart() {
 
         const { data: cases, error } = await app.supabase
             .from('cases')
-            .select('created_at, resolved_at, response_time_minutes, resolution_time_minutes, priority')
+            .select('created_at, first_response_at, resolved_at, response_time_minutes, resolution_time_minutes, priority')
             .gte('created_at', startDate.toISOString())
             .order('created_at', { ascending: true });
 
@@ -97,11 +100,14 @@ async function createTATTrendsChart() {
             if (dailyData[dateStr]) {
                 dailyData[dateStr].count++;
                 
-                if (case_item.response_time_minutes) {
-                    dailyData[dateStr].response_times.push(case_item.response_time_minutes);
+                const responseMinutes = getCaseResponseMinutes(case_item);
+                const resolutionMinutes = getCaseResolutionMinutes(case_item);
+                
+                if (responseMinutes) {
+                    dailyData[dateStr].response_times.push(responseMinutes);
                 }
-                if (case_item.resolution_time_minutes) {
-                    dailyData[dateStr].resolution_times.push(case_item.resolution_time_minutes);
+                if (resolutionMinutes) {
+                    dailyData[dateStr].resolution_times.push(resolutionMinutes);
                 }
             }
         });
@@ -376,7 +382,7 @@ async function createPriorityDistributionChart() {
         
         const { data: cases, error } = await app.supabase
             .from('cases')
-            .select('priority, status')
+            .select('priority, status, category, provider_id, created_at, first_response_at, first_response_due_at, resolution_due_at')
             .neq('status', 'closed');
 
         if (error) throw error;
@@ -389,11 +395,24 @@ async function createPriorityDistributionChart() {
             'low': 0
         };
 
+        // Open cases past their SLA policy, per priority
+        const overdueCounts = {
+            'vip': 0,
+            'urgent': 0,
+            'normal': 0,
+            'low': 0
+        };
+
         cases.forEach(case_item => {
             if (priorityCounts.hasOwnProperty(case_item.priority)) {
                 priorityCounts[case_item.priority]++;
+                if (getSlaStatus(case_item).overdue) {
+                    overdueCounts[case_item.priority]++;
+                }
             }
         });
+        
+        const overdueByLabel = Object.values(overdueCounts);
 
         // Prepare chart data
         const labels = Object.keys(priorityCounts).map(p => capitalize(p));
@@ -443,7 +462,8 @@ async function createPriorityDistributionChart() {
                             label: function(context) {
                                 const total = context.dataset.data.reduce((sum, value) => sum + value, 0);
                                 const percentage = total > 0 ? ((context.parsed / total) * 100).toFixed(1) : 0;
-                                return `${context.label}: ${context.parsed} (${percentage}%)`;
+                                const overdue = overdueByLabel[context.dataIndex];
+                                return `${context.label}: ${context.parsed} (${percentage}%)${overdue > 0 ? `, ${overdue} past SLA` : ''}`;
                             }
                         }
                     }
@@ -460,6 +480,83 @@ async function createPriorityDistributionChart() {
     }
 }
 
+/**
+ * Create top tags chart - most used tags across all cases
+ */
+async function createTopTagsChart() {
+    if (!app || !app.supabase) return;
+    
+    if (app.charts.tags && app.charts.tags.data) {
+        console.log('Tags chart already exists, skipping...');
+        return;
+    }
+
+    try {
+        console.log('Creating top tags chart...');
+        
+        const { data: tags, error } = await app.supabase.rpc('list_case_tags');
+        if (error) throw error;
+        
+        const topTags = tags.slice(0, 10);
+
+        const canvas = document.getElementById('tagsChart');
+        if (!canvas) {
+            console.error('Tags chart canvas not found');
+            return;
+        }
+        
+        if (topTags.length === 0) {
+            showChartError('tagsChart', 'No tagged cases yet');
+            return;
+        }
+        
+        const ctx = canvas.getContext('2d');
+        
+        if (app.charts.tags) {
+            app.charts.tags.destroy();
+            app.charts.tags = null;
+        }
+
+        app.charts.tags = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: topTags.map(row => `#${row.tag}`),
+                datasets: [{
+                    label: 'Cases',
+                    data: topTags.map(row => row.case_count),
+                    backgroundColor: 'rgba(99, 102, 241, 0.8)',
+                    borderColor: 'rgba(99, 102, 241, 1)',
+                    borderWidth: 1
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: false
+                    }
+                },
+                scales: {
+                    x: {
+                        beginAtZero: true,
+                        ticks: {
+                            precision: 0
+                        }
+                    }
+                }
+            }
+        });
+
+        console.log('✅ Top tags chart created');
+
+    } catch (error) {
+        console.error('Error creating top tags chart:', error);
+        showChartError('tagsChart', 'Failed to load tags');
+    }
+}
+
 /**
  * Create agent performance chart - WITH GUARDS
  */
@@ -490,7 +587,7 @@ async function createAgentPerformanceChart() {
 
         const { data: cases, error: casesError } = await app.supabase
             .from('cases')
-            .select('agent_id, status, response_time_minutes, resolution_time_minutes')
+            .select('agent_id, status, created_at, first_response_at, resolved_at, response_time_minutes, resolution_time_minutes')
             .not('agent_id', 'is', null);
 
         if (casesError) throw casesError;
@@ -505,8 +602,8 @@ async function createAgentPerformanceChart() {
             const resolutionRate = totalCases > 0 ? (totalResolved / totalCases) * 100 : 0;
             
             const responseTimes = agentCases
-                .filter(c => c.response_time_minutes)
-                .map(c => c.response_time_minutes);
+                .map(c => getCaseResponseMinutes(c))
+                .filter(minutes => minutes);
             
             const avgResponseTime = responseTimes.length > 0
                 ? responseTimes.reduce((sum, time) => sum + time, 0) / responseTimes.length
@@ -658,7 +755,7 @@ async function loadAgentsSection() {
         // Get case counts for each agent
         const { data: cases, error: casesError } = await app.supabase
             .from('cases')
-            .select('agent_id, status, created_at, resolved_at, response_time_minutes');
+            .select('agent_id, status, created_at, first_response_at, resolved_at, response_time_minutes');
 
         if (casesError) {
             console.warn('Could not load case data for agents:', casesError);
@@ -701,8 +798,8 @@ function createAgentDetailCard(agent, cases) {
     ).length;
 
     const responseTimes = cases
-    .filter(c => c.response_time_minutes && c.response_time_minutes > 0)
-    .map(c => c.response_time_minutes);
+    .map(c => getCaseResponseMinutes(c))
+    .filter(minutes => minutes && minutes > 0);
 
 const avgResponseTime = responseTimes.length > 0
     ? Math.round(responseTimes.reduce((sum, time) => sum + time, 0) / responseTimes.length)
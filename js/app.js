@@ -9,8 +9,10 @@ class SupportPortalApp {
         this.supabase = null;
         this.currentAgent = null;
         this.refreshInterval = null;
+        this.channels = {};
         this.charts = {};
         this.isLoading = false;
+        this.eventListenersBound = false;
     }
 
     async init() {
@@ -19,13 +21,15 @@ class SupportPortalApp {
             this.initializeUI();
             this.validateConfiguration();
             this.initSupabase();
-            await this.loadCurrentAgent();
-            await this.loadDashboardData();
-            this.setupRealTimeUpdates();
-            this.setupAutoRefresh();
-            this.setupEventListeners();
-            showSection('dashboard'); // Call global function, not class method
-            this.hideLoading();
+            
+            // Require a signed-in agent before loading any data
+            const agent = await this.loadCurrentAgent();
+            if (!agent) {
+                this.hideLoading();
+                return;
+            }
+            
+            await this.startSession();
             
             if (window.CONFIG.DEBUG_MODE === 'true') {
                 console.log('✅ Application initialized successfully');
@@ -37,6 +41,23 @@ class SupportPortalApp {
         }
     }
 
+    async startSession() {
+        this.showLoading();
+        hideSignInScreen();
+        applyRolePermissions();
+        await Promise.all([loadSlaPolicies(), loadBusinessCalendar()]);
+        await this.loadDashboardData();
+        this.setupRealTimeUpdates();
+        this.setupAutoRefresh();
+        this.setupEventListeners();
+        startIdleDetection();
+        startAutoAssignment();
+        startSlaCountdowns();
+        loadNotifications();
+        initRouter(); // Shows the section (and case) named in the URL
+        this.hideLoading();
+    }
+
     initializeUI() {
         // Set app name and version
         document.getElementById('appName').textContent = window.CONFIG.APP_NAME;
@@ -73,9 +94,23 @@ class SupportPortalApp {
 
         this.supabase = window.supabase.createClient(
             window.CONFIG.SUPABASE_URL,
-            window.CONFIG.SUPABASE_ANON_KEY
+            window.CONFIG.SUPABASE_ANON_KEY,
+            {
+                auth: {
+                    persistSession: true,
+                    autoRefreshToken: true
+                }
+            }
         );
 
+        // Return to the sign-in screen if the session ends elsewhere (expiry, other tab)
+        this.supabase.auth.onAuthStateChange((event) => {
+            if (event === 'SIGNED_OUT' && this.currentAgent) {
+                this.destroy();
+                showSignInScreen('Your session has ended. Please sign in again.');
+            }
+        });
+
         if (window.CONFIG.DEBUG_MODE === 'true') {
             console.log('🔗 Supabase client initialized');
         }
@@ -83,35 +118,35 @@ class SupportPortalApp {
 
     async loadCurrentAgent() {
         try {
-            // For demo purposes, we'll use the first available agent
-            // In production, this would be based on authentication
-            const { data: agents, error } = await this.supabase
-                .from('agents')
-                .select('*')
-                .eq('status', 'available')
-                .limit(1);
-            
+            const { data: { session }, error } = await this.supabase.auth.getSession();
             if (error) throw error;
             
-            if (agents && agents.length > 0) {
-                this.currentAgent = agents[0];
-                document.getElementById('currentAgent').textContent = this.currentAgent.name;
-                this.updateAgentStatus(this.currentAgent.status);
-            } else {
-                document.getElementById('currentAgent').textContent = 'No Agent';
-                this.updateAgentStatus('offline');
+            if (!session) {
+                showSignInScreen();
+                return null;
             }
+            
+            const agent = await fetchAgentForUser(session.user);
+            if (!agent) {
+                await this.supabase.auth.signOut();
+                showSignInScreen(`No agent profile is linked to ${session.user.email}. Please contact an administrator.`);
+                return null;
+            }
+            
+            this.currentAgent = agent;
+            document.getElementById('currentAgent').textContent = this.currentAgent.name;
+            this.updateAgentStatus(this.currentAgent.status);
+            return agent;
         } catch (error) {
             console.error('Error loading current agent:', error);
             document.getElementById('currentAgent').textContent = 'Error';
             this.updateAgentStatus('offline');
+            showSignInScreen('Could not load your agent profile. Please try again.');
+            return null;
         }
     }
 
-    updateAgentStatus(status) {
-        const indicator = document.getElementById('statusIndicator');
-        const text = document.getElementById('statusText');
-        
+    getStatusConfig(status) {
         const statusConfig = {
             'available': { color: 'bg-green-500', text: 'Available' },
             'busy': { color: 'bg-yellow-500', text: 'Busy' },
@@ -119,7 +154,18 @@ class SupportPortalApp {
             'offline': { color: 'bg-gray-500', text: 'Offline' }
         };
         
-        const config = statusConfig[status] || statusConfig['available'];
+        return statusConfig[status] || statusConfig['available'];
+    }
+
+    getStatusLabel(status) {
+        return this.getStatusConfig(status).text;
+    }
+
+    updateAgentStatus(status) {
+        const indicator = document.getElementById('statusIndicator');
+        const text = document.getElementById('statusText');
+        
+        const config = this.getStatusConfig(status);
         indicator.className = `w-3 h-3 ${config.color} rounded-full`;
         text.textContent = config.text;
     }
@@ -167,7 +213,7 @@ class SupportPortalApp {
         // Get ALL cases with specific fields
         const { data: cases, error } = await this.supabase
             .from('cases')
-            .select('id, case_number, status, priority, response_time_minutes, created_at, resolved_at');
+            .select('id, case_number, status, priority, category, provider_id, response_time_minutes, created_at, first_response_at, resolved_at, first_response_due_at, resolution_due_at');
             
         if (error) {
             console.error('❌ Supabase query error:', error);
@@ -248,8 +294,8 @@ class SupportPortalApp {
         
         // === STEP 4: Calculate average response time ===
         const validResponseTimes = cases
-            .filter(c => c.response_time_minutes && typeof c.response_time_minutes === 'number' && c.response_time_minutes > 0)
-            .map(c => c.response_time_minutes);
+            .map(c => getCaseResponseMinutes(c))
+            .filter(minutes => typeof minutes === 'number' && minutes > 0);
         
         let avgResponseTime = 0;
         if (validResponseTimes.length > 0) {
@@ -258,18 +304,27 @@ class SupportPortalApp {
         
         console.log(`⏱️ Response time: ${avgResponseTime}m (from ${validResponseTimes.length} cases)`);
         
-        // === STEP 5: Prepare final metrics ===
+        // === STEP 5: Count open cases past their SLA policy ===
+        const slaBreached = pendingCases.filter(c => getSlaStatus(c).overdue).length;
+        
+        console.log(`🚨 SLA breached: ${slaBreached} open cases`);
+        
+        const escalatedCases = pendingCases.filter(c => c.status === 'escalated').length;
+        
+        // === STEP 6: Prepare final metrics ===
         const metrics = {
             total_cases: totalCases,
             total_resolved: totalResolved,
             total_pending: pendingCases.length,
             pending_breakdown: pendingBreakdown,
+            sla_breached: slaBreached,
+            total_escalated: escalatedCases,
             team_avg_response_time: avgResponseTime
         };
         
         console.log('📋 FINAL CALCULATED METRICS:', metrics);
         
-        // === STEP 6: Force update dashboard ===
+        // === STEP 7: Force update dashboard ===
         this.forceUpdateDashboard(metrics);
         this.checkPriorityAlerts(metrics);
         
@@ -345,6 +400,12 @@ class SupportPortalApp {
             console.error('❌ #avgResponseTime element not found');
         }
         
+        // Escalated Cases Count
+        const escalatedCasesEl = document.getElementById('escalatedCases');
+        if (escalatedCasesEl) {
+            escalatedCasesEl.textContent = (data.total_escalated || 0).toString();
+        }
+        
         console.log('✅ === DASHBOARD FORCE UPDATE COMPLETE ===');
         
     } catch (error) {
@@ -365,8 +426,13 @@ class SupportPortalApp {
         
         const breakdown = data.pending_breakdown || {vip: 0, urgent: 0, normal: 0, low: 0};
         
-        if (breakdown.vip > 0 || breakdown.urgent > 0) {
+        const slaBreached = data.sla_breached || 0;
+        
+        if (breakdown.vip > 0 || breakdown.urgent > 0 || slaBreached > 0) {
             let alertText = '';
+            if (slaBreached > 0) {
+                alertText += `${slaBreached} case(s) past SLA. `;
+            }
             if (breakdown.vip > 0) {
                 alertText += `${breakdown.vip} VIP case(s) pending. `;
             }
@@ -636,6 +702,7 @@ class SupportPortalApp {
             'assigned': { bg: 'bg-blue-100', text: 'text-blue-800', icon: '👤' },
             'in_progress': { bg: 'bg-yellow-100', text: 'text-yellow-800', icon: '⚡' },
             'pending_customer': { bg: 'bg-orange-100', text: 'text-orange-800', icon: '⏳' },
+            'escalated': { bg: 'bg-red-100', text: 'text-red-800', icon: '🔺' },
             'resolved': { bg: 'bg-gray-100', text: 'text-gray-800', icon: '✅' },
             'closed': { bg: 'bg-gray-100', text: 'text-gray-600', icon: '🔒' }
         };
@@ -680,24 +747,7 @@ class SupportPortalApp {
     }
 
     isCaseOverdue(case_item) {
-        if (case_item.status === 'resolved' || case_item.status === 'closed') {
-            return false;
-        }
-        
-        const created = new Date(case_item.created_at);
-        const now = new Date();
-        const hoursOpen = (now - created) / (1000 * 60 * 60);
-        
-        // Define SLA based on priority
-        const slaHours = {
-            'vip': 4,
-            'urgent': 8, 
-            'normal': 24,
-            'low': 48
-        };
-        
-        const maxHours = slaHours[case_item.priority] || 24;
-        return hoursOpen > maxHours;
+        return getSlaStatus(case_item).overdue;
     }
 
     async updateDashboardCharts() {
@@ -834,7 +884,7 @@ class SupportPortalApp {
     setupRealTimeUpdates() {
         try {
             // Subscribe to case updates
-            this.supabase
+            this.channels.cases = this.supabase
                 .channel('cases-changes')
                 .on('postgres_changes', { 
                     event: '*', 
@@ -845,8 +895,8 @@ class SupportPortalApp {
                 })
                 .subscribe();
 
-            // Subscribe to agent updates
-            this.supabase
+            // Subscribe to agent updates and presence broadcasts
+            this.channels.agents = this.supabase
                 .channel('agents-changes')
                 .on('postgres_changes', { 
                     event: '*', 
@@ -855,6 +905,22 @@ class SupportPortalApp {
                 }, (payload) => {
                     this.handleAgentUpdate(payload);
                 })
+                .on('broadcast', { event: 'presence' }, ({ payload }) => {
+                    this.handleAgentUpdate({ eventType: 'PRESENCE', new: { id: payload.agent_id, status: payload.status } });
+                })
+                .subscribe();
+
+            // Subscribe to notifications for the signed-in agent
+            this.channels.notifications = this.supabase
+                .channel('notifications-changes')
+                .on('postgres_changes', {
+                    event: 'INSERT',
+                    schema: 'public',
+                    table: 'notifications',
+                    filter: `agent_id=eq.${this.currentAgent.id}`
+                }, (payload) => {
+                    handleNotificationInsert(payload.new);
+                })
                 .subscribe();
 
             if (window.CONFIG.DEBUG_MODE === 'true') {
@@ -877,6 +943,7 @@ class SupportPortalApp {
         // Show notification for new cases
         if (payload.eventType === 'INSERT') {
             this.showNotification(`New case created: ${payload.new.case_number}`, 'info');
+            handleNewCaseForAutoAssignment(payload.new);
         }
     }
 
@@ -885,7 +952,20 @@ class SupportPortalApp {
             console.log('👤 Agent update received:', payload);
         }
         
+        // Keep the header in sync when our status is changed elsewhere (another tab, a supervisor)
+        const updated = payload.new;
+        if (updated && this.currentAgent && updated.id === this.currentAgent.id && updated.status) {
+            this.currentAgent.status = updated.status;
+            this.updateAgentStatus(updated.status);
+        }
+        
         this.loadAgentPerformance();
+        
+        // Supervisors watch live statuses on the agents section
+        const agentsSection = document.getElementById('agents-section');
+        if (agentsSection && !agentsSection.classList.contains('hidden') && typeof loadAgentsSection === 'function') {
+            loadAgentsSection();
+        }
     }
 
     setupAutoRefresh() {
@@ -907,16 +987,20 @@ class SupportPortalApp {
     }
 
     setupEventListeners() {
+        // Listeners survive sign-out, so only bind them once
+        if (this.eventListenersBound) return;
+        this.eventListenersBound = true;
+        
         // Handle page visibility changes
         document.addEventListener('visibilitychange', () => {
-            if (!document.hidden && !this.isLoading) {
+            if (!document.hidden && !this.isLoading && this.currentAgent) {
                 this.loadDashboardData();
             }
         });
 
         // Handle window focus
         window.addEventListener('focus', () => {
-            if (!this.isLoading) {
+            if (!this.isLoading && this.currentAgent) {
                 this.loadDashboardData();
             }
         });
@@ -1067,9 +1151,36 @@ class SupportPortalApp {
                 console.warn('Error removing Supabase channels:', error);
             }
         }
+        this.channels = {};
+        
+        // Stop idle detection
+        if (typeof stopIdleDetection === 'function') {
+            stopIdleDetection();
+        }
+        
+        // Stop live SLA countdowns
+        if (typeof stopSlaCountdowns === 'function') {
+            stopSlaCountdowns();
+        }
+        
+        // Stop the auto-assignment sweep
+        if (typeof stopAutoAssignment === 'function') {
+            stopAutoAssignment();
+        }
+        
+        // Drop any bulk selection made by the previous agent
+        if (typeof clearCaseSelection === 'function') {
+            clearCaseSelection();
+        }
+        
+        // Forget the agent list cached for @mentions
+        if (typeof resetNotesState === 'function') {
+            resetNotesState();
+        }
         
-        // Reset loading state
+        // Reset loading state and signed-in agent
         this.isLoading = false;
+        this.currentAgent = null;
         
         console.log('✅ App instance cleaned up');
     }
@@ -1099,22 +1210,43 @@ window.addEventListener('beforeunload', () => {
     }
 });
 
+// Sections that require a permission beyond being signed in
+const SECTION_PERMISSIONS = {
+    'agents': 'section.agents',
+    'settings': 'section.settings'
+};
+
 // Global functions for navigation
-function showSection(sectionName) {
+function showSection(sectionName, options = {}) {
+    const { updateUrl = true } = options;
+    
     try {
+        // An unknown route (e.g. #/foo) would otherwise hide every section
+        if (!document.getElementById(`${sectionName}-section`)) {
+            console.warn(`Section ${sectionName}-section not found`);
+            sectionName = 'dashboard';
+            updateRoute({ section: sectionName }, { replace: true });
+        }
+        
+        const requiredPermission = SECTION_PERMISSIONS[sectionName];
+        if (requiredPermission && !can(requiredPermission)) {
+            showNotification('You do not have access to that section', 'warning');
+            sectionName = 'dashboard';
+            updateRoute({ section: sectionName }, { replace: true });
+        } else if (updateUrl) {
+            updateRoute({
+                section: sectionName,
+                params: sectionName === 'cases' ? getCaseRouteParams() : {}
+            });
+        }
+        
         // Hide all sections
         document.querySelectorAll('.section').forEach(section => {
             section.classList.add('hidden');
         });
         
         // Show selected section
-        const targetSection = document.getElementById(`${sectionName}-section`);
-        if (targetSection) {
-            targetSection.classList.remove('hidden');
-        } else {
-            console.warn(`Section ${sectionName}-section not found`);
-            return;
-        }
+        document.getElementById(`${sectionName}-section`).classList.remove('hidden');
         
         // Update navigation
         document.querySelectorAll('.nav-btn').forEach(btn => {
@@ -1129,6 +1261,9 @@ function showSection(sectionName) {
             activeBtn.className = 'nav-btn border-blue-500 text-blue-600 border-b-2 py-4 px-1 text-sm font-medium';
         }
         
+        // Resetting classes above clears role-based hiding, so re-apply it
+        applyRolePermissions();
+        
         // Load section-specific data
         switch(sectionName) {
             case 'cases':
@@ -1146,6 +1281,21 @@ function showSection(sectionName) {
                     loadAgentsSection();
                 }
                 break;
+            case 'templates':
+                if (typeof loadTemplatesSection === 'function') {
+                    loadTemplatesSection();
+                }
+                break;
+            case 'requester':
+                if (typeof loadRequesterSection === 'function') {
+                    loadRequesterSection();
+                }
+                break;
+            case 'settings':
+                if (typeof loadSettingsSection === 'function') {
+                    loadSettingsSection();
+                }
+                break;
         }
     } catch (error) {
         console.error('Error in showSection:', error);
@@ -0,0 +1,192 @@
+/**
+ * Case Assignment
+ * Assign and reassign cases, suggesting agents whose skills and workload fit the case
+ */
+
+// Presence statuses in the order we prefer to assign to them
+const ASSIGNMENT_STATUS_WEIGHT = {
+    'available': 2,
+    'busy': 0,
+    'break': -2,
+    'offline': -4
+};
+
+/**
+ * Assign a case to an agent (or unassign with null).
+ * The database updates status and both agents' case counts in the same transaction.
+ */
+async function assignCase(caseId, agentId) {
+    const { data: updatedCase, error } = await app.supabase
+        .rpc('assign_case', { p_case_id: caseId, p_agent_id: agentId || null });
+        
+    if (error) throw error;
+    return updatedCase;
+}
+
+/**
+ * Score agents against a case and return them best match first.
+ * Each entry is { agent, score, reasons }.
+ */
+function rankAgentsForCase(agents, caseData) {
+    const category = (caseData.category || '').toLowerCase();
+    const isVip = caseData.priority === 'vip';
+    const needsEscalationHandler = caseData.status === 'escalated' || caseData.priority === 'urgent';
+    
+    return agents
+        .map(agent => {
+            let score = ASSIGNMENT_STATUS_WEIGHT[agent.status] ?? 0;
+            const reasons = [];
+            
+            const tags = Array.isArray(agent.expertise_tags) ? agent.expertise_tags : [];
+            const matchedTag = category && tags.find(tag => {
+                const normalizedTag = String(tag).toLowerCase();
+                return normalizedTag && (category.includes(normalizedTag) || normalizedTag.includes(category));
+            });
+            if (matchedTag) {
+                score += 3;
+                reasons.push(`Expertise: ${matchedTag}`);
+            }
+            
+            if (isVip) {
+                score += agent.handles_vip ? 3 : -3;
+                if (agent.handles_vip) reasons.push('Handles VIP');
+            }
+            
+            if (needsEscalationHandler && agent.handles_escalations) {
+                score += 2;
+                reasons.push('Handles escalations');
+            }
+            
+            // Lighter workloads win ties between similarly skilled agents
+            score -= (agent.current_case_count || 0) * 0.5;
+            
+            return { agent, score, reasons };
+        })
+        .sort((a, b) => b.score - a.score || a.agent.name.localeCompare(b.agent.name));
+}
+
+/**
+ * Build the label shown for an agent in the assignment dropdown
+ */
+function formatAssignmentOption(agent) {
+    const load = agent.current_case_count || 0;
+    return `${agent.name} · ${app.getStatusLabel(agent.status)} · ${load} case${load === 1 ? '' : 's'}`;
+}
+
+/**
+ * Render the assignment control placeholder for the case modal
+ */
+function renderAssignmentControl(caseData) {
+    if (!canActOnCase(caseData, 'case.work')) return '';
+    
+    return `
+        <div id="caseAssignmentControl" class="w-full bg-gray-50 border rounded-lg p-3">
+            <div class="flex items-center text-sm text-gray-500">
+                <i class="fas fa-spinner fa-spin mr-2"></i>Loading agents...
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Fill the assignment control with ranked agents
+ */
+async function loadAssignmentControl(caseData) {
+    const container = document.getElementById('caseAssignmentControl');
+    if (!container) return;
+    
+    // Agents can only take unassigned cases or hand back their own
+    if (!can('case.manage_any')) {
+        const isMine = caseData.agent_id === app.currentAgent.id;
+        container.innerHTML = `
+            <div class="flex flex-wrap items-center gap-3">
+                <span class="text-sm font-medium text-gray-700"><i class="fas fa-user-tag mr-1 text-gray-400"></i>Assignment:</span>
+                <span class="text-sm text-gray-900">${escapeHtml(caseData.agents?.name || 'Unassigned')}</span>
+                <button onclick="changeCaseAssignment('${caseData.id}', ${isMine ? 'null' : `'${app.currentAgent.id}'`})"
+                        class="ml-auto px-3 py-1.5 text-sm rounded ${isMine ? 'bg-gray-200 text-gray-700 hover:bg-gray-300' : 'bg-blue-500 text-white hover:bg-blue-600'} transition-colors">
+                    <i class="fas ${isMine ? 'fa-user-minus' : 'fa-user-plus'} mr-1"></i>${isMine ? 'Unassign me' : 'Assign to me'}
+                </button>
+            </div>
+        `;
+        return;
+    }
+    
+    try {
+        const { data: agents, error } = await app.supabase
+            .from('agents')
+            .select('id, name, status, current_case_count, expertise_tags, handles_vip, handles_escalations')
+            .order('name');
+            
+        if (error) throw error;
+        
+        const ranked = rankAgentsForCase(agents, caseData);
+        const suggestions = ranked
+            .filter(entry => entry.agent.id !== caseData.agent_id && entry.agent.status !== 'offline')
+            .slice(0, 3);
+        const best = suggestions[0];
+        
+        container.innerHTML = `
+            <div class="flex flex-wrap items-center gap-3">
+                <label for="caseAssignmentSelect" class="text-sm font-medium text-gray-700">
+                    <i class="fas fa-user-tag mr-1 text-gray-400"></i>Assign to:
+                </label>
+                <select id="caseAssignmentSelect" class="flex-1 min-w-0 px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent">
+                    <option value="" ${!caseData.agent_id ? 'selected' : ''}>Unassigned</option>
+                    ${suggestions.length > 0 ? `
+                        <optgroup label="Suggested">
+                            ${suggestions.map(entry => `
+                                <option value="${entry.agent.id}">★ ${escapeHtml(formatAssignmentOption(entry.agent))}</option>
+                            `).join('')}
+                        </optgroup>
+                    ` : ''}
+                    <optgroup label="All agents">
+                        ${agents.map(agent => `
+                            <option value="${agent.id}" ${agent.id === caseData.agent_id ? 'selected' : ''}>${escapeHtml(formatAssignmentOption(agent))}</option>
+                        `).join('')}
+                    </optgroup>
+                </select>
+                <button onclick="changeCaseAssignment('${caseData.id}', document.getElementById('caseAssignmentSelect').value)"
+                        class="px-3 py-1.5 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors">
+                    <i class="fas fa-user-check mr-1"></i>Assign
+                </button>
+            </div>
+            ${best && best.reasons.length > 0 ? `
+                <p class="text-xs text-gray-500 mt-2">
+                    Suggested: <span class="font-medium text-gray-700">${escapeHtml(best.agent.name)}</span> — ${escapeHtml(best.reasons.join(', '))}
+                </p>
+            ` : ''}
+        `;
+        
+    } catch (error) {
+        console.error('Error loading agents for assignment:', error);
+        container.innerHTML = '<p class="text-sm text-red-600">Could not load agents</p>';
+    }
+}
+
+/**
+ * Assign a case from the UI and refresh the views that show it
+ */
+async function changeCaseAssignment(caseId, agentId) {
+    if (!getCurrentActor()) return;
+    
+    try {
+        const updatedCase = await assignCase(caseId, agentId);
+        
+        if (!document.getElementById('caseModal').classList.contains('hidden')) {
+            openCaseModal(caseId, { updateUrl: false });
+        }
+        loadCasesTable(getCaseFilters());
+        if (app.loadDashboardData) {
+            app.loadDashboardData();
+        }
+        
+        showNotification(
+            updatedCase.agent_id ? `Case ${updatedCase.case_number} assigned` : `Case ${updatedCase.case_number} unassigned`,
+            'success'
+        );
+        
+    } catch (error) {
+        console.error('Error assigning case:', error);
+        showNotification(error.message || 'Failed to assign case', 'error');
+    }
+}
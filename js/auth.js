@@ -0,0 +1,125 @@
+/**
+ * Authentication Functions
+ * Handles Supabase Auth sign-in/sign-out and maps the signed-in user to an agent
+ */
+
+/**
+ * Resolve the agent row for the authenticated Supabase user (matched by email)
+ */
+async function fetchAgentForUser(user) {
+    if (!user || !user.email) return null;
+
+    const { data: agent, error } = await app.supabase
+        .from('agents')
+        .select('*')
+        .ilike('email', user.email)
+        .maybeSingle();
+
+    if (error) throw error;
+    return agent;
+}
+
+/**
+ * Get the signed-in agent performing an action, or notify and return null
+ */
+function getCurrentActor() {
+    if (!app || !app.currentAgent) {
+        showNotification('You must be signed in to perform this action', 'error');
+        return null;
+    }
+    return app.currentAgent;
+}
+
+/**
+ * Show the sign-in screen and hide the portal
+ */
+function showSignInScreen(message = '') {
+    const screen = document.getElementById('signInScreen');
+    if (!screen) return;
+
+    screen.classList.remove('hidden');
+    document.getElementById('signInError').textContent = message;
+    document.getElementById('signInError').classList.toggle('hidden', !message);
+    document.getElementById('signInPassword').value = '';
+    document.getElementById('currentAgent').textContent = 'Signed out';
+    document.getElementById('signOutButton').classList.add('hidden');
+    applyRolePermissions();
+
+    setTimeout(() => document.getElementById('signInEmail').focus(), 50);
+}
+
+/**
+ * Hide the sign-in screen
+ */
+function hideSignInScreen() {
+    const screen = document.getElementById('signInScreen');
+    if (screen) screen.classList.add('hidden');
+    document.getElementById('signOutButton').classList.remove('hidden');
+}
+
+/**
+ * Handle sign-in form submission
+ */
+async function handleSignIn(event) {
+    event.preventDefault();
+    if (!app || !app.supabase) return;
+
+    const email = document.getElementById('signInEmail').value.trim();
+    const password = document.getElementById('signInPassword').value;
+    const button = document.getElementById('signInButton');
+    const errorEl = document.getElementById('signInError');
+
+    if (!isValidEmail(email) || !password) {
+        errorEl.textContent = 'Please enter a valid email and password.';
+        errorEl.classList.remove('hidden');
+        return;
+    }
+
+    button.disabled = true;
+    button.innerHTML = '<i class="fas fa-spinner fa-spin mr-1"></i>Signing in...';
+    errorEl.classList.add('hidden');
+
+    try {
+        const { error } = await app.supabase.auth.signInWithPassword({ email, password });
+        if (error) throw error;
+
+        const agent = await app.loadCurrentAgent();
+        if (!agent) return;
+
+        hideSignInScreen();
+        await app.startSession();
+        showNotification(`Welcome back, ${agent.name}`, 'success');
+
+    } catch (error) {
+        console.error('Sign-in failed:', error);
+        errorEl.textContent = error.message || 'Sign-in failed. Please try again.';
+        errorEl.classList.remove('hidden');
+    } finally {
+        button.disabled = false;
+        button.innerHTML = '<i class="fas fa-sign-in-alt mr-1"></i>Sign In';
+    }
+}
+
+/**
+ * Sign the current agent out and tear down the app session
+ */
+async function signOut() {
+    if (!app || !app.supabase) return;
+
+    try {
+        // Mark the agent offline while the session can still write
+        if (app.currentAgent && app.currentAgent.status !== 'offline') {
+            await setAgentStatus('offline', { automatic: true });
+        }
+
+        app.destroy();
+        const { error } = await app.supabase.auth.signOut();
+        if (error) throw error;
+    } catch (error) {
+        console.error('Sign-out failed:', error);
+        showNotification('Sign-out failed', 'error');
+    } finally {
+        closeCaseModal();
+        showSignInScreen();
+    }
+}
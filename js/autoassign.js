@@ -0,0 +1,226 @@
+/**
+ * Auto-Assignment
+ * Assigns unassigned new cases to agents as they arrive (realtime) and on a periodic sweep.
+ * Enabled and configured with AUTO_ASSIGN_ENABLED, AUTO_ASSIGN_STRATEGY and
+ * AUTO_ASSIGN_INTERVAL_SECONDS. Runs in supervisor and admin portals only, in one
+ * tab per browser.
+ */
+
+const AUTO_ASSIGN_STRATEGIES = ['round_robin', 'least_loaded', 'skills'];
+
+// Agents on break or offline never receive cases
+const AUTO_ASSIGN_ELIGIBLE_STATUSES = ['available', 'busy'];
+
+// Cases claimed per sweep, oldest first
+const AUTO_ASSIGN_BATCH_SIZE = 25;
+
+// Web Lock held by the tab that runs the engine
+const AUTO_ASSIGN_LOCK_NAME = 'support-portal-auto-assign';
+
+const autoAssignState = {
+    timer: null,
+    running: false,
+    lockController: null,
+    releaseLock: null
+};
+
+/**
+ * Check whether auto-assignment is switched on
+ */
+function isAutoAssignEnabled() {
+    return String(window.CONFIG.AUTO_ASSIGN_ENABLED) === 'true';
+}
+
+/**
+ * Get the configured strategy, falling back to least-loaded
+ */
+function getAutoAssignStrategy() {
+    const strategy = window.CONFIG.AUTO_ASSIGN_STRATEGY;
+    return AUTO_ASSIGN_STRATEGIES.includes(strategy) ? strategy : 'least_loaded';
+}
+
+/**
+ * Start the engine if this portal may run it. The database only accepts
+ * auto-assignment from supervisors and admins; among open tabs, the one holding
+ * the lock runs it and another takes over when that tab closes.
+ */
+function startAutoAssignment() {
+    stopAutoAssignment();
+    if (!isAutoAssignEnabled() || !can('case.manage_any')) return;
+    
+    if (!navigator.locks) {
+        startAutoAssignTimer();
+        return;
+    }
+    
+    const controller = new AbortController();
+    autoAssignState.lockController = controller;
+    
+    navigator.locks.request(AUTO_ASSIGN_LOCK_NAME, { signal: controller.signal }, () => new Promise(release => {
+        autoAssignState.lockController = null;
+        autoAssignState.releaseLock = release;
+        startAutoAssignTimer();
+    })).catch(error => {
+        if (error.name !== 'AbortError') {
+            console.error('Could not start auto-assignment:', error);
+        }
+    });
+}
+
+/**
+ * Start the periodic sweep (and run one straight away)
+ */
+function startAutoAssignTimer() {
+    const seconds = parseFloat(window.CONFIG.AUTO_ASSIGN_INTERVAL_SECONDS);
+    const intervalMs = (isNaN(seconds) || seconds < 10 ? 60 : seconds) * 1000;
+    
+    runAutoAssignSweep();
+    autoAssignState.timer = setInterval(runAutoAssignSweep, intervalMs);
+    
+    if (window.CONFIG.DEBUG_MODE === 'true') {
+        console.log(`🤖 Auto-assignment enabled (${getAutoAssignStrategy()}, every ${intervalMs / 1000}s)`);
+    }
+}
+
+/**
+ * Stop the periodic sweep and hand the engine to another tab
+ */
+function stopAutoAssignment() {
+    clearInterval(autoAssignState.timer);
+    autoAssignState.timer = null;
+    
+    if (autoAssignState.lockController) {
+        autoAssignState.lockController.abort();
+        autoAssignState.lockController = null;
+    }
+    if (autoAssignState.releaseLock) {
+        autoAssignState.releaseLock();
+        autoAssignState.releaseLock = null;
+    }
+}
+
+/**
+ * Assign a case as soon as n8n inserts it
+ */
+function handleNewCaseForAutoAssignment(caseRow) {
+    // Only the tab running the engine reacts
+    if (!autoAssignState.timer || !caseRow) return;
+    if (caseRow.agent_id || caseRow.status !== 'new') return;
+    
+    autoAssignCases([caseRow]);
+}
+
+/**
+ * Pick up any unassigned new cases that were missed (e.g. while no portal was open)
+ */
+async function runAutoAssignSweep() {
+    if (!app || !app.supabase || !app.currentAgent) return;
+    
+    try {
+        const { data: cases, error } = await app.supabase
+            .from('cases')
+            .select('id, case_number, priority, category, status, agent_id')
+            .is('agent_id', null)
+            .eq('status', 'new')
+            .order('created_at', { ascending: true })
+            .limit(AUTO_ASSIGN_BATCH_SIZE);
+            
+        if (error) throw error;
+        
+        if (cases.length > 0) {
+            await autoAssignCases(cases);
+        }
+        
+    } catch (error) {
+        console.error('Auto-assignment sweep failed:', error);
+    }
+}
+
+/**
+ * Assign each case to the best eligible agent for the configured strategy
+ */
+async function autoAssignCases(cases) {
+    // A sweep and a realtime insert can overlap; the next sweep catches anything skipped
+    if (autoAssignState.running) return;
+    autoAssignState.running = true;
+    
+    try {
+        const { data: agents, error } = await app.supabase
+            .from('agents')
+            .select('id, name, status, current_case_count, expertise_tags, handles_vip, handles_escalations, last_assigned_at')
+            .in('status', AUTO_ASSIGN_ELIGIBLE_STATUSES);
+            
+        if (error) throw error;
+        
+        const strategy = getAutoAssignStrategy();
+        let assignedCount = 0;
+        
+        for (const caseData of cases) {
+            const agent = pickAgentForCase(caseData, agents, strategy);
+            if (!agent) {
+                if (window.CONFIG.DEBUG_MODE === 'true') {
+                    console.log(`🤖 No eligible agent for case ${caseData.case_number}`);
+                }
+                continue;
+            }
+            
+            const { data: claimed, error: assignError } = await app.supabase
+                .rpc('auto_assign_case', { p_case_id: caseData.id, p_agent_id: agent.id });
+                
+            if (assignError) {
+                console.error(`Auto-assignment failed for case ${caseData.case_number}:`, assignError);
+                continue;
+            }
+            
+            // Another portal may have claimed it first
+            if (!claimed) continue;
+            
+            // Keep local counts current so the rest of the batch spreads out
+            agent.current_case_count = (agent.current_case_count || 0) + 1;
+            agent.last_assigned_at = new Date().toISOString();
+            assignedCount++;
+            
+            if (window.CONFIG.DEBUG_MODE === 'true') {
+                console.log(`🤖 Case ${caseData.case_number} auto-assigned to ${agent.name} (${strategy})`);
+            }
+        }
+        
+        if (assignedCount > 0 && app.loadDashboardData) {
+            app.loadDashboardData();
+        }
+        
+    } catch (error) {
+        console.error('Auto-assignment failed:', error);
+    } finally {
+        autoAssignState.running = false;
+    }
+}
+
+/**
+ * Choose an agent for a case, or null when nobody eligible is available.
+ * VIP cases only go to agents who handle VIPs.
+ */
+function pickAgentForCase(caseData, agents, strategy) {
+    const candidates = agents.filter(agent =>
+        AUTO_ASSIGN_ELIGIBLE_STATUSES.includes(agent.status) &&
+        (caseData.priority !== 'vip' || agent.handles_vip)
+    );
+    
+    if (candidates.length === 0) return null;
+    
+    const lastAssigned = agent => agent.last_assigned_at ? new Date(agent.last_assigned_at).getTime() : 0;
+    const load = agent => agent.current_case_count || 0;
+    
+    switch (strategy) {
+        case 'round_robin':
+            // Whoever has waited longest since their last auto-assigned case
+            return [...candidates].sort((a, b) => lastAssigned(a) - lastAssigned(b))[0];
+            
+        case 'skills':
+            return rankAgentsForCase(candidates, caseData)[0].agent;
+            
+        case 'least_loaded':
+        default:
+            return [...candidates].sort((a, b) => load(a) - load(b) || lastAssigned(a) - lastAssigned(b))[0];
+    }
+}
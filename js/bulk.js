@@ -0,0 +1,275 @@
+/**
+ * Bulk Case Actions
+ * Select cases in the cases table and change status, priority or agent,
+ * or escalate them, in one go with a per-case result summary
+ */
+
+const bulkState = {
+    selected: new Map(),   // case id -> case row data
+    rows: new Map(),       // case id -> case row data for the rendered table
+    running: false
+};
+
+/**
+ * Add or remove a case from the selection
+ */
+function toggleCaseSelection(caseId, checked) {
+    const caseItem = bulkState.rows.get(caseId);
+    
+    if (checked && caseItem) {
+        bulkState.selected.set(caseId, caseItem);
+    } else {
+        bulkState.selected.delete(caseId);
+    }
+    
+    const checkbox = document.querySelector(`.case-select[data-case-id="${CSS.escape(caseId)}"]`);
+    if (checkbox) {
+        checkbox.checked = checked;
+        checkbox.closest('tr').classList.toggle('bg-blue-50', checked);
+    }
+    
+    updateSelectAllCheckbox();
+    renderBulkActionBar();
+}
+
+/**
+ * Select or deselect every case on the current page
+ */
+function toggleSelectAllCases(checked) {
+    document.querySelectorAll('#casesTableBody .case-select').forEach(checkbox => {
+        toggleCaseSelection(checkbox.dataset.caseId, checked);
+    });
+}
+
+/**
+ * Reflect the current page's selection in the header checkbox
+ */
+function updateSelectAllCheckbox() {
+    const selectAll = document.getElementById('selectAllCases');
+    if (!selectAll) return;
+    
+    const checkboxes = Array.from(document.querySelectorAll('#casesTableBody .case-select'));
+    const checkedCount = checkboxes.filter(checkbox => checkbox.checked).length;
+    
+    selectAll.checked = checkboxes.length > 0 && checkedCount === checkboxes.length;
+    selectAll.indeterminate = checkedCount > 0 && checkedCount < checkboxes.length;
+    selectAll.disabled = checkboxes.length === 0;
+}
+
+/**
+ * Clear the selection
+ */
+function clearCaseSelection() {
+    bulkState.selected.clear();
+    
+    document.querySelectorAll('#casesTableBody .case-select').forEach(checkbox => {
+        checkbox.checked = false;
+        checkbox.closest('tr').classList.remove('bg-blue-50');
+    });
+    
+    updateSelectAllCheckbox();
+    renderBulkActionBar();
+}
+
+/**
+ * Show the bulk action bar while cases are selected
+ */
+function renderBulkActionBar() {
+    const bar = document.getElementById('bulkActionBar');
+    if (!bar) return;
+    
+    const count = bulkState.selected.size;
+    bar.classList.toggle('hidden', count === 0);
+    document.getElementById('bulkSelectedCount').textContent =
+        `${count} case${count === 1 ? '' : 's'} selected`;
+    
+    bar.querySelectorAll('select, button').forEach(control => {
+        control.disabled = bulkState.running;
+    });
+}
+
+/**
+ * Fill the bulk assign dropdown with agents
+ */
+function fillBulkAgentSelect(agents) {
+    const select = document.getElementById('bulkAgentSelect');
+    if (!select) return;
+    
+    select.innerHTML = '<option value="">Assign to...</option>';
+    agents.forEach(agent => {
+        const option = document.createElement('option');
+        option.value = agent.id;
+        option.textContent = agent.name;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Change the status of all selected cases
+ */
+function bulkUpdateStatus(select) {
+    const newStatus = select.value;
+    select.value = '';
+    if (!newStatus) return;
+    
+    const applyStatus = (details = {}) =>
+        runBulkAction(`Set status to ${formatStatus(newStatus)}`, 'case.work', (caseItem, actor) =>
+            performStatusChange(caseItem, newStatus, actor, details)
+        );
+    
+    if (newStatus !== 'resolved') {
+        applyStatus();
+        return;
+    }
+    
+    // One set of resolution details covers every case resolved together
+    if (bulkState.running || bulkState.selected.size === 0) return;
+    
+    const count = bulkState.selected.size;
+    openResolutionDialog(`Resolve ${count} case${count === 1 ? '' : 's'}`, details => {
+        // Close the dialog first; results appear in the bulk summary
+        closeResolutionDialog();
+        return applyStatus(details);
+    });
+}
+
+/**
+ * Change the priority of all selected cases
+ */
+function bulkUpdatePriority(select) {
+    const newPriority = select.value;
+    select.value = '';
+    if (!newPriority) return;
+    
+    runBulkAction(`Set priority to ${capitalize(newPriority)}`, 'case.work', (caseItem, actor) =>
+        saveCaseUpdates(caseItem.id, { priority: newPriority }, actor)
+    );
+}
+
+/**
+ * Assign all selected cases to an agent
+ */
+function bulkAssignAgent(select) {
+    const agentId = select.value;
+    const agentName = select.options[select.selectedIndex].textContent;
+    select.value = '';
+    if (!agentId) return;
+    
+    runBulkAction(`Assign to ${agentName}`, 'case.manage_any', caseItem =>
+        assignCase(caseItem.id, agentId)
+    );
+}
+
+/**
+ * Escalate all selected cases with one reason and target
+ */
+function bulkEscalate() {
+    if (bulkState.running || bulkState.selected.size === 0) return;
+    
+    const count = bulkState.selected.size;
+    openEscalationDialog(`Escalate ${count} case${count === 1 ? '' : 's'}`, details => {
+        // Close the dialog first; results appear in the bulk summary
+        closeEscalationDialog();
+        return runBulkAction('Escalate', 'case.escalate', (caseItem, actor) =>
+            performEscalation(caseItem.id, actor, details)
+        );
+    });
+}
+
+/**
+ * Apply an action to each selected case in turn, collecting per-case results.
+ * The dashboard and table refresh once at the end.
+ */
+async function runBulkAction(label, permission, action) {
+    if (bulkState.running || bulkState.selected.size === 0) return;
+    
+    const actor = getCurrentActor();
+    if (!actor) return;
+    
+    const cases = Array.from(bulkState.selected.values());
+    if (!confirm(`${label} for ${cases.length} selected case${cases.length === 1 ? '' : 's'}?`)) {
+        return;
+    }
+    
+    bulkState.running = true;
+    renderBulkActionBar();
+    
+    const results = [];
+    
+    for (const caseItem of cases) {
+        try {
+            // The selection is a snapshot; check and act on the case as it is now
+            const currentCase = await fetchCaseLifecycle(caseItem.id);
+            if (!canActOnCase(currentCase, permission)) {
+                throw new Error('You do not have permission to update this case');
+            }
+            await action(currentCase, actor);
+            results.push({ caseItem, success: true });
+        } catch (error) {
+            console.error(`Bulk action failed for case ${caseItem.case_number}:`, error);
+            results.push({ caseItem, success: false, error: error.message || 'Update failed' });
+        }
+    }
+    
+    // Keep failed cases selected so they can be retried
+    results.filter(result => result.success).forEach(result => {
+        bulkState.selected.delete(result.caseItem.id);
+    });
+    
+    bulkState.running = false;
+    renderBulkSummary(label, results);
+    renderBulkActionBar();
+    
+    await loadCasesTable(getCaseFilters());
+    if (app.loadDashboardData) {
+        app.loadDashboardData();
+    }
+    
+    const failed = results.filter(result => !result.success).length;
+    showNotification(
+        `${label}: ${results.length - failed} updated, ${failed} failed`,
+        failed === 0 ? 'success' : (failed === results.length ? 'error' : 'warning')
+    );
+}
+
+/**
+ * Show the per-case outcome of the last bulk action
+ */
+function renderBulkSummary(label, results) {
+    const summary = document.getElementById('bulkSummary');
+    if (!summary) return;
+    
+    const succeeded = results.filter(result => result.success);
+    const failed = results.filter(result => !result.success);
+    
+    summary.innerHTML = `
+        <div class="flex justify-between items-start">
+            <p class="text-sm font-medium text-gray-800">
+                ${escapeHtml(label)}:
+                <span class="text-green-700">${succeeded.length} succeeded</span>,
+                <span class="${failed.length ? 'text-red-700' : 'text-gray-500'}">${failed.length} failed</span>
+            </p>
+            <button onclick="dismissBulkSummary()" class="text-gray-400 hover:text-gray-600" title="Dismiss">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+        <ul class="mt-2 space-y-1 text-sm max-h-40 overflow-y-auto">
+            ${results.map(result => `
+                <li class="flex items-center">
+                    <i class="fas ${result.success ? 'fa-check-circle text-green-500' : 'fa-times-circle text-red-500'} mr-2"></i>
+                    <span class="font-medium text-gray-900 mr-2">${escapeHtml(result.caseItem.case_number)}</span>
+                    ${result.success ? '' : `<span class="text-red-600">${escapeHtml(result.error)}</span>`}
+                </li>
+            `).join('')}
+        </ul>
+    `;
+    summary.classList.remove('hidden');
+}
+
+/**
+ * Hide the bulk action summary
+ */
+function dismissBulkSummary() {
+    const summary = document.getElementById('bulkSummary');
+    if (summary) summary.classList.add('hidden');
+}
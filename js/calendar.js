@@ -0,0 +1,249 @@
+/**
+ * Business Calendar
+ * Working hours per weekday, timezone and public holidays. In business mode TAT,
+ * SLA deadlines and response/resolution averages only count working time.
+ * Mirrors the business_* functions in the database.
+ */
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Used until the calendar loads; calendar mode keeps plain wall-clock time
+const DEFAULT_BUSINESS_CALENDAR = {
+    mode: 'calendar',
+    timezone: 'UTC',
+    hours: {
+        '0': null,
+        '1': ['09:00', '17:00'],
+        '2': ['09:00', '17:00'],
+        '3': ['09:00', '17:00'],
+        '4': ['09:00', '17:00'],
+        '5': ['09:00', '17:00'],
+        '6': null
+    },
+    holidays: []
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stop scanning after this many days (e.g. a calendar with no working days);
+// the business_* database functions use the same limit
+const BUSINESS_CALENDAR_MAX_DAYS = 3660;
+
+const businessCalendarState = {
+    calendar: DEFAULT_BUSINESS_CALENDAR,
+    formatters: {}
+};
+
+/**
+ * Load the business calendar from app settings
+ */
+async function loadBusinessCalendar() {
+    if (!app || !app.supabase) return;
+
+    try {
+        const { data: setting, error } = await app.supabase
+            .from('app_settings')
+            .select('value')
+            .eq('key', 'business_calendar')
+            .maybeSingle();
+
+        if (error) throw error;
+
+        businessCalendarState.calendar = { ...DEFAULT_BUSINESS_CALENDAR, ...(setting ? setting.value : {}) };
+
+    } catch (error) {
+        console.error('Error loading business calendar, using calendar time:', error);
+        businessCalendarState.calendar = DEFAULT_BUSINESS_CALENDAR;
+    }
+
+    renderTimeModeIndicators();
+}
+
+/**
+ * Check whether durations count business time only
+ */
+function isBusinessTimeEnabled() {
+    return businessCalendarState.calendar.mode === 'business';
+}
+
+/**
+ * Describe the current time mode for labels in the UI
+ */
+function getTimeModeLabel() {
+    const calendar = businessCalendarState.calendar;
+    return isBusinessTimeEnabled()
+        ? `Business hours (${calendar.timezone})`
+        : 'Calendar time';
+}
+
+/**
+ * Fill every [data-time-mode] element with the current time mode
+ */
+function renderTimeModeIndicators() {
+    document.querySelectorAll('[data-time-mode]').forEach(el => {
+        el.textContent = getTimeModeLabel();
+        el.title = isBusinessTimeEnabled()
+            ? 'Durations count working hours only, excluding weekends and holidays'
+            : 'Durations count all elapsed time';
+    });
+}
+
+/**
+ * Local date and time parts of an instant in a timezone
+ */
+function getZonedParts(date, timeZone) {
+    if (!businessCalendarState.formatters[timeZone]) {
+        businessCalendarState.formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+    }
+
+    const parts = {};
+    businessCalendarState.formatters[timeZone].formatToParts(date).forEach(part => {
+        if (part.type !== 'literal') parts[part.type] = parseInt(part.value, 10);
+    });
+    return parts;
+}
+
+/**
+ * Convert a wall-clock time on a UTC-midnight day cursor in a timezone to a Date
+ */
+function zonedTimeToDate(dayMs, time, timeZone) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const wallClockMs = dayMs + (hours * 60 + minutes) * 60000;
+
+    const offsetAt = ms => {
+        const parts = getZonedParts(new Date(ms), timeZone);
+        const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return asUtc - Math.floor(ms / 1000) * 1000;
+    };
+
+    // Re-check the offset at the result so DST transitions land correctly
+    const firstGuess = wallClockMs - offsetAt(wallClockMs);
+    return new Date(wallClockMs - offsetAt(firstGuess));
+}
+
+/**
+ * Local date (as a UTC-midnight timestamp) of an instant in the calendar's timezone
+ */
+function getBusinessDayCursor(date) {
+    const parts = getZonedParts(date, businessCalendarState.calendar.timezone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day);
+}
+
+/**
+ * Working window for a local day, or null when closed (weekend or holiday)
+ */
+function getWorkingWindow(dayMs) {
+    const calendar = businessCalendarState.calendar;
+    const hours = calendar.hours ? calendar.hours[String(new Date(dayMs).getUTCDay())] : null;
+    if (!Array.isArray(hours) || hours.length < 2) return null;
+
+    const dateKey = new Date(dayMs).toISOString().split('T')[0];
+    if ((calendar.holidays || []).some(holiday => holiday.date === dateKey)) return null;
+
+    const opensAt = zonedTimeToDate(dayMs, hours[0], calendar.timezone);
+    let closesAt = zonedTimeToDate(dayMs, hours[1], calendar.timezone);
+
+    // Calendars saved before closing times were validated may have overnight shifts
+    if (closesAt <= opensAt) {
+        closesAt = new Date(closesAt.getTime() + DAY_MS);
+    }
+
+    return { opensAt, closesAt };
+}
+
+/**
+ * Working minutes between two instants
+ */
+function businessMinutesBetween(start, end) {
+    const startDate = new Date(start);
+    const endDate = new Date(end);
+    if (isNaN(startDate) || isNaN(endDate) || endDate <= startDate) return 0;
+
+    const lastDay = getBusinessDayCursor(endDate);
+    let total = 0;
+
+    for (let day = getBusinessDayCursor(startDate), i = 0; day <= lastDay && i < BUSINESS_CALENDAR_MAX_DAYS; day += DAY_MS, i++) {
+        const window = getWorkingWindow(day);
+        if (!window) continue;
+
+        const from = Math.max(window.opensAt.getTime(), startDate.getTime());
+        const to = Math.min(window.closesAt.getTime(), endDate.getTime());
+        if (to > from) total += (to - from) / 60000;
+    }
+
+    return total;
+}
+
+/**
+ * The instant a number of working minutes after start
+ */
+function addBusinessMinutes(start, minutes) {
+    const startDate = new Date(start);
+    let remaining = minutes;
+
+    for (let day = getBusinessDayCursor(startDate), i = 0; i < BUSINESS_CALENDAR_MAX_DAYS; day += DAY_MS, i++) {
+        const window = getWorkingWindow(day);
+        if (!window || window.closesAt <= startDate) continue;
+
+        const from = Math.max(window.opensAt.getTime(), startDate.getTime());
+        const available = (window.closesAt.getTime() - from) / 60000;
+
+        if (available >= remaining) {
+            return new Date(from + remaining * 60000);
+        }
+        remaining -= available;
+    }
+
+    // No working time configured: fall back to calendar time
+    return new Date(startDate.getTime() + minutes * 60000);
+}
+
+/**
+ * Minutes elapsed between two instants in the current time mode
+ */
+function getElapsedMinutes(start, end = new Date()) {
+    if (isBusinessTimeEnabled()) {
+        return businessMinutesBetween(start, end);
+    }
+    return Math.max(0, (new Date(end) - new Date(start)) / 60000);
+}
+
+/**
+ * The instant a number of minutes after start in the current time mode
+ */
+function addElapsedMinutes(start, minutes) {
+    if (isBusinessTimeEnabled()) {
+        return addBusinessMinutes(start, minutes);
+    }
+    return new Date(new Date(start).getTime() + minutes * 60000);
+}
+
+/**
+ * First response time of a case in the current time mode
+ * (the stored response_time_minutes is wall-clock time)
+ */
+function getCaseResponseMinutes(caseData) {
+    if (isBusinessTimeEnabled() && caseData.created_at && caseData.first_response_at) {
+        return Math.round(businessMinutesBetween(caseData.created_at, caseData.first_response_at));
+    }
+    return caseData.response_time_minutes || null;
+}
+
+/**
+ * Resolution time of a case in the current time mode
+ */
+function getCaseResolutionMinutes(caseData) {
+    if (isBusinessTimeEnabled() && caseData.created_at && caseData.resolved_at) {
+        return Math.round(businessMinutesBetween(caseData.created_at, caseData.resolved_at));
+    }
+    return caseData.resolution_time_minutes || null;
+}
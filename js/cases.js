@@ -3,14 +3,41 @@
  * Handles case listing, filtering, and case detail modal
  */
 
+// Page sizes offered under the cases table
+const CASES_PAGE_SIZES = [10, 25, 50, 100];
+
+// Sortable column keys and the database column (or computed field) they order by
+const CASE_SORT_COLUMNS = {
+    'case_number': 'case_number',
+    'priority': 'priority_rank',
+    'status': 'status',
+    'agent': 'agents(name)',
+    'created': 'created_at',
+    'tat': 'tat_minutes',
+    'sla': 'sla_due_at'
+};
+
+// Current page, page size and sort order of the cases table
+const casesTableState = {
+    page: 1,
+    pageSize: 25,
+    sortBy: 'created',
+    sortAscending: false,
+    total: 0,
+    searchTerms: [],
+    searchSnippets: {}
+};
+
 /**
  * Load and display cases section
  */
 async function loadCasesSection() {
     try {
         await Promise.all([
-            loadCasesTable(),
-            populateAgentFilter()
+            loadCasesTable(getCaseFilters()),
+            populateAgentFilter(),
+            populateCaseFilterOptions(),
+            loadFilterPresets()
         ]);
     } catch (error) {
         console.error('Error loading cases section:', error);
@@ -19,7 +46,7 @@ async function loadCasesSection() {
 }
 
 /**
- * Load cases table with current filters
+ * Load one page of the cases table with current filters and sort order
  */
 async function loadCasesTable(filters = {}) {
     if (!app || !app.supabase) {
@@ -28,39 +55,69 @@ async function loadCasesTable(filters = {}) {
     }
 
     try {
-        let query = app.supabase
-            .from('cases')
-            .select(`
-                *,
-                agents(name, email),
-                email_threads(subject),
-                providers(name)
-            `);
+        const columns = `
+            *,
+            agents(name, email),
+            email_threads(subject),
+            providers(name)
+        `;
 
-        // Apply filters
-        if (filters.status) {
-            query = query.eq('status', filters.status);
-        }
-        if (filters.priority) {
-            query = query.eq('priority', filters.priority);
-        }
-        if (filters.agent_id) {
-            query = query.eq('agent_id', filters.agent_id);
+        // Full-text search returns matching case rows, so filters, sorting and
+        // paging below apply to it exactly as to the cases table
+        casesTableState.searchTerms = [];
+        casesTableState.searchSnippets = {};
+        let query = filters.search
+            ? app.supabase.rpc('search_cases', { search_query: filters.search }, { count: 'exact' }).select(columns)
+            : app.supabase.from('cases').select(columns, { count: 'exact' });
+
+        query = buildCaseFilterQuery(query, filters);
+
+        const sortColumn = CASE_SORT_COLUMNS[casesTableState.sortBy] || 'created_at';
+        
+        // With the default sort, search results keep their best-match-first order
+        const byRelevance = filters.search && sortColumn === 'created_at' && !casesTableState.sortAscending;
+        if (!byRelevance) {
+            // Resolved and closed cases have no SLA deadline; keep them below open ones
+            query = query.order(sortColumn, {
+                ascending: casesTableState.sortAscending,
+                ...(sortColumn === 'sla_due_at' ? { nullsFirst: false } : {})
+            });
+            
+            // Tie-break on creation time so rows don't shift between pages
+            if (sortColumn !== 'created_at') {
+                query = query.order('created_at', { ascending: false });
+            }
         }
 
-        const { data: cases, error } = await query
-            .order('created_at', { ascending: false })
-            .limit(100);
+        const from = (casesTableState.page - 1) * casesTableState.pageSize;
+        const to = from + casesTableState.pageSize - 1;
+
+        const { data: cases, error, count } = await query.range(from, to);
 
         if (error) throw error;
 
+        casesTableState.total = count || 0;
+
+        // Filters or deletions can leave us past the last page
+        const lastPage = Math.max(1, Math.ceil(casesTableState.total / casesTableState.pageSize));
+        if (casesTableState.page > lastPage) {
+            casesTableState.page = lastPage;
+            return loadCasesTable(filters);
+        }
+
+        if (filters.search) {
+            await loadSearchSnippets(filters.search, cases.map(caseItem => caseItem.id));
+        }
+        
         renderCasesTable(cases);
+        renderCasesPagination();
+        updateSortIndicators();
 
     } catch (error) {
         console.error('Error loading cases table:', error);
         document.getElementById('casesTableBody').innerHTML = `
             <tr>
-                <td colspan="8" class="px-6 py-4 text-center text-red-500">
+                <td colspan="10" class="px-6 py-4 text-center text-red-500">
                     Error loading cases: ${error.message}
                 </td>
             </tr>
@@ -68,22 +125,205 @@ async function loadCasesTable(filters = {}) {
     }
 }
 
+/**
+ * Load email body snippets for the shown search results and the terms to highlight
+ */
+async function loadSearchSnippets(searchQuery, caseIds) {
+    casesTableState.searchTerms = getSearchTerms(searchQuery);
+    if (caseIds.length === 0) return;
+
+    const { data: snippets, error } = await app.supabase
+        .rpc('search_case_snippets', { search_query: searchQuery, p_case_ids: caseIds });
+
+    // Snippets are a nicety; show the results without them
+    if (error) {
+        console.warn('Could not load search snippets:', error);
+        return;
+    }
+
+    snippets.forEach(row => {
+        if (row.snippet) {
+            casesTableState.searchSnippets[row.case_id] = row.snippet;
+        }
+    });
+}
+
+/**
+ * Split a search query into terms for highlighting ("quoted phrases" stay together)
+ */
+function getSearchTerms(searchQuery) {
+    const terms = [];
+    const withoutPhrases = searchQuery.replace(/"([^"]+)"/g, (match, phrase) => {
+        terms.push(phrase.trim());
+        return ' ';
+    });
+
+    withoutPhrases.split(/\s+/).forEach(word => {
+        // Skip websearch operators and excluded (-word) terms
+        if (!word || word.startsWith('-') || word.toLowerCase() === 'or') return;
+        terms.push(word);
+    });
+
+    return terms;
+}
+
+/**
+ * Render a search snippet, turning ts_headline markers into highlights
+ */
+function renderSearchSnippet(snippet) {
+    return escapeHtml(snippet)
+        .replace(/&lt;&lt;/g, '<mark class="bg-yellow-200 rounded px-0.5">')
+        .replace(/&gt;&gt;/g, '</mark>');
+}
+
+/**
+ * Render the "showing X–Y of Z" footer and page controls
+ */
+function renderCasesPagination() {
+    const container = document.getElementById('casesPagination');
+    if (!container) return;
+
+    const { page, pageSize, total } = casesTableState;
+    const lastPage = Math.max(1, Math.ceil(total / pageSize));
+    const first = total === 0 ? 0 : (page - 1) * pageSize + 1;
+    const last = Math.min(page * pageSize, total);
+
+    container.innerHTML = `
+        <div class="text-sm text-gray-600">
+            Showing <span class="font-medium">${formatNumber(first)}</span>–<span class="font-medium">${formatNumber(last)}</span>
+            of <span class="font-medium">${formatNumber(total)}</span> cases
+        </div>
+        <div class="flex items-center space-x-3">
+            <label class="text-sm text-gray-600">
+                Rows:
+                <select onchange="changeCasesPageSize(this.value)" class="ml-1 text-sm border-gray-300 rounded-md py-1">
+                    ${CASES_PAGE_SIZES.map(size => `
+                        <option value="${size}" ${size === pageSize ? 'selected' : ''}>${size}</option>
+                    `).join('')}
+                </select>
+            </label>
+            <button onclick="goToCasesPage(${page - 1})" ${page <= 1 ? 'disabled' : ''}
+                    class="px-2 py-1 text-sm border rounded hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed">
+                <i class="fas fa-chevron-left"></i>
+            </button>
+            <span class="text-sm text-gray-600">Page ${page} of ${lastPage}</span>
+            <button onclick="goToCasesPage(${page + 1})" ${page >= lastPage ? 'disabled' : ''}
+                    class="px-2 py-1 text-sm border rounded hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed">
+                <i class="fas fa-chevron-right"></i>
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Highlight the active sort column header
+ */
+function updateSortIndicators() {
+    document.querySelectorAll('[data-sort-key]').forEach(header => {
+        const icon = header.querySelector('i');
+        if (!icon) return;
+
+        if (header.dataset.sortKey === casesTableState.sortBy) {
+            icon.className = `fas ${casesTableState.sortAscending ? 'fa-sort-up' : 'fa-sort-down'} ml-1 text-blue-500`;
+        } else {
+            icon.className = 'fas fa-sort ml-1 text-gray-300';
+        }
+    });
+}
+
+/**
+ * Sort the cases table by a column (clicking again reverses the order)
+ */
+function sortCasesBy(sortKey) {
+    if (!CASE_SORT_COLUMNS[sortKey]) return;
+
+    if (casesTableState.sortBy === sortKey) {
+        casesTableState.sortAscending = !casesTableState.sortAscending;
+    } else {
+        casesTableState.sortBy = sortKey;
+        // Text columns read naturally A→Z and SLA closest-to-breach first;
+        // priority, dates and TAT most-significant first
+        casesTableState.sortAscending = ['case_number', 'status', 'agent', 'sla'].includes(sortKey);
+    }
+    casesTableState.page = 1;
+
+    refreshCasesTable();
+}
+
+/**
+ * Go to a page of the cases table
+ */
+function goToCasesPage(page) {
+    const lastPage = Math.max(1, Math.ceil(casesTableState.total / casesTableState.pageSize));
+    casesTableState.page = Math.min(Math.max(1, page), lastPage);
+    refreshCasesTable();
+}
+
+/**
+ * Change how many cases are shown per page
+ */
+function changeCasesPageSize(size) {
+    const pageSize = parseInt(size);
+    if (!CASES_PAGE_SIZES.includes(pageSize)) return;
+
+    casesTableState.pageSize = pageSize;
+    casesTableState.page = 1;
+    refreshCasesTable();
+}
+
+/**
+ * Reload the cases table and record its state in the URL
+ */
+function refreshCasesTable() {
+    updateRoute({ section: 'cases', params: getCaseRouteParams() });
+    loadCasesTable(getCaseFilters());
+}
+
+/**
+ * Cases table paging/sorting as route parameters (defaults are omitted)
+ */
+function getCasesTableRouteParams() {
+    const params = {};
+    if (casesTableState.page > 1) params.page = String(casesTableState.page);
+    if (casesTableState.pageSize !== 25) params.size = String(casesTableState.pageSize);
+    if (casesTableState.sortBy !== 'created' || casesTableState.sortAscending) {
+        params.sort = casesTableState.sortBy;
+        params.dir = casesTableState.sortAscending ? 'asc' : 'desc';
+    }
+    return params;
+}
+
+/**
+ * Restore cases table paging/sorting from route parameters
+ */
+function setCasesTableStateFromRoute(params) {
+    const page = parseInt(params.page);
+    const pageSize = parseInt(params.size);
+
+    casesTableState.page = page > 0 ? page : 1;
+    casesTableState.pageSize = CASES_PAGE_SIZES.includes(pageSize) ? pageSize : 25;
+    casesTableState.sortBy = CASE_SORT_COLUMNS[params.sort] ? params.sort : 'created';
+    casesTableState.sortAscending = params.dir === 'asc';
+}
+
 /**
  * Render cases in table
  */
 function renderCasesTable(cases) {
     const tbody = document.getElementById('casesTableBody');
+    bulkState.rows.clear();
     
     if (!cases || cases.length === 0) {
         tbody.innerHTML = `
             <tr>
-                <td colspan="8" class="px-6 py-8 text-center text-gray-500">
+                <td colspan="10" class="px-6 py-8 text-center text-gray-500">
                     <i class="fas fa-inbox text-4xl mb-4 block text-gray-300"></i>
                     <p class="text-lg font-medium">No cases found</p>
                     <p class="text-sm">Cases will appear here when emails are processed by the n8n workflow.</p>
                 </td>
             </tr>
         `;
+        updateSelectAllCheckbox();
         return;
     }
 
@@ -93,6 +333,8 @@ function renderCasesTable(cases) {
         const row = createDetailedCaseRow(case_item);
         tbody.appendChild(row);
     });
+    
+    updateSelectAllCheckbox();
 }
 
 /**
@@ -123,24 +365,43 @@ function createDetailedCaseRow(case_item) {
     const status = statusConfig[case_item.status] || statusConfig['new'];
     
     const tat = calculateTAT(case_item.created_at, case_item.resolved_at);
-    const isOverdue = isCaseOverdue(case_item);
+    const slaStatus = getSlaStatus(case_item);
+    const isOverdue = slaStatus.overdue;
     const subject = case_item.email_threads?.subject || 'No subject';
+    const canQuickUpdate = canActOnCase(case_item, 'case.work');
+    const searchTerms = casesTableState.searchTerms;
+    const snippet = casesTableState.searchSnippets[case_item.id];
+    const isSelected = bulkState.selected.has(case_item.id);
+    const slaRowClass = getSlaRowClass(case_item);
+    
+    if (isSelected) tr.classList.add('bg-blue-50');
+    if (slaRowClass) tr.classList.add(slaRowClass);
     
     // FIXED: Better responsive layout with proper column sizing
     tr.innerHTML = `
+        <!-- Bulk selection -->
+        <td class="pl-4 pr-1 py-4 w-8" onclick="event.stopPropagation()">
+            <input type="checkbox" class="case-select rounded border-gray-300 text-blue-600"
+                data-case-id="${case_item.id}" ${isSelected ? 'checked' : ''}
+                onchange="toggleCaseSelection('${case_item.id}', this.checked)"
+                aria-label="Select case ${escapeHtml(case_item.case_number)}">
+        </td>
+        
         <!-- Case Number - Fixed width -->
         <td class="px-3 py-4 whitespace-nowrap w-32">
             <div class="flex items-center">
-                <span class="text-sm font-medium text-gray-900">${case_item.case_number}</span>
-                ${isOverdue ? '<span class="ml-1 text-red-500 text-xs" title="Overdue">⚠️</span>' : ''}
+                <span class="text-sm font-medium text-gray-900">${highlightText(case_item.case_number, searchTerms)}</span>
+                ${isOverdue ? `<span class="ml-1 text-red-500 text-xs" title="${getSlaBreachLabel(slaStatus)}">⚠️</span>` : ''}
             </div>
         </td>
         
         <!-- Subject - Flexible width, truncated -->
         <td class="px-3 py-4 max-w-xs">
             <div class="text-sm text-gray-900">
-                <p class="font-medium truncate" title="${subject}">${truncateText(subject, 35)}</p>
+                <p class="font-medium truncate" title="${escapeHtml(subject)}">${highlightText(truncateText(subject, 35), searchTerms)}</p>
                 ${case_item.providers?.name ? `<p class="text-xs text-gray-500 truncate">${case_item.providers.name}</p>` : ''}
+                ${snippet ? `<p class="text-xs text-gray-500 truncate" title="Matched in email">…${renderSearchSnippet(snippet)}…</p>` : ''}
+                ${case_item.tags && case_item.tags.length > 0 ? `<div class="mt-1">${renderTagChips(case_item.tags, { limit: TABLE_TAG_LIMIT })}</div>` : ''}
             </div>
         </td>
         
@@ -175,6 +436,11 @@ function createDetailedCaseRow(case_item) {
             ${tat}
         </td>
         
+        <!-- SLA countdown - open cases only -->
+        <td class="px-3 py-4 whitespace-nowrap w-36">
+            ${renderSlaCountdown(case_item) || '<span class="text-xs text-gray-400">—</span>'}
+        </td>
+        
         <!-- Actions - Fixed width -->
         <td class="px-3 py-4 whitespace-nowrap text-sm font-medium w-24">
             <div class="flex space-x-1">
@@ -187,8 +453,9 @@ function createDetailedCaseRow(case_item) {
                 </button>
                 <button 
                     onclick="event.stopPropagation(); quickUpdateStatus('${case_item.id}', '${case_item.status}')" 
-                    class="text-green-600 hover:text-green-900 transition-colors p-1 rounded"
-                    title="Quick Update"
+                    class="${canQuickUpdate ? 'text-green-600 hover:text-green-900' : 'text-gray-300 cursor-not-allowed'} transition-colors p-1 rounded"
+                    title="${canQuickUpdate ? 'Quick Update' : 'Assigned to another agent'}"
+                    ${canQuickUpdate ? '' : 'disabled'}
                 >
                     <i class="fas fa-edit text-xs"></i>
                 </button>
@@ -199,31 +466,17 @@ function createDetailedCaseRow(case_item) {
     // Add click handler for row
     tr.onclick = () => openCaseModal(case_item.id);
     
+    // Keep the row data so bulk actions can check permissions and label results
+    bulkState.rows.set(case_item.id, case_item);
+    
     return tr;
 }
 
 /**
- * Check if case is overdue based on SLA
+ * Check if case is overdue based on its SLA policy
  */
 function isCaseOverdue(case_item) {
-    if (['resolved', 'closed'].includes(case_item.status)) {
-        return false;
-    }
-    
-    const created = new Date(case_item.created_at);
-    const now = new Date();
-    const hoursOpen = (now - created) / (1000 * 60 * 60);
-    
-    // SLA hours based on priority
-    const slaHours = {
-        'vip': 4,
-        'urgent': 8,
-        'normal': 24,
-        'low': 48
-    };
-    
-    const maxHours = slaHours[case_item.priority] || 24;
-    return hoursOpen > maxHours;
+    return getSlaStatus(case_item).overdue;
 }
 
 /**
@@ -243,8 +496,11 @@ async function populateAgentFilter() {
         const select = document.getElementById('agentFilter');
         const currentValue = select.value;
         
-        // Clear existing options except "All Agents"
-        select.innerHTML = '<option value="">All Agents</option>';
+        // Clear existing options except "All Agents" and "Assigned to me"
+        select.innerHTML = `
+            <option value="">All Agents</option>
+            <option value="me">Assigned to me</option>
+        `;
         
         agents.forEach(agent => {
             const option = document.createElement('option');
@@ -256,19 +512,99 @@ async function populateAgentFilter() {
         // Restore previous selection
         select.value = currentValue;
         
+        fillBulkAgentSelect(agents);
+        
     } catch (error) {
         console.error('Error loading agents for filter:', error);
     }
 }
 
 /**
- * Apply case filters
+ * Populate category and provider filter dropdowns
  */
-function filterCases() {
+async function populateCaseFilterOptions() {
+    if (!app || !app.supabase) return;
+    
+    loadKnownTags().catch(error => console.warn('Could not load tags:', error));
+    
+    try {
+        const [categoriesResult, providersResult] = await Promise.all([
+            app.supabase.rpc('list_case_categories'),
+            app.supabase.from('providers').select('id, name').order('name')
+        ]);
+        
+        if (categoriesResult.error) throw categoriesResult.error;
+        if (providersResult.error) throw providersResult.error;
+        
+        fillFilterSelect('categoryFilter', 'All Categories',
+            categoriesResult.data.map(row => ({ value: row.category, label: row.category })));
+        fillFilterSelect('providerFilter', 'All Providers',
+            providersResult.data.map(provider => ({ value: provider.id, label: provider.name })));
+        
+    } catch (error) {
+        console.error('Error loading filter options:', error);
+    }
+}
+
+/**
+ * Replace a filter dropdown's options, keeping the current selection
+ */
+function fillFilterSelect(selectId, allLabel, options) {
+    const select = document.getElementById(selectId);
+    const currentValue = select.value;
+    
+    select.innerHTML = `<option value="">${allLabel}</option>`;
+    options.forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    
+    select.value = currentValue;
+}
+
+/**
+ * Show or hide the advanced filter row
+ */
+function toggleAdvancedFilters(forceOpen) {
+    const panel = document.getElementById('advancedFilters');
+    const open = forceOpen !== undefined ? forceOpen : panel.classList.contains('hidden');
+    
+    panel.classList.toggle('hidden', !open);
+    document.getElementById('advancedFiltersToggle').textContent = open ? 'Fewer filters' : 'More filters';
+}
+
+/**
+ * Open the advanced filter row when any of its filters are in use
+ */
+function showAdvancedFiltersIfSet() {
+    const filters = getCaseFilters();
+    const advancedKeys = ['created_from', 'created_to', 'category', 'provider_id', 'tags', 'overdue', 'unassigned'];
+    if (advancedKeys.some(key => filters[key])) {
+        toggleAdvancedFilters(true);
+    }
+}
+
+/**
+ * Read the current case filters from the filter inputs
+ */
+function getCaseFilters() {
+    const agentValue = document.getElementById('agentFilter').value;
+    const tags = parseTagList(document.getElementById('tagFilter').value);
+    
     const filters = {
+        search: document.getElementById('caseSearch').value.trim(),
         status: document.getElementById('statusFilter').value,
         priority: document.getElementById('priorityFilter').value,
-        agent_id: document.getElementById('agentFilter').value
+        agent_id: agentValue === 'me' ? (app && app.currentAgent ? app.currentAgent.id : '') : agentValue,
+        created_from: document.getElementById('createdFromFilter').value,
+        created_to: document.getElementById('createdToFilter').value,
+        category: document.getElementById('categoryFilter').value,
+        provider_id: document.getElementById('providerFilter').value,
+        tags: tags.length > 0 ? tags : '',
+        overdue: document.getElementById('overdueFilter').checked,
+        unassigned: document.getElementById('unassignedFilter').checked
     };
     
     // Remove empty filters
@@ -276,17 +612,80 @@ function filterCases() {
         if (!filters[key]) delete filters[key];
     });
     
-    loadCasesTable(filters);
+    return filters;
 }
 
+/**
+ * Apply case filter criteria to a Supabase cases query.
+ * This is the single place that turns filter criteria into query conditions.
+ */
+function buildCaseFilterQuery(query, filters) {
+    if (filters.status) {
+        query = query.eq('status', filters.status);
+    }
+    if (filters.priority) {
+        query = query.eq('priority', filters.priority);
+    }
+    if (filters.agent_id) {
+        query = query.eq('agent_id', filters.agent_id);
+    }
+    if (filters.unassigned) {
+        query = query.is('agent_id', null);
+    }
+    if (filters.category) {
+        query = query.eq('category', filters.category);
+    }
+    if (filters.provider_id) {
+        query = query.eq('provider_id', filters.provider_id);
+    }
+    // Cases carrying every selected tag
+    if (filters.tags) {
+        query = query.contains('tags', filters.tags);
+    }
+    
+    // Date inputs are local calendar days; "to" includes the whole day
+    if (filters.created_from) {
+        query = query.gte('created_at', new Date(`${filters.created_from}T00:00:00`).toISOString());
+    }
+    if (filters.created_to) {
+        const end = new Date(`${filters.created_to}T00:00:00`);
+        end.setDate(end.getDate() + 1);
+        query = query.lt('created_at', end.toISOString());
+    }
+    
+    // sla_overdue reads the same stored deadlines as isCaseOverdue
+    if (filters.overdue) {
+        query = query.is('sla_overdue', true);
+    }
+    
+    return query;
+}
+
+/**
+ * Apply case filters
+ */
+function filterCases() {
+    casesTableState.page = 1;
+    refreshCasesTable();
+}
+
+// Search as the agent types, without a request per keystroke
+const debouncedFilterCases = debounce(filterCases, 400);
+
 /**
  * Open case detail modal
  */
-async function openCaseModal(caseId) {
+async function openCaseModal(caseId, options = {}) {
+    const { updateUrl = true } = options;
+    
     if (!app || !app.supabase || !caseId) {
         console.error('Cannot open case modal: app not initialized or missing case ID');
         return;
     }
+    
+    if (updateUrl) {
+        updateRoute({ caseId: caseId });
+    }
 
     try {
         // Show loading state
@@ -318,7 +717,8 @@ async function openCaseModal(caseId) {
             .from('emails')
             .select('*')
             .eq('case_id', caseId)
-            .order('sent_at', { ascending: true });
+            .order('sent_at', { ascending: true })
+            .order('id', { ascending: true });
             
         if (emailError) throw emailError;
         
@@ -331,8 +731,20 @@ async function openCaseModal(caseId) {
             
         if (followUpError) console.warn('Could not load follow-ups:', followUpError);
         
+        // Get internal notes (and agent names to highlight their @mentions)
+        const [{ data: notes, error: notesError }] = await Promise.all([
+            app.supabase
+                .from('case_notes')
+                .select('*, agents(name)')
+                .eq('case_id', caseId)
+                .order('created_at', { ascending: true }),
+            loadMentionableAgents().catch(error => console.warn('Could not load agents for mentions:', error))
+        ]);
+            
+        if (notesError) console.warn('Could not load notes:', notesError);
+        
         // Render modal content
-        renderCaseModal(caseData, emails, followUps || []);
+        renderCaseModal(caseData, emails, followUps || [], notes || []);
         
     } catch (error) {
         console.error('Error loading case details:', error);
@@ -349,12 +761,15 @@ async function openCaseModal(caseId) {
 /**
  * Render case modal content
  */
-function renderCaseModal(caseData, emails, followUps) {
+function renderCaseModal(caseData, emails, followUps, notes = []) {
     document.getElementById('modalCaseNumber').textContent = caseData.case_number;
     
     const modalContent = document.getElementById('modalContent');
     modalContent.innerHTML = `
         <div class="space-y-6">
+            ${renderEscalationBanner(caseData)}
+            ${renderCaseLinksPanel(caseData)}
+            
             <!-- Case Info -->
             <div class="bg-gray-50 p-4 rounded-lg">
                 <h4 class="font-medium text-gray-900 mb-3">Case Information</h4>
@@ -369,36 +784,43 @@ function renderCaseModal(caseData, emails, followUps) {
                     <div><span class="font-medium text-gray-700">Agent:</span> ${caseData.agents?.name || 'Unassigned'}</div>
                     <div><span class="font-medium text-gray-700">Created:</span> ${formatDate(caseData.created_at, 'long')}</div>
                     <div><span class="font-medium text-gray-700">Provider:</span> ${caseData.providers?.name || 'Unknown'}</div>
-                    ${caseData.resolved_at ? `
-                        <div><span class="font-medium text-gray-700">Resolved:</span> ${formatDate(caseData.resolved_at, 'long')}</div>
-                        <div><span class="font-medium text-gray-700">Resolution Time:</span> ${calculateTAT(caseData.created_at, caseData.resolved_at)}</div>
-                    ` : ''}
+                    <div><span class="font-medium text-gray-700">SLA:</span> ${renderCaseSlaSummary(caseData)}</div>
+                    ${renderCaseTags(caseData)}
+                    ${renderResolutionDetails(caseData)}
                 </div>
                 
                 <!-- Metadata (if exists) -->
                 ${caseData.metadata ? renderMetadata(caseData.metadata) : ''}
             </div>
             
+            <!-- Linked Cases -->
+            ${renderCaseRelationsSection(caseData)}
+            
+            <!-- Requester History -->
+            ${renderRequesterPanel(caseData, emails)}
+            
             <!-- Email Thread -->
             <div>
                 <h4 class="font-medium text-gray-900 mb-3">
                     Email Conversation 
-                    <span class="text-sm text-gray-500">(${emails.length} message${emails.length !== 1 ? 's' : ''})</span>
+                    <span class="text-sm text-gray-500">(${emails.length} message${emails.length !== 1 ? 's' : ''}${notes.length > 0 ? `, ${notes.length} note${notes.length !== 1 ? 's' : ''}` : ''})</span>
                 </h4>
                 <div class="space-y-3 max-h-96 overflow-y-auto border rounded-lg p-4 bg-gray-50">
-                    ${emails.length > 0 ? emails.map(email => renderEmailMessage(email)).join('') : '<p class="text-gray-500">No emails found</p>'}
+                    ${renderConversationTimeline(emails, notes, caseData)}
+                </div>
+                <div class="mt-3">
+                    ${renderNoteComposer(caseData)}
                 </div>
             </div>
             
+            <!-- Reply -->
+            ${renderReplyComposer(caseData)}
+            
             <!-- Follow-ups -->
-            ${followUps.length > 0 ? `
-                <div>
-                    <h4 class="font-medium text-gray-900 mb-3">Scheduled Follow-ups</h4>
-                    <div class="space-y-2">
-                        ${followUps.map(followUp => renderFollowUp(followUp)).join('')}
-                    </div>
-                </div>
-            ` : ''}
+            ${renderFollowUpSection(caseData, followUps)}
+            
+            <!-- Activity -->
+            ${renderCaseActivityPanel(caseData)}
             
             <!-- Case Actions -->
             <div class="flex flex-wrap gap-3 pt-4 border-t">
@@ -406,13 +828,25 @@ function renderCaseModal(caseData, emails, followUps) {
             </div>
         </div>
     `;
+    
+    loadAssignmentControl(caseData);
+    loadReplyComposer(caseData, emails);
+    loadCaseActivity(caseData);
+    loadCaseLinks(caseData);
+    loadCaseRelations(caseData);
+    loadRequesterPanel(caseData, emails);
+    
+    // Tag suggestions are loaded with the cases section; a case link may come first
+    if (tagsState.known.length === 0) {
+        loadKnownTags().catch(error => console.warn('Could not load tags:', error));
+    }
 }
 
 /**
- * Render email message in modal
+ * Render email message in modal (index is its position in the case, oldest first)
  */
-function renderEmailMessage(email) {
-    const isFromSupport = email.from_email.includes('@' + (window.location.hostname || 'company.com'));
+function renderEmailMessage(email, caseData, index) {
+    const isFromSupport = isOutboundEmail(email);
     
     return `
         <div class="border rounded-lg p-3 ${isFromSupport ? 'bg-blue-50 border-blue-200' : 'bg-white border-gray-200'}">
@@ -421,13 +855,22 @@ function renderEmailMessage(email) {
                     <span class="font-medium ${isFromSupport ? 'text-blue-700' : 'text-gray-700'}">
                         ${isFromSupport ? '👤 Support Agent' : '📧 Customer'}: ${email.from_email}
                     </span>
+                    ${renderReplyDeliveryBadge(email)}
                     ${email.to_emails ? `
                         <div class="text-xs text-gray-400 mt-1">
                             To: ${Array.isArray(email.to_emails) ? email.to_emails.join(', ') : email.to_emails}
                         </div>
                     ` : ''}
+                    ${email.cc_emails && email.cc_emails.length > 0 ? `
+                        <div class="text-xs text-gray-400">
+                            Cc: ${email.cc_emails.join(', ')}
+                        </div>
+                    ` : ''}
                 </div>
-                <span class="text-xs">${formatDate(email.sent_at)}</span>
+                <span class="text-xs whitespace-nowrap">
+                    ${formatDate(email.sent_at)}
+                    ${renderSplitEmailAction(email, caseData, index)}
+                </span>
             </div>
             
             ${email.subject ? `
@@ -437,7 +880,7 @@ function renderEmailMessage(email) {
             ` : ''}
             
             <div class="text-sm text-gray-800 whitespace-pre-wrap bg-white p-3 rounded border">
-                ${email.body_plain || 'No content available'}
+                ${escapeHtml(email.body_plain) || 'No content available'}
             </div>
             
             ${email.intent || email.sentiment ? `
@@ -461,20 +904,39 @@ function renderFollowUp(followUp) {
         'cancelled': 'bg-gray-100 text-gray-800'
     };
     
+    const cancelLabel = getFollowUpCancelLabel(followUp);
+    
     return `
-        <div class="flex justify-between items-center p-3 bg-orange-50 rounded border">
-            <div>
-                <span class="text-sm font-medium">Stage ${followUp.stage} - ${capitalize(followUp.type)}</span>
-                ${followUp.template_used ? `<span class="text-xs text-gray-500 ml-2">(${followUp.template_used})</span>` : ''}
-            </div>
-            <div class="text-right">
-                <div class="text-sm text-gray-600">${formatDate(followUp.scheduled_for)}</div>
-                <span class="px-2 py-1 text-xs rounded ${statusColors[followUp.status] || 'bg-gray-100 text-gray-800'}">${followUp.status}</span>
+        <div class="p-3 bg-orange-50 rounded border">
+            <div class="flex justify-between items-center">
+                <div>
+                    <span class="text-sm font-medium">Stage ${followUp.stage} - ${formatStatus(followUp.type)}</span>
+                    ${followUp.template_used ? `<span class="text-xs text-gray-500 ml-2">(${escapeHtml(followUp.template_used)})</span>` : ''}
+                </div>
+                <div class="text-right">
+                    <div class="text-sm text-gray-600">${formatDate(followUp.scheduled_for)}</div>
+                    <span class="px-2 py-1 text-xs rounded ${statusColors[followUp.status] || 'bg-gray-100 text-gray-800'}">${followUp.status}</span>
+                    ${cancelLabel ? `<div class="text-xs text-gray-500 mt-1">${cancelLabel}</div>` : ''}
+                </div>
             </div>
+            ${renderFollowUpActions(followUp)}
         </div>
     `;
 }
 
+/**
+ * Render the SLA field in the case modal: a live countdown while the case is open,
+ * then whether its targets were met
+ */
+function renderCaseSlaSummary(caseData) {
+    const countdown = renderSlaCountdown(caseData);
+    if (countdown) return countdown;
+    
+    return hasMissedSla(caseData)
+        ? '<span class="text-red-600 font-medium">Missed</span>'
+        : '<span class="text-green-600 font-medium">Met</span>';
+}
+
 /**
  * Render case metadata
  */
@@ -515,10 +977,10 @@ function renderMetadata(metadata) {
  * Render case action buttons
  */
 function renderCaseActions(caseData) {
-    const actions = [];
+    const actions = [renderAssignmentControl(caseData)];
     
-    // START WORKING button - now shows for both 'new' AND 'assigned' status
-    if (['new', 'assigned'].includes(caseData.status)) {
+    // START WORKING button - wherever the lifecycle allows moving to in progress
+    if (!getStatusChangeError(caseData, 'in_progress') && canActOnCase(caseData, 'case.work')) {
         actions.push(`
             <button onclick="updateCaseStatus('${caseData.id}', 'in_progress')" 
                     class="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors">
@@ -527,8 +989,8 @@ function renderCaseActions(caseData) {
         `);
     }
     
-    // MARK RESOLVED button - shows for active statuses
-    if (['new', 'assigned', 'in_progress'].includes(caseData.status)) {
+    // MARK RESOLVED button - asks for a resolution note
+    if (canTransitionStatus(caseData.status, 'resolved') && canActOnCase(caseData, 'case.resolve')) {
         actions.push(`
             <button onclick="updateCaseStatus('${caseData.id}', 'resolved')" 
                     class="px-4 py-2 bg-green-500 text-white rounded hover:bg-green-600 transition-colors">
@@ -537,6 +999,36 @@ function renderCaseActions(caseData) {
         `);
     }
     
+    // ESCALATE button - asks for a reason and an escalation agent
+    if (canTransitionStatus(caseData.status, 'escalated') && canActOnCase(caseData, 'case.escalate')) {
+        actions.push(`
+            <button onclick="escalateCase('${caseData.id}')" 
+                    class="px-4 py-2 bg-red-500 text-white rounded hover:bg-red-600 transition-colors">
+                <i class="fas fa-exclamation-triangle mr-1"></i>Escalate
+            </button>
+        `);
+    }
+    
+    // REOPEN button - resolved and closed cases (merged duplicates stay closed)
+    if (isClosedCaseStatus(caseData.status) && !caseData.merged_into_case_id && canActOnCase(caseData, 'case.work')) {
+        actions.push(`
+            <button onclick="reopenCase('${caseData.id}')" 
+                    class="px-4 py-2 bg-yellow-500 text-white rounded hover:bg-yellow-600 transition-colors">
+                <i class="fas fa-redo mr-1"></i>Reopen
+            </button>
+        `);
+    }
+    
+    // MERGE button - fold this duplicate into another case
+    if (canMergeCase(caseData)) {
+        actions.push(`
+            <button onclick="mergeCaseInto('${caseData.id}')" 
+                    class="px-4 py-2 bg-indigo-500 text-white rounded hover:bg-indigo-600 transition-colors">
+                <i class="fas fa-compress-alt mr-1"></i>Merge into...
+            </button>
+        `);
+    }
+    
     actions.push(`
         <button onclick="copyToClipboard('${caseData.case_number}').then(success => success && showNotification('Case number copied!', 'success'))" 
                 class="px-4 py-2 bg-gray-500 text-white rounded hover:bg-gray-600 transition-colors">
@@ -556,6 +1048,7 @@ function getStatusColor(status) {
         'assigned': 'bg-blue-100 text-blue-800',
         'in_progress': 'bg-yellow-100 text-yellow-800',
         'pending_customer': 'bg-orange-100 text-orange-800',
+        'escalated': 'bg-red-100 text-red-800',
         'resolved': 'bg-gray-100 text-gray-800',
         'closed': 'bg-gray-100 text-gray-600'
     };
@@ -578,8 +1071,84 @@ function getPriorityColor(priority) {
 /**
  * Close case modal
  */
-function closeCaseModal() {
-    document.getElementById('caseModal').classList.add('hidden');
+function closeCaseModal(options = {}) {
+    const { updateUrl = true } = options;
+    const modal = document.getElementById('caseModal');
+    const wasOpen = !modal.classList.contains('hidden');
+    
+    modal.classList.add('hidden');
+    flushReplyDraft();
+    
+    if (wasOpen && updateUrl) {
+        updateRoute(getSectionRoute());
+    }
+}
+
+/**
+ * Write updates to a case as the signed-in agent.
+ * Throws if the update fails or Row Level Security skips the row.
+ */
+async function saveCaseUpdates(caseId, updates, actor) {
+    const { data: updated, error } = await app.supabase
+        .from('cases')
+        .update({ ...updates, updated_by: actor.id })
+        .eq('id', caseId)
+        .select('id');
+        
+    if (error) throw error;
+    
+    // Row Level Security silently skips rows the agent may not change
+    if (!updated || updated.length === 0) {
+        throw new Error('You do not have permission to update this case');
+    }
+}
+
+/**
+ * Build the case fields to write for a status change
+ */
+function buildStatusUpdates(caseData, newStatus, details = {}) {
+    const updates = { status: newStatus };
+    
+    // The database works out the minute fields from these milestones
+    if (newStatus === 'resolved') {
+        updates.resolved_at = new Date().toISOString();
+        updates.resolution_category = details.resolutionCategory;
+        updates.root_cause = details.rootCause || null;
+        updates.resolution_note = details.resolutionNote.trim();
+    } else if (newStatus === 'in_progress' && !caseData.first_response_at) {
+        updates.first_response_at = new Date().toISOString();
+    }
+    
+    // Reopening starts the resolution clock again
+    if (isClosedCaseStatus(caseData.status) && !isClosedCaseStatus(newStatus)) {
+        updates.resolved_at = null;
+    }
+    
+    return updates;
+}
+
+/**
+ * Fetch the fields the lifecycle checks for a case
+ */
+async function fetchCaseLifecycle(caseId) {
+    const { data: caseData, error } = await app.supabase
+        .from('cases')
+        .select('id, case_number, status, agent_id, first_response_at, merged_into_case_id')
+        .eq('id', caseId)
+        .single();
+        
+    if (error) throw error;
+    return caseData;
+}
+
+/**
+ * Move a case to a new status if the lifecycle allows it (no confirmation or UI refresh)
+ */
+async function performStatusChange(caseData, newStatus, actor, details = {}) {
+    const problem = getStatusChangeError(caseData, newStatus, details);
+    if (problem) throw new Error(problem);
+    
+    await saveCaseUpdates(caseData.id, buildStatusUpdates(caseData, newStatus, details), actor);
 }
 
 /**
@@ -591,34 +1160,72 @@ async function updateCaseStatus(caseId, newStatus) {
         return;
     }
 
-    try {
-        const updates = { status: newStatus };
-        
-        if (newStatus === 'resolved') {
-            updates.resolved_at = new Date().toISOString();
-        } else if (newStatus === 'in_progress') {
-            updates.first_response_at = new Date().toISOString();
-        }
+    const actor = getCurrentActor();
+    if (!actor) return;
+
+    // Resolving goes through the resolve dialog, which reports errors itself
+    if (newStatus === 'resolved') {
+        const openChildren = await loadOpenChildCases(caseId).catch(error => {
+            console.warn('Could not load child cases:', error);
+            return [];
+        });
         
-        const { error } = await app.supabase
-            .from('cases')
-            .update(updates)
-            .eq('id', caseId);
-            
-        if (error) throw error;
+        openResolutionDialog('Resolve case', async details => {
+            await applyCaseStatus(caseId, newStatus, actor, details);
+            if (details.resolveChildren) {
+                await resolveChildCases(openChildren, actor, details);
+            }
+        }, { childCount: openChildren.length });
+        return;
+    }
+
+    try {
+        await applyCaseStatus(caseId, newStatus, actor);
+    } catch (error) {
+        console.error('Error updating case status:', error);
+        showNotification(error.message || 'Failed to update case status', 'error');
+    }
+}
+
+/**
+ * Change a case's status, then close the modal and refresh
+ */
+async function applyCaseStatus(caseId, newStatus, actor, details = {}) {
+    const caseData = await fetchCaseLifecycle(caseId);
+    await performStatusChange(caseData, newStatus, actor, details);
+    
+    // Close modal and refresh data
+    closeCaseModal();
+    loadCasesTable(getCaseFilters());
+    if (app.loadDashboardData) {
+        app.loadDashboardData();
+    }
+    
+    showNotification(`Case status updated to ${formatStatus(newStatus)}`, 'success');
+}
+
+/**
+ * Reopen a resolved or closed case
+ */
+async function reopenCase(caseId) {
+    const actor = getCurrentActor();
+    if (!actor) return;
+    
+    try {
+        const caseData = await fetchCaseLifecycle(caseId);
+        const reopenStatus = getReopenStatus(caseData);
+        await performStatusChange(caseData, reopenStatus, actor);
         
-        // Close modal and refresh data
-        closeCaseModal();
-        loadCasesTable();
+        openCaseModal(caseId, { updateUrl: false });
+        loadCasesTable(getCaseFilters());
         if (app.loadDashboardData) {
             app.loadDashboardData();
         }
-        
-        showNotification(`Case status updated to ${formatStatus(newStatus)}`, 'success');
+        showNotification(`Case ${caseData.case_number} reopened as ${formatStatus(reopenStatus)}`, 'success');
         
     } catch (error) {
-        console.error('Error updating case status:', error);
-        showNotification('Failed to update case status', 'error');
+        console.error('Error reopening case:', error);
+        showNotification(error.message || 'Failed to reopen case', 'error');
     }
 }
 
@@ -626,16 +1233,12 @@ async function updateCaseStatus(caseId, newStatus) {
  * Quick status update from table
  */
 async function quickUpdateStatus(caseId, currentStatus) {
-    const nextStatus = {
-        'new': 'assigned',
-        'assigned': 'in_progress',
-        'in_progress': 'resolved',
-        'pending_customer': 'in_progress',
-        'resolved': 'closed'
-    };
-    
-    const next = nextStatus[currentStatus];
-    if (next) {
+    const next = getNextCaseStatus(currentStatus);
+    if (next === 'assigned') {
+        // Moving a new case to "assigned" means taking it yourself
+        const actor = getCurrentActor();
+        if (actor) await changeCaseAssignment(caseId, actor.id);
+    } else if (next) {
         await updateCaseStatus(caseId, next);
     } else {
         showNotification('No quick update available for this status', 'info');
@@ -643,41 +1246,42 @@ async function quickUpdateStatus(caseId, currentStatus) {
 }
 
 /**
- * Escalate case
+ * Escalate a case as the given agent (no confirmation or UI refresh)
+ * details: { targetAgentId, reason } from the escalation dialog
  */
-async function escalateCase(caseId) {
-    if (!confirm('Are you sure you want to escalate this case? This will notify management.')) {
-        return;
+async function performEscalation(caseId, actor, details) {
+    const { data: caseData, error: getError } = await app.supabase
+        .from('cases')
+        .select('agent_id')
+        .eq('id', caseId)
+        .single();
+        
+    if (getError) throw getError;
+    
+    if (!canActOnCase(caseData, 'case.escalate')) {
+        throw new Error('You do not have permission to escalate this case');
     }
     
-    try {
-        // Update case priority to urgent if not already VIP
-        const { data: caseData, error: getError } = await app.supabase
-            .from('cases')
-            .select('priority')
-            .eq('id', caseId)
-            .single();
-            
-        if (getError) throw getError;
-        
-        const updates = {
-            status: 'escalated',
-            priority: caseData.priority === 'vip' ? 'vip' : 'urgent'
-        };
-        
-        const { error } = await app.supabase
-            .from('cases')
-            .update(updates)
-            .eq('id', caseId);
-            
-        if (error) throw error;
-        
-        closeCaseModal();
-        loadCasesTable();
-        showNotification('Case escalated successfully', 'success');
+    // The database raises the priority, moves the case and notifies the target
+    return escalateCaseTo(caseId, details.targetAgentId, details.reason);
+}
+
+/**
+ * Escalate case
+ */
+async function escalateCase(caseId) {
+    const actor = getCurrentActor();
+    if (!actor) return;
+
+    // The dialog reports errors and stays open so the agent can retry
+    openEscalationDialog('Escalate case', async details => {
+        const updatedCase = await performEscalation(caseId, actor, details);
         
-    } catch (error) {
-        console.error('Error escalating case:', error);
-        showNotification('Failed to escalate case', 'error');
-    }
+        openCaseModal(caseId, { updateUrl: false });
+        loadCasesTable(getCaseFilters());
+        if (app.loadDashboardData) {
+            app.loadDashboardData();
+        }
+        showNotification(`Case ${updatedCase.case_number} escalated`, 'success');
+    });
 }
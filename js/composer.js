@@ -0,0 +1,506 @@
+/**
+ * Reply Composer
+ * Reply and reply-all from the case modal. Drafts autosave per agent; sent replies are
+ * stored in emails and handed to the n8n sending workflow through a webhook.
+ */
+
+// Wait this long after the last keystroke before saving the draft
+const DRAFT_AUTOSAVE_DELAY_MS = 1500;
+
+const REPLY_DELIVERY_BADGES = {
+    'queued': { label: 'Sending', class: 'bg-yellow-100 text-yellow-800', icon: 'fa-clock' },
+    'sent': { label: 'Sent', class: 'bg-green-100 text-green-800', icon: 'fa-check' },
+    'failed': { label: 'Not sent', class: 'bg-red-100 text-red-800', icon: 'fa-exclamation-triangle' }
+};
+
+const composerState = {
+    caseData: null,
+    emails: [],
+    mode: 'reply',
+    pendingDraft: null,
+    saveTimer: null,
+    sending: false
+};
+
+/**
+ * The shared support mailbox replies are sent from
+ */
+function getSupportEmail() {
+    const address = window.CONFIG.SUPPORT_EMAIL || '';
+    return address.includes('your-') ? '' : address.trim().toLowerCase();
+}
+
+/**
+ * Check whether replies can be handed to the sending workflow
+ */
+function isReplySendingConfigured() {
+    const url = window.CONFIG.N8N_REPLY_WEBHOOK_URL || '';
+    return !!url && !url.includes('your-');
+}
+
+/**
+ * Normalize a list of addresses (array, comma-separated string or { email } objects)
+ * to unique lower-case addresses
+ */
+function normalizeEmailList(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(/[,;]/);
+    const addresses = items
+        .map(item => (item && typeof item === 'object' ? item.email : item))
+        .map(address => String(address || '').trim().toLowerCase())
+        .filter(Boolean);
+
+    return [...new Set(addresses)];
+}
+
+/**
+ * Check whether an email was sent by support rather than the customer
+ */
+function isOutboundEmail(email) {
+    if (email.direction) return email.direction === 'outbound';
+
+    const supportEmail = getSupportEmail();
+    return !!supportEmail && (email.from_email || '').toLowerCase() === supportEmail;
+}
+
+/**
+ * Work out recipients for a reply ('reply') or reply-all ('reply_all')
+ * from the last customer message and the thread participants
+ */
+function getReplyRecipients(caseData, emails, mode) {
+    const supportEmail = getSupportEmail();
+    const lastInbound = [...emails].reverse().find(email => !isOutboundEmail(email));
+    const participants = normalizeEmailList(caseData.email_threads?.participants);
+
+    const to = lastInbound
+        ? normalizeEmailList(lastInbound.from_email)
+        : participants.filter(address => address !== supportEmail).slice(0, 1);
+
+    if (mode !== 'reply_all') {
+        return { to, cc: [] };
+    }
+
+    const cc = normalizeEmailList([
+        ...participants,
+        ...(lastInbound ? normalizeEmailList(lastInbound.to_emails) : []),
+        ...(lastInbound ? normalizeEmailList(lastInbound.cc_emails) : [])
+    ]).filter(address => address !== supportEmail && !to.includes(address));
+
+    return { to, cc };
+}
+
+/**
+ * Subject for a reply, prefixed with "Re:" once
+ */
+function getReplySubject(caseData, emails) {
+    const lastSubject = [...emails].reverse().find(email => email.subject)?.subject;
+    const subject = lastSubject || caseData.email_threads?.subject || caseData.case_number;
+    return /^re:/i.test(subject) ? subject : `Re: ${subject}`;
+}
+
+/**
+ * Render the composer placeholder for the case modal
+ */
+function renderReplyComposer(caseData) {
+    if (!canActOnCase(caseData, 'case.work')) return '';
+
+    return `
+        <div id="replyComposer" class="border rounded-lg p-4">
+            <div class="flex items-center text-sm text-gray-500">
+                <i class="fas fa-spinner fa-spin mr-2"></i>Loading reply...
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Fill the composer with the agent's saved draft, or pre-filled recipients
+ */
+async function loadReplyComposer(caseData, emails) {
+    // A pending draft for the previous case must not be lost when the modal re-renders
+    await flushReplyDraft();
+
+    composerState.caseData = caseData;
+    composerState.emails = emails;
+    composerState.mode = 'reply';
+
+    const container = document.getElementById('replyComposer');
+    if (!container) return;
+
+    let draft = null;
+    try {
+        const { data, error } = await app.supabase
+            .from('email_drafts')
+            .select('*')
+            .eq('case_id', caseData.id)
+            .eq('agent_id', app.currentAgent.id)
+            .maybeSingle();
+
+        if (error) throw error;
+        draft = data;
+
+    } catch (error) {
+        console.error('Error loading reply draft:', error);
+    }
+
+    if (draft) {
+        composerState.mode = draft.reply_mode;
+        renderReplyComposerForm(container, {
+            to: draft.to_emails,
+            cc: draft.cc_emails,
+            subject: draft.subject,
+            body: draft.body
+        });
+        setDraftStatus(`Draft saved ${formatDate(draft.updated_at)}`);
+        return;
+    }
+
+    renderReplyComposerForm(container, {
+        ...getReplyRecipients(caseData, emails, 'reply'),
+        subject: getReplySubject(caseData, emails),
+        body: ''
+    });
+}
+
+/**
+ * Render the composer fields
+ */
+function renderReplyComposerForm(container, values) {
+    const modeButton = (mode, icon, label) => `
+        <button onclick="setReplyMode('${mode}')"
+                class="px-3 py-1 ${composerState.mode === mode ? 'bg-blue-500 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'} transition-colors">
+            <i class="fas ${icon} mr-1"></i>${label}
+        </button>
+    `;
+    const inputClass = 'flex-1 min-w-0 px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+    container.innerHTML = `
+        <div class="flex flex-wrap items-center justify-between gap-2 mb-3">
+            <div class="inline-flex border border-gray-300 rounded-lg overflow-hidden text-sm">
+                ${modeButton('reply', 'fa-reply', 'Reply')}
+                ${modeButton('reply_all', 'fa-reply-all', 'Reply all')}
+            </div>
+            <span id="replyDraftStatus" class="text-xs text-gray-400"></span>
+        </div>
+        <div class="space-y-2">
+            <div class="flex items-center gap-2">
+                <label for="replyTo" class="w-16 text-sm font-medium text-gray-700">To</label>
+                <input id="replyTo" type="text" value="${escapeHtml(values.to.join(', '))}" oninput="scheduleDraftSave()" class="${inputClass}">
+            </div>
+            <div class="flex items-center gap-2">
+                <label for="replyCc" class="w-16 text-sm font-medium text-gray-700">Cc</label>
+                <input id="replyCc" type="text" value="${escapeHtml(values.cc.join(', '))}" oninput="scheduleDraftSave()" class="${inputClass}">
+            </div>
+            <div class="flex items-center gap-2">
+                <label for="replySubject" class="w-16 text-sm font-medium text-gray-700">Subject</label>
+                <input id="replySubject" type="text" value="${escapeHtml(values.subject || '')}" oninput="scheduleDraftSave()" class="${inputClass}">
+            </div>
+            <select id="replyTemplateSelect" onchange="insertReplyTemplate(this)" disabled
+                    class="w-full px-3 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-600 focus:ring-2 focus:ring-blue-500 focus:border-transparent">
+                <option value="">Loading templates...</option>
+            </select>
+            <textarea id="replyBody" rows="6" oninput="scheduleDraftSave()" placeholder="Write your reply..."
+                      class="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent">${escapeHtml(values.body || '')}</textarea>
+        </div>
+        <div class="flex flex-wrap items-center justify-end gap-2 mt-3">
+            ${!isReplySendingConfigured() ? `
+                <span class="mr-auto text-xs text-orange-600">
+                    <i class="fas fa-exclamation-circle mr-1"></i>Sending is not configured (N8N_REPLY_WEBHOOK_URL)
+                </span>
+            ` : ''}
+            <button onclick="discardReplyDraft()" class="px-3 py-1.5 text-sm bg-gray-200 text-gray-700 rounded hover:bg-gray-300 transition-colors">
+                <i class="fas fa-trash-alt mr-1"></i>Discard
+            </button>
+            <button id="replySendButton" onclick="sendReply()" ${!isReplySendingConfigured() ? 'disabled' : ''}
+                    class="px-3 py-1.5 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed">
+                <i class="fas fa-paper-plane mr-1"></i>Send reply
+            </button>
+        </div>
+    `;
+
+    fillReplyTemplateSelect();
+}
+
+/**
+ * Switch between reply and reply-all, re-filling the recipients
+ */
+function setReplyMode(mode) {
+    if (!composerState.caseData || composerState.mode === mode) return;
+
+    const values = readReplyComposer();
+    composerState.mode = mode;
+
+    renderReplyComposerForm(document.getElementById('replyComposer'), {
+        ...getReplyRecipients(composerState.caseData, composerState.emails, mode),
+        subject: values.subject,
+        body: values.body
+    });
+    scheduleDraftSave();
+}
+
+/**
+ * Read the composer fields
+ */
+function readReplyComposer() {
+    return {
+        to: normalizeEmailList(document.getElementById('replyTo').value),
+        cc: normalizeEmailList(document.getElementById('replyCc').value),
+        subject: document.getElementById('replySubject').value.trim(),
+        body: document.getElementById('replyBody').value
+    };
+}
+
+/**
+ * Show the draft save state next to the mode toggle
+ */
+function setDraftStatus(text) {
+    const status = document.getElementById('replyDraftStatus');
+    if (status) status.textContent = text;
+}
+
+/**
+ * Queue a draft save after the agent stops typing
+ */
+function scheduleDraftSave() {
+    if (!composerState.caseData || !app.currentAgent) return;
+
+    const values = readReplyComposer();
+    composerState.pendingDraft = {
+        case_id: composerState.caseData.id,
+        agent_id: app.currentAgent.id,
+        reply_mode: composerState.mode,
+        to_emails: values.to,
+        cc_emails: values.cc,
+        subject: values.subject,
+        body: values.body,
+        updated_at: new Date().toISOString()
+    };
+
+    setDraftStatus('Unsaved changes');
+    clearTimeout(composerState.saveTimer);
+    composerState.saveTimer = setTimeout(flushReplyDraft, DRAFT_AUTOSAVE_DELAY_MS);
+}
+
+/**
+ * Save any pending draft now
+ */
+async function flushReplyDraft() {
+    clearTimeout(composerState.saveTimer);
+    composerState.saveTimer = null;
+
+    const draft = composerState.pendingDraft;
+    if (!draft) return;
+    composerState.pendingDraft = null;
+
+    try {
+        setDraftStatus('Saving draft...');
+
+        const { error } = await app.supabase
+            .from('email_drafts')
+            .upsert(draft, { onConflict: 'case_id,agent_id' });
+
+        if (error) throw error;
+
+        if (composerState.caseData && composerState.caseData.id === draft.case_id) {
+            setDraftStatus(`Draft saved ${formatDate(draft.updated_at)}`);
+        }
+
+    } catch (error) {
+        console.error('Error saving reply draft:', error);
+        setDraftStatus('Draft not saved');
+    }
+}
+
+/**
+ * Delete the agent's draft and reset the composer
+ */
+async function discardReplyDraft() {
+    const caseData = composerState.caseData;
+    if (!caseData || !getCurrentActor()) return;
+
+    const values = readReplyComposer();
+    if (values.body.trim() && !confirm('Discard this reply?')) return;
+
+    clearTimeout(composerState.saveTimer);
+    composerState.pendingDraft = null;
+
+    try {
+        const { error } = await app.supabase
+            .from('email_drafts')
+            .delete()
+            .eq('case_id', caseData.id)
+            .eq('agent_id', app.currentAgent.id);
+
+        if (error) throw error;
+
+        composerState.mode = 'reply';
+        renderReplyComposerForm(document.getElementById('replyComposer'), {
+            ...getReplyRecipients(caseData, composerState.emails, 'reply'),
+            subject: getReplySubject(caseData, composerState.emails),
+            body: ''
+        });
+
+    } catch (error) {
+        console.error('Error discarding reply draft:', error);
+        showNotification('Failed to discard draft', 'error');
+    }
+}
+
+/**
+ * Send the reply: store it, hand it to the sending workflow and move the case
+ * to pending customer
+ */
+async function sendReply() {
+    const caseData = composerState.caseData;
+    if (!caseData || composerState.sending || !getCurrentActor()) return;
+
+    if (!isReplySendingConfigured()) {
+        showNotification('Reply sending is not configured', 'error');
+        return;
+    }
+
+    const values = readReplyComposer();
+    const invalid = [...values.to, ...values.cc].filter(address => !isValidEmail(address));
+
+    if (values.to.length === 0) {
+        showNotification('Add at least one recipient', 'warning');
+        return;
+    }
+    if (invalid.length > 0) {
+        showNotification(`Invalid address: ${invalid.join(', ')}`, 'warning');
+        return;
+    }
+    if (!values.body.trim()) {
+        showNotification('Write a reply before sending', 'warning');
+        return;
+    }
+
+    // The send deletes the draft, so an autosave must not recreate it afterwards
+    clearTimeout(composerState.saveTimer);
+    composerState.pendingDraft = null;
+    composerState.sending = true;
+
+    const sendButton = document.getElementById('replySendButton');
+    if (sendButton) {
+        sendButton.disabled = true;
+        sendButton.innerHTML = '<i class="fas fa-spinner fa-spin mr-1"></i>Sending...';
+    }
+
+    try {
+        const { data: email, error } = await app.supabase
+            .rpc('send_case_reply', {
+                p_case_id: caseData.id,
+                p_to: values.to,
+                p_cc: values.cc,
+                p_subject: values.subject,
+                p_body: values.body
+            });
+
+        if (error) throw error;
+
+        const delivered = await deliverReply(email);
+
+        if (delivered) {
+            showNotification(`Reply sent on case ${caseData.case_number}`, 'success');
+        } else {
+            showNotification('Reply saved but could not be handed to the mail workflow. Retry from the conversation.', 'warning', 6000);
+        }
+
+        openCaseModal(caseData.id, { updateUrl: false });
+        loadCasesTable(getCaseFilters());
+        if (app.loadDashboardData) {
+            app.loadDashboardData();
+        }
+
+    } catch (error) {
+        console.error('Error sending reply:', error);
+        showNotification(error.message || 'Failed to send reply', 'error');
+
+        if (sendButton) {
+            sendButton.disabled = false;
+            sendButton.innerHTML = '<i class="fas fa-paper-plane mr-1"></i>Send reply';
+        }
+
+    } finally {
+        composerState.sending = false;
+    }
+}
+
+/**
+ * Hand a stored reply to the n8n sending workflow by id; the workflow reads the
+ * message itself with the service role, so the public webhook cannot be used to
+ * send arbitrary mail. Marks the reply as failed if the webhook does not accept it.
+ */
+async function deliverReply(email) {
+    try {
+        const response = await fetch(window.CONFIG.N8N_REPLY_WEBHOOK_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email_id: email.id })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Webhook responded ${response.status}`);
+        }
+
+        return true;
+
+    } catch (error) {
+        console.error('Error handing reply to the sending workflow:', error);
+
+        const { error: updateError } = await app.supabase
+            .rpc('set_reply_delivery_status', { p_email_id: email.id, p_status: 'failed' });
+
+        if (updateError) console.error('Error flagging reply as failed:', updateError);
+        return false;
+    }
+}
+
+/**
+ * Hand a failed reply to the sending workflow again
+ */
+async function retryReplyDelivery(emailId) {
+    const caseData = composerState.caseData;
+    const email = composerState.emails.find(item => item.id === emailId);
+    if (!caseData || !email || !getCurrentActor()) return;
+
+    try {
+        const { error } = await app.supabase
+            .rpc('set_reply_delivery_status', { p_email_id: emailId, p_status: 'queued' });
+
+        if (error) throw error;
+
+        const delivered = await deliverReply(email);
+        showNotification(
+            delivered ? 'Reply handed to the mail workflow' : 'Reply still could not be sent',
+            delivered ? 'success' : 'error'
+        );
+
+        openCaseModal(caseData.id, { updateUrl: false });
+
+    } catch (error) {
+        console.error('Error retrying reply:', error);
+        showNotification('Failed to retry reply', 'error');
+    }
+}
+
+/**
+ * Render the delivery state of a reply sent from the portal
+ */
+function renderReplyDeliveryBadge(email) {
+    const badge = REPLY_DELIVERY_BADGES[email.delivery_status];
+    if (!badge) return '';
+
+    const canRetry = email.delivery_status === 'failed' &&
+        app.currentAgent && email.sent_by_agent_id === app.currentAgent.id;
+
+    return `
+        <span class="ml-2 px-2 py-0.5 rounded text-xs ${badge.class}">
+            <i class="fas ${badge.icon} mr-1"></i>${badge.label}
+        </span>
+        ${canRetry ? `
+            <button onclick="retryReplyDelivery('${email.id}')" class="ml-1 text-xs text-blue-600 hover:text-blue-800">
+                <i class="fas fa-redo mr-1"></i>Retry
+            </button>
+        ` : ''}
+    `;
+}
@@ -13,6 +13,12 @@ if (typeof window.CONFIG === 'undefined') {
         APP_NAME: 'Employee Support Portal (Debug)',
         APP_VERSION: '1.0.0-debug',
         REFRESH_INTERVAL: 30000,
+        IDLE_TIMEOUT_MINUTES: 10,
+        AUTO_ASSIGN_ENABLED: 'false',
+        AUTO_ASSIGN_STRATEGY: 'least_loaded',
+        AUTO_ASSIGN_INTERVAL_SECONDS: 60,
+        SUPPORT_EMAIL: '',
+        N8N_REPLY_WEBHOOK_URL: '',
         DEBUG_MODE: 'true',
         
         // API Configuration (auto-generated)
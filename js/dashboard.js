@@ -74,8 +74,8 @@ SupportPortalApp.prototype.calculateAgentPerformanceManually = async function()
     
     // Use all-time response time average
     const allResponseTimes = agentCases
-        .filter(c => c.response_time_minutes && c.response_time_minutes > 0)
-        .map(c => c.response_time_minutes);
+        .map(c => getCaseResponseMinutes(c))
+        .filter(minutes => minutes && minutes > 0);
     
     const avgResponseTime = allResponseTimes.length > 0 
         ? allResponseTimes.reduce((sum, time) => sum + time, 0) / allResponseTimes.length
@@ -231,7 +231,7 @@ SupportPortalApp.prototype.loadRecentCases = async function() {
 
 SupportPortalApp.prototype.createCaseRow = function(case_item) {
     const tr = document.createElement('tr');
-    tr.className = 'hover:bg-gray-50 cursor-pointer transition-colors';
+    tr.className = `hover:bg-gray-50 cursor-pointer transition-colors ${getSlaRowClass(case_item)}`;
     tr.onclick = () => openCaseModal(case_item.id);
     
     const priorityConfig = {
@@ -246,6 +246,7 @@ SupportPortalApp.prototype.createCaseRow = function(case_item) {
         'assigned': { bg: 'bg-blue-100', text: 'text-blue-800', icon: '👤' },
         'in_progress': { bg: 'bg-yellow-100', text: 'text-yellow-800', icon: '⚡' },
         'pending_customer': { bg: 'bg-orange-100', text: 'text-orange-800', icon: '⏳' },
+        'escalated': { bg: 'bg-red-100', text: 'text-red-800', icon: '🔺' },
         'resolved': { bg: 'bg-gray-100', text: 'text-gray-800', icon: '✅' },
         'closed': { bg: 'bg-gray-100', text: 'text-gray-600', icon: '🔒' }
     };
@@ -278,6 +279,7 @@ SupportPortalApp.prototype.createCaseRow = function(case_item) {
         </td>
         <td class="px-6 py-4 whitespace-nowrap text-sm ${isOverdue ? 'text-red-600 font-medium' : 'text-gray-500'}">
             ${tat}
+            <div class="mt-1">${renderSlaCountdown(case_item)}</div>
         </td>
         <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">
             <button class="text-blue-600 hover:text-blue-900 transition-colors" onclick="event.stopPropagation(); openCaseModal('${case_item.id}')">
@@ -290,24 +292,7 @@ SupportPortalApp.prototype.createCaseRow = function(case_item) {
 };
 
 SupportPortalApp.prototype.isCaseOverdue = function(case_item) {
-    if (case_item.status === 'resolved' || case_item.status === 'closed') {
-        return false;
-    }
-    
-    const created = new Date(case_item.created_at);
-    const now = new Date();
-    const hoursOpen = (now - created) / (1000 * 60 * 60);
-    
-    // Define SLA based on priority
-    const slaHours = {
-        'vip': 4,
-        'urgent': 8, 
-        'normal': 24,
-        'low': 48
-    };
-    
-    const maxHours = slaHours[case_item.priority] || 24;
-    return hoursOpen > maxHours;
+    return getSlaStatus(case_item).overdue;
 };
 
 SupportPortalApp.prototype.updateDashboardCharts = async function() {
@@ -327,7 +312,7 @@ SupportPortalApp.prototype.createCasesTimelineChart = async function() {
         
         const { data: cases, error } = await this.supabase
             .from('cases')
-            .select('created_at, resolved_at, status')
+            .select('created_at, first_response_at, resolved_at, status, priority, category, provider_id, first_response_due_at, resolution_due_at')
             .gte('created_at', startDate.toISOString())
             .order('created_at', { ascending: true });
             
@@ -337,6 +322,7 @@ SupportPortalApp.prototype.createCasesTimelineChart = async function() {
         const days = [];
         const createdData = [];
         const resolvedData = [];
+        const breachedData = [];
         
         for (let i = 0; i < 7; i++) {
             const date = new Date(startDate);
@@ -350,8 +336,13 @@ SupportPortalApp.prototype.createCasesTimelineChart = async function() {
                 c.resolved_at && c.resolved_at.startsWith(dateStr)
             ).length;
             
+            const breached = cases.filter(c => 
+                c.created_at.startsWith(dateStr) && hasMissedSla(c)
+            ).length;
+            
             createdData.push(created);
             resolvedData.push(resolved);
+            breachedData.push(breached);
         }
         
         // Create chart
@@ -380,6 +371,14 @@ SupportPortalApp.prototype.createCasesTimelineChart = async function() {
                     backgroundColor: 'rgba(34, 197, 94, 0.1)',
                     tension: 0.1,
                     fill: true
+                }, {
+                    label: 'SLA Breached',
+                    data: breachedData,
+                    borderColor: 'rgb(239, 68, 68)',
+                    backgroundColor: 'rgba(239, 68, 68, 0.1)',
+                    borderDash: [5, 5],
+                    tension: 0.1,
+                    fill: false
                 }]
             },
             options: {
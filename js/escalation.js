@@ -0,0 +1,174 @@
+/**
+ * Escalation
+ * Escalate with a reason to an agent who handles escalations, show the escalation on
+ * the case, and de-escalate back to normal handling.
+ */
+
+const escalationState = {
+    onConfirm: null,
+    submitting: false
+};
+
+/**
+ * Escalate a case through the database (reason and target are required)
+ */
+async function escalateCaseTo(caseId, targetAgentId, reason) {
+    const { data: updatedCase, error } = await app.supabase
+        .rpc('escalate_case', { p_case_id: caseId, p_target_agent_id: targetAgentId, p_reason: reason });
+
+    if (error) throw error;
+    return updatedCase;
+}
+
+/**
+ * Agents who can take escalations, least loaded available agents first
+ */
+async function loadEscalationTargets() {
+    const { data: agents, error } = await app.supabase
+        .from('agents')
+        .select('id, name, status, current_case_count')
+        .eq('handles_escalations', true)
+        .order('name');
+
+    if (error) throw error;
+
+    return agents.sort((a, b) =>
+        (ASSIGNMENT_STATUS_WEIGHT[b.status] ?? 0) - (ASSIGNMENT_STATUS_WEIGHT[a.status] ?? 0) ||
+        (a.current_case_count || 0) - (b.current_case_count || 0)
+    );
+}
+
+/**
+ * Open the escalation dialog; onConfirm receives { targetAgentId, reason }
+ * and the dialog stays open if it throws
+ */
+async function openEscalationDialog(title, onConfirm) {
+    escalationState.onConfirm = onConfirm;
+
+    document.getElementById('escalationDialogTitle').textContent = title;
+    document.getElementById('escalationReasonInput').value = '';
+    document.getElementById('escalationDialog').classList.remove('hidden');
+
+    const select = document.getElementById('escalationTargetSelect');
+    select.innerHTML = '<option value="">Loading agents...</option>';
+    select.disabled = true;
+
+    try {
+        const agents = await loadEscalationTargets();
+
+        select.innerHTML = agents.length > 0
+            ? agents.map(agent => `<option value="${agent.id}">${escapeHtml(formatAssignmentOption(agent))}</option>`).join('')
+            : '<option value="">No agents handle escalations</option>';
+        select.disabled = agents.length === 0;
+
+    } catch (error) {
+        console.error('Error loading escalation targets:', error);
+        select.innerHTML = '<option value="">Could not load agents</option>';
+    }
+
+    document.getElementById('escalationReasonInput').focus();
+}
+
+/**
+ * Close the escalation dialog
+ */
+function closeEscalationDialog() {
+    document.getElementById('escalationDialog').classList.add('hidden');
+    escalationState.onConfirm = null;
+}
+
+/**
+ * Validate the dialog and hand the choice to whoever opened it
+ */
+async function confirmEscalation(event) {
+    event.preventDefault();
+    if (escalationState.submitting || !escalationState.onConfirm) return;
+
+    const targetAgentId = document.getElementById('escalationTargetSelect').value;
+    const reason = document.getElementById('escalationReasonInput').value.trim();
+
+    if (!targetAgentId) {
+        showNotification('Choose who to escalate to', 'warning');
+        return;
+    }
+    if (!reason) {
+        showNotification('Give a reason for the escalation', 'warning');
+        return;
+    }
+
+    const onConfirm = escalationState.onConfirm;
+    const submitButton = document.getElementById('escalationSubmit');
+    escalationState.submitting = true;
+    submitButton.disabled = true;
+
+    try {
+        await onConfirm({ targetAgentId, reason });
+        closeEscalationDialog();
+    } catch (error) {
+        console.error('Error escalating case:', error);
+        showNotification(error.message || 'Failed to escalate case', 'error');
+    } finally {
+        escalationState.submitting = false;
+        submitButton.disabled = false;
+    }
+}
+
+/**
+ * Render the escalation banner at the top of the case modal
+ */
+function renderEscalationBanner(caseData) {
+    if (caseData.status !== 'escalated') return '';
+
+    const canDeEscalate = can('case.manage_any') ||
+        (app.currentAgent && caseData.agent_id === app.currentAgent.id);
+
+    return `
+        <div class="bg-red-50 border-l-4 border-red-500 p-4 rounded">
+            <div class="flex items-start justify-between gap-4">
+                <div class="text-sm">
+                    <p class="font-medium text-red-800">
+                        <i class="fas fa-exclamation-triangle mr-1"></i>
+                        Escalated to ${escapeHtml(caseData.agents?.name || 'Unassigned')}
+                        ${caseData.escalated_at ? `<span class="font-normal text-red-600">· ${formatDate(caseData.escalated_at, 'long')}</span>` : ''}
+                    </p>
+                    ${caseData.escalation_reason ? `
+                        <p class="text-red-700 mt-1 whitespace-pre-wrap">${escapeHtml(caseData.escalation_reason)}</p>
+                    ` : ''}
+                </div>
+                ${canDeEscalate ? `
+                    <button onclick="deEscalateCase('${caseData.id}')" class="flex-shrink-0 px-3 py-1.5 text-sm bg-white border border-red-300 text-red-700 rounded hover:bg-red-100 transition-colors">
+                        <i class="fas fa-level-down-alt mr-1"></i>De-escalate
+                    </button>
+                ` : ''}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Return an escalated case to the status and priority it had before
+ */
+async function deEscalateCase(caseId) {
+    if (!getCurrentActor()) return;
+
+    const note = prompt('De-escalate this case? Optionally add a note for the history:');
+    if (note === null) return;
+
+    try {
+        const { data: updatedCase, error } = await app.supabase
+            .rpc('de_escalate_case', { p_case_id: caseId, p_note: note.trim() || null });
+
+        if (error) throw error;
+
+        openCaseModal(caseId, { updateUrl: false });
+        loadCasesTable(getCaseFilters());
+        if (app.loadDashboardData) {
+            app.loadDashboardData();
+        }
+        showNotification(`Case ${updatedCase.case_number} de-escalated`, 'success');
+
+    } catch (error) {
+        console.error('Error de-escalating case:', error);
+        showNotification(error.message || 'Failed to de-escalate case', 'error');
+    }
+}
@@ -0,0 +1,271 @@
+/**
+ * Follow-ups
+ * Schedule, reschedule and cancel the follow-ups the n8n workflow sends.
+ * The database cancels pending ones when the case closes or the customer replies.
+ */
+
+const FOLLOW_UP_TYPES = ['reminder', 'check_in', 'satisfaction'];
+
+// Default delay for a new follow-up (counted in business time when enabled)
+const FOLLOW_UP_DEFAULT_DELAY_MINUTES = 2 * 24 * 60;
+
+const FOLLOW_UP_CANCEL_REASONS = {
+    'customer_replied': 'customer replied',
+    'case_resolved': 'case resolved',
+    'case_closed': 'case closed',
+    'agent': 'cancelled by agent'
+};
+
+const followUpState = {
+    caseData: null,
+    followUps: []
+};
+
+/**
+ * Format a date for a datetime-local input (local time, minute precision)
+ */
+function toDateTimeLocalValue(date) {
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+}
+
+/**
+ * Render the follow-ups section of the case modal
+ */
+function renderFollowUpSection(caseData, followUps) {
+    followUpState.caseData = caseData;
+    followUpState.followUps = followUps;
+
+    const canManage = canManageFollowUps(caseData);
+    if (followUps.length === 0 && !canManage) return '';
+
+    return `
+        <div>
+            <div class="flex items-center justify-between mb-3">
+                <h4 class="font-medium text-gray-900">Scheduled Follow-ups</h4>
+                ${canManage ? `
+                    <button onclick="toggleFollowUpForm()" class="text-sm text-blue-600 hover:text-blue-800">
+                        <i class="fas fa-calendar-plus mr-1"></i>Schedule
+                    </button>
+                ` : ''}
+            </div>
+            ${canManage ? renderFollowUpForm(caseData) : ''}
+            <div class="space-y-2">
+                ${followUps.length > 0
+                    ? followUps.map(followUp => renderFollowUp(followUp)).join('')
+                    : '<p class="text-sm text-gray-500">No follow-ups scheduled</p>'}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Check whether the signed-in agent can change follow-ups on an open case
+ */
+function canManageFollowUps(caseData) {
+    return canActOnCase(caseData, 'case.work') && !['resolved', 'closed'].includes(caseData.status);
+}
+
+/**
+ * Render the (initially hidden) schedule form
+ */
+function renderFollowUpForm(caseData) {
+    const inputClass = 'w-full px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+    const defaultTime = addElapsedMinutes(new Date(), FOLLOW_UP_DEFAULT_DELAY_MINUTES);
+
+    return `
+        <form id="followUpForm" onsubmit="scheduleFollowUp(event, '${caseData.id}')" class="hidden grid grid-cols-1 md:grid-cols-4 gap-3 items-end p-3 mb-3 bg-gray-50 border rounded-lg">
+            <div>
+                <label for="followUpTypeInput" class="block text-xs font-medium text-gray-500 mb-1">Type</label>
+                <select id="followUpTypeInput" class="${inputClass}">
+                    ${FOLLOW_UP_TYPES.map(type => `<option value="${type}">${formatStatus(type)}</option>`).join('')}
+                </select>
+            </div>
+            <div>
+                <label for="followUpTemplateInput" class="block text-xs font-medium text-gray-500 mb-1">Template</label>
+                <select id="followUpTemplateInput" class="${inputClass}">
+                    <option value="">Workflow default</option>
+                </select>
+            </div>
+            <div>
+                <label for="followUpTimeInput" class="block text-xs font-medium text-gray-500 mb-1">Send at</label>
+                <input type="datetime-local" id="followUpTimeInput" required value="${toDateTimeLocalValue(defaultTime)}" class="${inputClass}">
+            </div>
+            <button type="submit" class="px-3 py-1.5 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors">
+                <i class="fas fa-calendar-check mr-1"></i>Schedule
+            </button>
+        </form>
+    `;
+}
+
+/**
+ * Show or hide the schedule form, loading templates the first time
+ */
+async function toggleFollowUpForm() {
+    const form = document.getElementById('followUpForm');
+    if (!form) return;
+
+    form.classList.toggle('hidden');
+    if (form.classList.contains('hidden') || form.dataset.templatesLoaded) return;
+
+    try {
+        const templates = await loadResponseTemplates();
+        const select = document.getElementById('followUpTemplateInput');
+
+        // Follow-ups record the template by name, as the workflow does
+        select.innerHTML = '<option value="">Workflow default</option>' + templates
+            .map(template => `<option value="${escapeHtml(template.name)}">${escapeHtml(template.name)}</option>`)
+            .join('');
+        form.dataset.templatesLoaded = 'true';
+
+    } catch (error) {
+        console.error('Error loading templates for follow-ups:', error);
+    }
+}
+
+/**
+ * Render the reschedule/cancel controls for a pending follow-up
+ */
+function renderFollowUpActions(followUp) {
+    if (followUp.status !== 'pending' || !followUpState.caseData || !canManageFollowUps(followUpState.caseData)) {
+        return '';
+    }
+
+    return `
+        <div class="flex items-center justify-end gap-2 mt-2">
+            <input type="datetime-local" id="followUpReschedule-${followUp.id}" value="${toDateTimeLocalValue(new Date(followUp.scheduled_for))}"
+                   class="px-2 py-1 border border-gray-300 rounded text-xs focus:ring-2 focus:ring-blue-500 focus:border-transparent">
+            <button onclick="rescheduleFollowUp('${followUp.id}')" class="text-xs text-blue-600 hover:text-blue-800">
+                <i class="fas fa-clock mr-1"></i>Reschedule
+            </button>
+            <button onclick="cancelFollowUp('${followUp.id}')" class="text-xs text-red-600 hover:text-red-800">
+                <i class="fas fa-ban mr-1"></i>Cancel
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Describe why a follow-up was cancelled
+ */
+function getFollowUpCancelLabel(followUp) {
+    if (followUp.status !== 'cancelled' || !followUp.cancel_reason) return '';
+    return FOLLOW_UP_CANCEL_REASONS[followUp.cancel_reason] || followUp.cancel_reason.replace(/_/g, ' ');
+}
+
+/**
+ * Read a datetime-local input as a future Date, or notify and return null
+ */
+function readFollowUpTime(input) {
+    const scheduledFor = new Date(input.value);
+
+    if (!input.value || isNaN(scheduledFor)) {
+        showNotification('Pick a date and time', 'warning');
+        return null;
+    }
+    if (scheduledFor <= new Date()) {
+        showNotification('Follow-ups must be scheduled in the future', 'warning');
+        return null;
+    }
+    return scheduledFor;
+}
+
+/**
+ * Reload the modal and table after a follow-up change
+ */
+function refreshAfterFollowUpChange(caseId) {
+    openCaseModal(caseId, { updateUrl: false });
+    loadCasesTable(getCaseFilters());
+}
+
+/**
+ * Schedule a new follow-up as the next stage
+ */
+async function scheduleFollowUp(event, caseId) {
+    event.preventDefault();
+    const actor = getCurrentActor();
+    if (!actor) return;
+
+    const scheduledFor = readFollowUpTime(document.getElementById('followUpTimeInput'));
+    if (!scheduledFor) return;
+
+    const lastStage = Math.max(0, ...followUpState.followUps.map(followUp => followUp.stage || 0));
+
+    try {
+        const { error } = await app.supabase
+            .from('follow_ups')
+            .insert({
+                case_id: caseId,
+                stage: lastStage + 1,
+                type: document.getElementById('followUpTypeInput').value,
+                template_used: document.getElementById('followUpTemplateInput').value || null,
+                scheduled_for: scheduledFor.toISOString(),
+                status: 'pending',
+                created_by: actor.id
+            });
+
+        if (error) throw error;
+
+        showNotification(`Follow-up scheduled for ${formatDate(scheduledFor.toISOString(), 'long')}`, 'success');
+        refreshAfterFollowUpChange(caseId);
+
+    } catch (error) {
+        console.error('Error scheduling follow-up:', error);
+        showNotification(error.message || 'Failed to schedule follow-up', 'error');
+    }
+}
+
+/**
+ * Move a pending follow-up to a new time
+ */
+async function rescheduleFollowUp(followUpId) {
+    if (!getCurrentActor()) return;
+
+    const scheduledFor = readFollowUpTime(document.getElementById(`followUpReschedule-${followUpId}`));
+    if (!scheduledFor) return;
+
+    await updatePendingFollowUp(followUpId, { scheduled_for: scheduledFor.toISOString() }, 'Follow-up rescheduled');
+}
+
+/**
+ * Cancel a pending follow-up
+ */
+async function cancelFollowUp(followUpId) {
+    if (!getCurrentActor()) return;
+    if (!confirm('Cancel this follow-up? The customer will not receive it.')) return;
+
+    await updatePendingFollowUp(followUpId, {
+        status: 'cancelled',
+        cancelled_at: new Date().toISOString(),
+        cancel_reason: 'agent'
+    }, 'Follow-up cancelled');
+}
+
+/**
+ * Update a follow-up only while it is still pending (the workflow may have sent it)
+ */
+async function updatePendingFollowUp(followUpId, updates, successMessage) {
+    const caseId = followUpState.caseData.id;
+
+    try {
+        const { data: updated, error } = await app.supabase
+            .from('follow_ups')
+            .update(updates)
+            .eq('id', followUpId)
+            .eq('status', 'pending')
+            .select('id');
+
+        if (error) throw error;
+
+        if (!updated || updated.length === 0) {
+            showNotification('This follow-up is no longer pending', 'warning');
+        } else {
+            showNotification(successMessage, 'success');
+        }
+        refreshAfterFollowUpChange(caseId);
+
+    } catch (error) {
+        console.error('Error updating follow-up:', error);
+        showNotification(error.message || 'Failed to update follow-up', 'error');
+    }
+}
@@ -0,0 +1,83 @@
+/**
+ * Case Lifecycle
+ * The allowed status transitions and what each one needs. Mirrors
+ * case_status_transition_allowed() in the database, which enforces it for agents.
+ */
+
+// next is the one-click step used by the table's quick update
+const CASE_STATUS_LIFECYCLE = {
+    'new': { next: 'assigned', transitions: ['assigned', 'in_progress', 'pending_customer', 'escalated', 'resolved', 'closed'] },
+    'assigned': { next: 'in_progress', transitions: ['new', 'in_progress', 'pending_customer', 'escalated', 'resolved', 'closed'] },
+    'in_progress': { next: 'resolved', transitions: ['pending_customer', 'escalated', 'resolved', 'closed'] },
+    'pending_customer': { next: 'in_progress', transitions: ['in_progress', 'escalated', 'resolved', 'closed'] },
+    'escalated': { next: null, transitions: ['assigned', 'in_progress', 'pending_customer', 'resolved', 'closed'] },
+    'resolved': { next: 'closed', transitions: ['closed', 'new', 'assigned'] },
+    'closed': { next: null, transitions: ['new', 'assigned'] }
+};
+
+const CLOSED_CASE_STATUSES = ['resolved', 'closed'];
+
+/**
+ * Check whether a case is resolved or closed
+ */
+function isClosedCaseStatus(status) {
+    return CLOSED_CASE_STATUSES.includes(status);
+}
+
+/**
+ * Check whether the lifecycle allows moving between two statuses
+ */
+function canTransitionStatus(fromStatus, toStatus) {
+    const stage = CASE_STATUS_LIFECYCLE[fromStatus || 'new'];
+    return Boolean(stage && stage.transitions.includes(toStatus));
+}
+
+/**
+ * The status a case should move to from the table's quick update, if any
+ */
+function getNextCaseStatus(status) {
+    const stage = CASE_STATUS_LIFECYCLE[status || 'new'];
+    return stage ? stage.next : null;
+}
+
+/**
+ * The open status a reopened case returns to
+ */
+function getReopenStatus(caseData) {
+    return caseData.agent_id ? 'assigned' : 'new';
+}
+
+/**
+ * Explain why a status change is not allowed, or return null if it is.
+ * details carries data some transitions need, e.g. { resolutionCategory, resolutionNote }.
+ */
+function getStatusChangeError(caseData, newStatus, details = {}) {
+    const currentStatus = caseData.status || 'new';
+
+    if (caseData.merged_into_case_id && !isClosedCaseStatus(newStatus)) {
+        return 'This case was merged into another case and stays closed';
+    }
+    if (!canTransitionStatus(currentStatus, newStatus)) {
+        return `A ${formatStatus(currentStatus)} case cannot be moved to ${formatStatus(newStatus)}`;
+    }
+
+    // These have their own flows that record why
+    if (newStatus === 'escalated') {
+        return 'Use Escalate to give a reason and choose who takes the case';
+    }
+    if (currentStatus === 'escalated' && !isClosedCaseStatus(newStatus)) {
+        return 'De-escalate the case to return it to normal handling';
+    }
+
+    if (newStatus === 'assigned' && !caseData.agent_id) {
+        return 'Assign the case to an agent first';
+    }
+    if (newStatus === 'resolved' && !details.resolutionCategory) {
+        return 'A resolution category is required to resolve a case';
+    }
+    if (newStatus === 'resolved' && !(details.resolutionNote || '').trim()) {
+        return 'A resolution summary is required to resolve a case';
+    }
+
+    return null;
+}
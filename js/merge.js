@@ -0,0 +1,160 @@
+/**
+ * Merge and Split
+ * Merge a duplicate case into a primary one, split mis-threaded emails into a
+ * new case, and show the links these leave between cases.
+ */
+
+/**
+ * Check whether the signed-in agent can merge or split this case
+ */
+function canMergeCase(caseData) {
+    return !caseData.merged_into_case_id && canActOnCase(caseData, 'case.work');
+}
+
+/**
+ * Render the split control on an email (never on the first one)
+ */
+function renderSplitEmailAction(email, caseData, index) {
+    if (index === 0 || !caseData || !canMergeCase(caseData)) return '';
+
+    return `
+        <button onclick="splitCaseAtEmail('${email.id}')" class="text-xs text-gray-400 hover:text-blue-600 ml-2" title="Move this email and later ones into a new case">
+            <i class="fas fa-cut mr-1"></i>Split
+        </button>
+    `;
+}
+
+/**
+ * Render the merge/split links placeholder for the case modal
+ */
+function renderCaseLinksPanel(caseData) {
+    const mayHaveLinks = caseData.merged_into_case_id || caseData.split_from_case_id;
+    return `<div id="caseLinks" class="${mayHaveLinks ? '' : 'hidden'}"></div>`;
+}
+
+/**
+ * Load cases this one was merged into or split from, and cases merged or split from it
+ */
+async function loadCaseLinks(caseData) {
+    const container = document.getElementById('caseLinks');
+    if (!container) return;
+
+    const filters = [`merged_into_case_id.eq.${caseData.id}`, `split_from_case_id.eq.${caseData.id}`];
+    if (caseData.merged_into_case_id) filters.push(`id.eq.${caseData.merged_into_case_id}`);
+    if (caseData.split_from_case_id) filters.push(`id.eq.${caseData.split_from_case_id}`);
+
+    try {
+        const { data: linkedCases, error } = await app.supabase
+            .from('cases')
+            .select('id, case_number, status, merged_into_case_id, split_from_case_id')
+            .or(filters.join(','));
+
+        if (error) throw error;
+
+        const caseLink = linked => `
+            <button onclick="openCaseModal('${linked.id}')" class="font-medium text-blue-600 hover:text-blue-800">${escapeHtml(linked.case_number)}</button>
+        `;
+        const links = [];
+
+        const mergedInto = linkedCases.find(linked => linked.id === caseData.merged_into_case_id);
+        if (mergedInto) links.push(`<i class="fas fa-compress-alt mr-1"></i>Merged into ${caseLink(mergedInto)}; its emails and follow-ups are there now.`);
+
+        const splitFrom = linkedCases.find(linked => linked.id === caseData.split_from_case_id);
+        if (splitFrom) links.push(`<i class="fas fa-cut mr-1"></i>Split from ${caseLink(splitFrom)}`);
+
+        const mergedFrom = linkedCases.filter(linked => linked.merged_into_case_id === caseData.id);
+        if (mergedFrom.length > 0) links.push(`<i class="fas fa-object-group mr-1"></i>Merged from ${mergedFrom.map(caseLink).join(', ')}`);
+
+        const splitInto = linkedCases.filter(linked => linked.split_from_case_id === caseData.id);
+        if (splitInto.length > 0) links.push(`<i class="fas fa-code-branch mr-1"></i>Split into ${splitInto.map(caseLink).join(', ')}`);
+
+        if (links.length === 0) {
+            container.classList.add('hidden');
+            return;
+        }
+
+        container.className = 'bg-blue-50 border-l-4 border-blue-400 p-4 rounded text-sm text-blue-900 space-y-1';
+        container.innerHTML = links.map(link => `<p>${link}</p>`).join('');
+
+    } catch (error) {
+        console.error('Error loading linked cases:', error);
+        container.classList.add('hidden');
+    }
+}
+
+/**
+ * Reload the modal on a case and refresh the table and dashboard
+ */
+function refreshAfterMergeOrSplit(caseId) {
+    openCaseModal(caseId);
+    loadCasesTable(getCaseFilters());
+    if (app.loadDashboardData) {
+        app.loadDashboardData();
+    }
+}
+
+/**
+ * Merge a duplicate case into a primary case chosen by case number
+ */
+async function mergeCaseInto(duplicateCaseId) {
+    if (!getCurrentActor()) return;
+
+    try {
+        const { case_number: duplicateCaseNumber } = await fetchCaseLifecycle(duplicateCaseId);
+
+        const primaryNumber = prompt(`Merge ${duplicateCaseNumber} into which case? Enter the primary case number:`);
+        if (primaryNumber === null || !primaryNumber.trim()) return;
+
+        const { data: primaryCase, error: lookupError } = await app.supabase
+            .from('cases')
+            .select('id, case_number')
+            .eq('case_number', primaryNumber.trim())
+            .maybeSingle();
+
+        if (lookupError) throw lookupError;
+
+        if (!primaryCase) {
+            showNotification(`No case numbered ${primaryNumber.trim()}`, 'warning');
+            return;
+        }
+
+        if (!confirm(`Merge ${duplicateCaseNumber} into ${primaryCase.case_number}? Its emails and follow-ups move to ${primaryCase.case_number} and ${duplicateCaseNumber} is closed.`)) {
+            return;
+        }
+
+        const { error } = await app.supabase
+            .rpc('merge_cases', { p_primary_case_id: primaryCase.id, p_duplicate_case_id: duplicateCaseId });
+
+        if (error) throw error;
+
+        refreshAfterMergeOrSplit(primaryCase.id);
+        showNotification(`${duplicateCaseNumber} merged into ${primaryCase.case_number}`, 'success');
+
+    } catch (error) {
+        console.error('Error merging cases:', error);
+        showNotification(error.message || 'Failed to merge cases', 'error');
+    }
+}
+
+/**
+ * Move an email and every later one into a new case
+ */
+async function splitCaseAtEmail(emailId) {
+    if (!getCurrentActor()) return;
+
+    if (!confirm('Move this email and all later emails into a new case?')) return;
+
+    try {
+        const { data: newCase, error } = await app.supabase
+            .rpc('split_case', { p_email_id: emailId });
+
+        if (error) throw error;
+
+        refreshAfterMergeOrSplit(newCase.id);
+        showNotification(`Emails moved to new case ${newCase.case_number}`, 'success');
+
+    } catch (error) {
+        console.error('Error splitting case:', error);
+        showNotification(error.message || 'Failed to split case', 'error');
+    }
+}
@@ -0,0 +1,269 @@
+/**
+ * Internal Notes
+ * Private notes on a case, shown in the conversation timeline between the emails.
+ * Typing @ suggests agents; mentioned agents get an in-app notification.
+ */
+
+const MENTION_SUGGESTION_LIMIT = 5;
+
+const notesState = {
+    agents: null,
+    mentionStart: null,
+    suggestions: [],
+    saving: false
+};
+
+/**
+ * Agents that can be mentioned (loaded once per session)
+ */
+async function loadMentionableAgents() {
+    if (notesState.agents) return notesState.agents;
+
+    const { data: agents, error } = await app.supabase
+        .from('agents')
+        .select('id, name')
+        .order('name');
+
+    if (error) throw error;
+
+    notesState.agents = agents || [];
+    return notesState.agents;
+}
+
+/**
+ * Ids of agents mentioned as @Name in a note. Longer names are matched first
+ * so "@Ann Lee" is not also read as "@Ann", and a name must end at a word
+ * boundary so "@Annabel" does not mention "Ann".
+ */
+function parseNoteMentions(body, agents) {
+    let remaining = body;
+    const mentioned = [];
+
+    [...agents]
+        .sort((a, b) => b.name.length - a.name.length)
+        .forEach(agent => {
+            const name = agent.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const pattern = new RegExp(`@${name}(?![\\p{L}\\p{N}_])`, 'giu');
+            if (pattern.test(remaining)) {
+                mentioned.push(agent.id);
+                remaining = remaining.replace(pattern, ' ');
+            }
+        });
+
+    return mentioned;
+}
+
+/**
+ * Forget the mentionable agents, e.g. when the agent signs out
+ */
+function resetNotesState() {
+    notesState.agents = null;
+    notesState.mentionStart = null;
+    notesState.suggestions = [];
+}
+
+/**
+ * Merge emails and notes into one timeline, oldest first
+ */
+function renderConversationTimeline(emails, notes, caseData) {
+    const items = [
+        ...emails.map((email, index) => ({ at: email.sent_at, html: () => renderEmailMessage(email, caseData, index) })),
+        ...notes.map(note => ({ at: note.created_at, html: () => renderCaseNote(note) }))
+    ].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+    return items.length > 0
+        ? items.map(item => item.html()).join('')
+        : '<p class="text-gray-500">No emails found</p>';
+}
+
+/**
+ * Render an internal note, highlighting @mentions
+ */
+function renderCaseNote(note) {
+    let body = escapeHtml(note.body);
+
+    (notesState.agents || [])
+        .filter(agent => (note.mentions || []).includes(agent.id))
+        .sort((a, b) => b.name.length - a.name.length)
+        .forEach(agent => {
+            const token = escapeHtml(`@${agent.name}`);
+            body = body.split(token).join(`<span class="note-mention">${token}</span>`);
+        });
+
+    return `
+        <div class="case-note border rounded-lg p-3">
+            <div class="flex justify-between items-start text-sm mb-2">
+                <span class="font-medium text-yellow-800">
+                    <i class="fas fa-lock mr-1"></i>Internal note · ${escapeHtml(note.agents?.name || 'Unknown agent')}
+                </span>
+                <span class="text-xs text-gray-500">${formatDate(note.created_at)}</span>
+            </div>
+            <div class="text-sm text-gray-800 whitespace-pre-wrap">${body}</div>
+        </div>
+    `;
+}
+
+/**
+ * Render the note input for the case modal
+ */
+function renderNoteComposer(caseData) {
+    if (!can('case.work')) return '';
+
+    return `
+        <div class="relative">
+            <textarea id="caseNoteInput" rows="2" placeholder="Add an internal note... Type @ to mention an agent"
+                      oninput="handleNoteInput(this)" onkeydown="handleNoteKeydown(event)"
+                      class="w-full px-3 py-2 border border-yellow-300 bg-yellow-50 rounded-lg text-sm focus:ring-2 focus:ring-yellow-400 focus:border-transparent"></textarea>
+            <div id="noteMentionSuggestions" class="hidden absolute left-0 z-10 mt-1 w-64 bg-white border rounded-lg shadow-lg"></div>
+            <div class="flex items-center justify-between mt-2">
+                <span class="text-xs text-gray-500"><i class="fas fa-lock mr-1"></i>Only visible to agents</span>
+                <button id="caseNoteSubmit" onclick="saveCaseNote('${caseData.id}')"
+                        class="px-3 py-1.5 text-sm bg-yellow-500 text-white rounded hover:bg-yellow-600 transition-colors">
+                    <i class="fas fa-sticky-note mr-1"></i>Add note
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Look for an @mention being typed and suggest matching agents
+ */
+async function handleNoteInput(textarea) {
+    const beforeCursor = textarea.value.slice(0, textarea.selectionStart);
+    const match = beforeCursor.match(/(^|\s)@([^@\n]{0,30})$/);
+
+    if (!match) {
+        hideMentionSuggestions();
+        return;
+    }
+
+    try {
+        const agents = await loadMentionableAgents();
+        const query = match[2].toLowerCase();
+
+        notesState.mentionStart = beforeCursor.length - match[2].length - 1;
+        notesState.suggestions = agents
+            .filter(agent => agent.name.toLowerCase().startsWith(query) ||
+                agent.name.toLowerCase().split(' ').some(part => part.startsWith(query)))
+            .slice(0, MENTION_SUGGESTION_LIMIT);
+
+        renderMentionSuggestions();
+
+    } catch (error) {
+        console.error('Error loading agents for mentions:', error);
+    }
+}
+
+/**
+ * Pick the first suggestion with Enter or Tab; close suggestions with Escape
+ */
+function handleNoteKeydown(event) {
+    if (notesState.suggestions.length === 0) return;
+
+    if (event.key === 'Enter' || event.key === 'Tab') {
+        event.preventDefault();
+        insertNoteMention(notesState.suggestions[0].id);
+    } else if (event.key === 'Escape') {
+        event.stopPropagation();
+        hideMentionSuggestions();
+    }
+}
+
+/**
+ * Render the mention suggestion list
+ */
+function renderMentionSuggestions() {
+    const container = document.getElementById('noteMentionSuggestions');
+    if (!container) return;
+
+    if (notesState.suggestions.length === 0) {
+        hideMentionSuggestions();
+        return;
+    }
+
+    container.innerHTML = notesState.suggestions.map(agent => `
+        <button type="button" onmousedown="event.preventDefault(); insertNoteMention('${agent.id}')" class="dropdown-item">
+            <i class="fas fa-user mr-2 text-gray-400"></i>${escapeHtml(agent.name)}
+        </button>
+    `).join('');
+    container.classList.remove('hidden');
+}
+
+/**
+ * Hide the mention suggestion list
+ */
+function hideMentionSuggestions() {
+    notesState.suggestions = [];
+    notesState.mentionStart = null;
+
+    const container = document.getElementById('noteMentionSuggestions');
+    if (container) container.classList.add('hidden');
+}
+
+/**
+ * Replace the @query being typed with the chosen agent's name
+ */
+function insertNoteMention(agentId) {
+    const textarea = document.getElementById('caseNoteInput');
+    const agent = (notesState.agents || []).find(a => a.id === agentId);
+    if (!textarea || !agent || notesState.mentionStart === null) return;
+
+    const mention = `@${agent.name} `;
+    const before = textarea.value.slice(0, notesState.mentionStart);
+    const after = textarea.value.slice(textarea.selectionStart);
+
+    textarea.value = before + mention + after;
+    textarea.focus();
+    textarea.setSelectionRange(before.length + mention.length, before.length + mention.length);
+    hideMentionSuggestions();
+}
+
+/**
+ * Save a note on a case; mentioned agents are notified by the database
+ */
+async function saveCaseNote(caseId) {
+    const actor = getCurrentActor();
+    if (!actor || notesState.saving) return;
+
+    const textarea = document.getElementById('caseNoteInput');
+    const body = textarea.value.trim();
+    if (!body) {
+        showNotification('Write a note first', 'warning');
+        return;
+    }
+
+    notesState.saving = true;
+    const button = document.getElementById('caseNoteSubmit');
+    if (button) button.disabled = true;
+
+    try {
+        const agents = await loadMentionableAgents();
+        const mentions = parseNoteMentions(body, agents);
+
+        const { error } = await app.supabase
+            .from('case_notes')
+            .insert({
+                case_id: caseId,
+                author_id: actor.id,
+                body: body,
+                mentions: mentions
+            });
+
+        if (error) throw error;
+
+        showNotification(
+            mentions.length > 0 ? `Note added; ${mentions.length} agent${mentions.length === 1 ? '' : 's'} notified` : 'Note added',
+            'success'
+        );
+        openCaseModal(caseId, { updateUrl: false });
+
+    } catch (error) {
+        console.error('Error saving note:', error);
+        showNotification(error.message || 'Failed to save note', 'error');
+        if (button) button.disabled = false;
+
+    } finally {
+        notesState.saving = false;
+    }
+}
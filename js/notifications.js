@@ -0,0 +1,155 @@
+/**
+ * In-app Notifications
+ * The bell in the header lists notifications for the signed-in agent (e.g. @mentions
+ * in case notes). New ones arrive over Supabase realtime.
+ */
+
+const NOTIFICATION_LIMIT = 20;
+
+const NOTIFICATION_ICONS = {
+    'mention': 'fa-at',
+    'escalation': 'fa-exclamation-triangle',
+    'reopened': 'fa-redo'
+};
+
+const notificationState = {
+    items: []
+};
+
+/**
+ * Load the signed-in agent's latest notifications
+ */
+async function loadNotifications() {
+    if (!app || !app.supabase || !app.currentAgent) return;
+
+    try {
+        const { data: notifications, error } = await app.supabase
+            .from('notifications')
+            .select('*')
+            .eq('agent_id', app.currentAgent.id)
+            .order('created_at', { ascending: false })
+            .limit(NOTIFICATION_LIMIT);
+
+        if (error) throw error;
+
+        notificationState.items = notifications || [];
+        renderNotifications();
+
+    } catch (error) {
+        console.error('Error loading notifications:', error);
+    }
+}
+
+/**
+ * Add a notification pushed over realtime
+ */
+function handleNotificationInsert(notification) {
+    if (!notification || !app.currentAgent || notification.agent_id !== app.currentAgent.id) return;
+    if (notificationState.items.some(item => item.id === notification.id)) return;
+
+    notificationState.items = [notification, ...notificationState.items].slice(0, NOTIFICATION_LIMIT);
+    renderNotifications();
+    showNotification(notification.message, 'info', 5000);
+}
+
+/**
+ * Render the bell badge and the notification list
+ */
+function renderNotifications() {
+    const unread = notificationState.items.filter(item => !item.read_at).length;
+
+    const badge = document.getElementById('notificationCount');
+    if (badge) {
+        badge.textContent = unread > 9 ? '9+' : unread;
+        badge.classList.toggle('hidden', unread === 0);
+    }
+
+    const list = document.getElementById('notificationList');
+    if (!list) return;
+
+    if (notificationState.items.length === 0) {
+        list.innerHTML = '<p class="px-3 py-4 text-sm text-gray-500 text-center">No notifications</p>';
+        return;
+    }
+
+    list.innerHTML = notificationState.items.map(item => `
+        <button onclick="openNotification('${item.id}')" class="dropdown-item ${item.read_at ? '' : 'bg-blue-50'}">
+            <div class="flex items-start">
+                <i class="fas ${NOTIFICATION_ICONS[item.type] || 'fa-bell'} mt-1 mr-2 ${item.read_at ? 'text-gray-400' : 'text-blue-500'}"></i>
+                <div class="min-w-0">
+                    <p class="text-sm ${item.read_at ? 'text-gray-600' : 'text-gray-900 font-medium'} whitespace-normal">${escapeHtml(item.message)}</p>
+                    <p class="text-xs text-gray-400">${formatDate(item.created_at)}</p>
+                </div>
+            </div>
+        </button>
+    `).join('');
+}
+
+/**
+ * Toggle the notification menu
+ */
+function toggleNotificationMenu(event) {
+    event.stopPropagation();
+    if (!app || !app.currentAgent) return;
+
+    const dropdown = document.getElementById('notificationDropdown');
+    dropdown.classList.toggle('active');
+
+    if (dropdown.classList.contains('active')) {
+        document.addEventListener('click', closeNotificationMenu, { once: true });
+    }
+}
+
+/**
+ * Close the notification menu
+ */
+function closeNotificationMenu() {
+    const dropdown = document.getElementById('notificationDropdown');
+    if (dropdown) dropdown.classList.remove('active');
+}
+
+/**
+ * Mark notifications read
+ */
+async function markNotificationsRead(ids) {
+    if (ids.length === 0) return;
+
+    const readAt = new Date().toISOString();
+    notificationState.items.forEach(item => {
+        if (ids.includes(item.id)) item.read_at = readAt;
+    });
+    renderNotifications();
+
+    const { error } = await app.supabase
+        .from('notifications')
+        .update({ read_at: readAt })
+        .in('id', ids);
+
+    if (error) console.error('Error marking notifications read:', error);
+}
+
+/**
+ * Mark every loaded notification read
+ */
+function markAllNotificationsRead(event) {
+    if (event) event.stopPropagation();
+
+    const unreadIds = notificationState.items.filter(item => !item.read_at).map(item => item.id);
+    markNotificationsRead(unreadIds);
+}
+
+/**
+ * Open the case a notification is about
+ */
+function openNotification(notificationId) {
+    const notification = notificationState.items.find(item => item.id === notificationId);
+    if (!notification) return;
+
+    closeNotificationMenu();
+    if (!notification.read_at) {
+        markNotificationsRead([notification.id]);
+    }
+    if (notification.case_id) {
+        openCaseModal(notification.case_id);
+    }
+}
@@ -0,0 +1,70 @@
+/**
+ * Role-Based Permissions
+ * Maps agent roles to the actions and sections they can use.
+ * Row Level Security in Supabase enforces the same rules server-side.
+ */
+
+const ROLE_PERMISSIONS = {
+    'agent': [
+        'case.work',
+        'case.resolve',
+        'case.escalate'
+    ],
+    'supervisor': [
+        'case.work',
+        'case.resolve',
+        'case.escalate',
+        'case.manage_any',
+        'template.manage',
+        'section.agents'
+    ],
+    'admin': [
+        'case.work',
+        'case.resolve',
+        'case.escalate',
+        'case.manage_any',
+        'template.manage',
+        'section.agents',
+        'section.settings'
+    ]
+};
+
+/**
+ * Get the signed-in agent's role (defaults to least-privileged)
+ */
+function getCurrentRole() {
+    const role = app && app.currentAgent ? app.currentAgent.role : null;
+    return ROLE_PERMISSIONS[role] ? role : 'agent';
+}
+
+/**
+ * Check whether the signed-in agent has a permission
+ */
+function can(permission) {
+    if (!app || !app.currentAgent) return false;
+    return ROLE_PERMISSIONS[getCurrentRole()].includes(permission);
+}
+
+/**
+ * Check whether the signed-in agent may perform an action on a specific case.
+ * Agents may act on their own and unassigned cases; supervisors and admins on any.
+ */
+function canActOnCase(caseData, permission) {
+    if (!can(permission)) return false;
+    if (can('case.manage_any')) return true;
+    return !caseData.agent_id || caseData.agent_id === app.currentAgent.id;
+}
+
+/**
+ * Show or hide elements tagged with data-permission for the current role
+ */
+function applyRolePermissions() {
+    document.querySelectorAll('[data-permission]').forEach(el => {
+        el.classList.toggle('hidden', !can(el.dataset.permission));
+    });
+
+    const roleEl = document.getElementById('currentAgentRole');
+    if (roleEl) {
+        roleEl.textContent = app && app.currentAgent ? capitalize(getCurrentRole()) : '';
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * Agent Presence
+ * Lets the signed-in agent set their availability and flips to "break" when idle
+ */
+
+const PRESENCE_STATUSES = ['available', 'busy', 'break', 'offline'];
+
+// Activity events that count as the agent being at their desk
+const PRESENCE_ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+
+const presenceState = {
+    idleTimer: null,
+    autoBreak: false,
+    statusBeforeIdle: null,
+    activityHandler: null
+};
+
+/**
+ * Toggle the status menu in the header
+ */
+function togglePresenceMenu(event) {
+    event.stopPropagation();
+    if (!app || !app.currentAgent) return;
+
+    const dropdown = document.getElementById('presenceDropdown');
+    dropdown.classList.toggle('active');
+
+    if (dropdown.classList.contains('active')) {
+        document.addEventListener('click', closePresenceMenu, { once: true });
+    }
+}
+
+/**
+ * Close the status menu
+ */
+function closePresenceMenu() {
+    const dropdown = document.getElementById('presenceDropdown');
+    if (dropdown) dropdown.classList.remove('active');
+}
+
+/**
+ * Write the current agent's status and broadcast it to other portals
+ */
+async function setAgentStatus(status, options = {}) {
+    const { automatic = false } = options;
+    closePresenceMenu();
+
+    if (!PRESENCE_STATUSES.includes(status)) {
+        console.warn(`Unknown agent status: ${status}`);
+        return;
+    }
+
+    const actor = automatic ? app && app.currentAgent : getCurrentActor();
+    if (!actor) return;
+
+    // A manual choice always overrides an automatic idle break
+    if (!automatic) {
+        presenceState.autoBreak = false;
+        presenceState.statusBeforeIdle = null;
+    }
+
+    try {
+        const { error } = await app.supabase
+            .from('agents')
+            .update({
+                status: status,
+                status_updated_at: new Date().toISOString()
+            })
+            .eq('id', actor.id);
+
+        if (error) throw error;
+
+        actor.status = status;
+        app.updateAgentStatus(status);
+        broadcastAgentStatus(actor.id, status);
+
+        if (!automatic) {
+            showNotification(`Status set to ${app.getStatusLabel(status)}`, 'success');
+        }
+
+    } catch (error) {
+        console.error('Error updating agent status:', error);
+        showNotification('Failed to update status', 'error');
+    }
+}
+
+/**
+ * Broadcast a status change on the agents-changes channel
+ */
+function broadcastAgentStatus(agentId, status) {
+    if (!app || !app.channels || !app.channels.agents) return;
+
+    app.channels.agents.send({
+        type: 'broadcast',
+        event: 'presence',
+        payload: { agent_id: agentId, status: status }
+    }).catch(error => console.warn('Could not broadcast presence:', error));
+}
+
+/**
+ * Get the configured idle timeout in milliseconds (0 disables idle detection)
+ */
+function getIdleTimeoutMs() {
+    const minutes = parseFloat(window.CONFIG.IDLE_TIMEOUT_MINUTES);
+    return isNaN(minutes) || minutes <= 0 ? 0 : minutes * 60 * 1000;
+}
+
+/**
+ * Start watching for agent inactivity
+ */
+function startIdleDetection() {
+    stopIdleDetection();
+    if (!getIdleTimeoutMs()) return;
+
+    presenceState.activityHandler = throttle(recordAgentActivity, 1000);
+    PRESENCE_ACTIVITY_EVENTS.forEach(eventName => {
+        document.addEventListener(eventName, presenceState.activityHandler, { passive: true });
+    });
+
+    resetIdleTimer();
+
+    if (window.CONFIG.DEBUG_MODE === 'true') {
+        console.log(`💤 Idle detection set to ${window.CONFIG.IDLE_TIMEOUT_MINUTES} minutes`);
+    }
+}
+
+/**
+ * Stop watching for agent inactivity
+ */
+function stopIdleDetection() {
+    clearTimeout(presenceState.idleTimer);
+    presenceState.idleTimer = null;
+
+    if (presenceState.activityHandler) {
+        PRESENCE_ACTIVITY_EVENTS.forEach(eventName => {
+            document.removeEventListener(eventName, presenceState.activityHandler);
+        });
+        presenceState.activityHandler = null;
+    }
+
+    presenceState.autoBreak = false;
+    presenceState.statusBeforeIdle = null;
+}
+
+/**
+ * Restart the idle countdown
+ */
+function resetIdleTimer() {
+    clearTimeout(presenceState.idleTimer);
+    presenceState.idleTimer = setTimeout(handleAgentIdle, getIdleTimeoutMs());
+}
+
+/**
+ * Activity after an automatic break puts the agent back to their previous status
+ */
+function recordAgentActivity() {
+    if (presenceState.autoBreak) {
+        const previousStatus = presenceState.statusBeforeIdle || 'available';
+        presenceState.autoBreak = false;
+        presenceState.statusBeforeIdle = null;
+        setAgentStatus(previousStatus, { automatic: true });
+    }
+    resetIdleTimer();
+}
+
+/**
+ * Move an active agent to "break" after the idle period
+ */
+function handleAgentIdle() {
+    if (!app || !app.currentAgent) return;
+
+    // Only working statuses flip automatically; a manual break or offline stays put
+    if (!['available', 'busy'].includes(app.currentAgent.status)) return;
+
+    presenceState.statusBeforeIdle = app.currentAgent.status;
+    presenceState.autoBreak = true;
+    setAgentStatus('break', { automatic: true });
+}
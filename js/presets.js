@@ -0,0 +1,125 @@
+/**
+ * Saved Filter Presets
+ * Named combinations of case filters (e.g. "My overdue VIPs") saved per agent
+ */
+
+let filterPresets = [];
+
+/**
+ * Load the signed-in agent's saved filter presets
+ */
+async function loadFilterPresets() {
+    if (!app || !app.supabase || !app.currentAgent) return;
+
+    try {
+        const { data: presets, error } = await app.supabase
+            .from('case_filter_presets')
+            .select('id, name, criteria')
+            .eq('agent_id', app.currentAgent.id)
+            .order('name');
+
+        if (error) throw error;
+
+        filterPresets = presets || [];
+        renderFilterPresets();
+
+    } catch (error) {
+        console.error('Error loading filter presets:', error);
+    }
+}
+
+/**
+ * Render saved presets as one-click chips
+ */
+function renderFilterPresets() {
+    const container = document.getElementById('filterPresetList');
+    if (!container) return;
+
+    if (filterPresets.length === 0) {
+        container.innerHTML = '<span class="text-sm text-gray-400 italic">None yet</span>';
+        return;
+    }
+
+    container.innerHTML = filterPresets.map(preset => `
+        <span class="inline-flex items-center bg-blue-50 text-blue-700 border border-blue-200 rounded-full text-sm">
+            <button onclick="applyFilterPreset('${preset.id}')" class="pl-3 pr-1 py-1 hover:text-blue-900" title="Apply filters">
+                ${escapeHtml(preset.name)}
+            </button>
+            <button onclick="deleteFilterPreset('${preset.id}')" class="px-2 py-1 text-blue-300 hover:text-red-500" title="Delete preset">
+                <i class="fas fa-times text-xs"></i>
+            </button>
+        </span>
+    `).join('');
+}
+
+/**
+ * Save the current filter inputs as a named preset
+ */
+async function saveFilterPreset() {
+    const actor = getCurrentActor();
+    if (!actor) return;
+
+    const criteria = getCaseFilterParams();
+    if (Object.keys(criteria).length === 0) {
+        showNotification('Set at least one filter before saving a preset', 'warning');
+        return;
+    }
+
+    const name = (prompt('Name this filter preset (e.g. "My overdue VIPs"):') || '').trim();
+    if (!name) return;
+
+    try {
+        const { error } = await app.supabase
+            .from('case_filter_presets')
+            .upsert({
+                agent_id: actor.id,
+                name: name,
+                criteria: criteria
+            }, { onConflict: 'agent_id,name' });
+
+        if (error) throw error;
+
+        await loadFilterPresets();
+        showNotification(`Saved filter preset "${name}"`, 'success');
+
+    } catch (error) {
+        console.error('Error saving filter preset:', error);
+        showNotification('Failed to save filter preset', 'error');
+    }
+}
+
+/**
+ * Apply a saved preset to the filter inputs and reload the table
+ */
+function applyFilterPreset(presetId) {
+    const preset = filterPresets.find(p => p.id === presetId);
+    if (!preset) return;
+
+    setCaseFilterInputs(preset.criteria || {});
+    showAdvancedFiltersIfSet();
+    filterCases();
+}
+
+/**
+ * Delete a saved preset
+ */
+async function deleteFilterPreset(presetId) {
+    const preset = filterPresets.find(p => p.id === presetId);
+    if (!preset || !confirm(`Delete the filter preset "${preset.name}"?`)) return;
+
+    try {
+        const { error } = await app.supabase
+            .from('case_filter_presets')
+            .delete()
+            .eq('id', presetId);
+
+        if (error) throw error;
+
+        await loadFilterPresets();
+        showNotification('Filter preset deleted', 'success');
+
+    } catch (error) {
+        console.error('Error deleting filter preset:', error);
+        showNotification('Failed to delete filter preset', 'error');
+    }
+}
@@ -0,0 +1,309 @@
+/**
+ * Case Relations
+ * Related cases, duplicates and parent/child incidents, shown as a section of the
+ * case modal. A parent can be resolved together with its open children.
+ */
+
+// Options in the link form; 'parent_of' is stored as a child_of row on the other case
+const CASE_RELATION_OPTIONS = {
+    'related': 'Related to',
+    'duplicate_of': 'Duplicate of',
+    'child_of': 'Child of (parent incident)',
+    'parent_of': 'Parent of'
+};
+
+// Groups in display order, as seen from the case in the modal
+const CASE_RELATION_GROUPS = [
+    { key: 'parent', label: 'Parent incident' },
+    { key: 'children', label: 'Child cases' },
+    { key: 'duplicate_of', label: 'Duplicate of' },
+    { key: 'duplicates', label: 'Duplicates' },
+    { key: 'related', label: 'Related' }
+];
+
+const RELATED_CASE_FIELDS = 'id, case_number, status, priority, agent_id, first_response_at, merged_into_case_id';
+
+const relationsState = {
+    caseData: null,
+    relations: []
+};
+
+/**
+ * Render the linked cases section placeholder for the case modal
+ */
+function renderCaseRelationsSection(caseData) {
+    const canLink = canActOnCase(caseData, 'case.work');
+
+    return `
+        <div>
+            <h4 class="font-medium text-gray-900 mb-3">Linked Cases</h4>
+            ${canLink ? `
+                <form onsubmit="addCaseRelation(event)" class="flex flex-wrap gap-2 mb-3">
+                    <select id="caseRelationTypeInput" class="px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent">
+                        ${Object.entries(CASE_RELATION_OPTIONS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                    <input type="text" id="caseRelationNumberInput" required placeholder="Case number"
+                           class="flex-1 min-w-0 px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent">
+                    <button type="submit" class="px-3 py-1.5 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors">
+                        <i class="fas fa-link mr-1"></i>Link
+                    </button>
+                </form>
+            ` : ''}
+            <div id="caseRelationsList" class="text-sm text-gray-500">
+                <i class="fas fa-spinner fa-spin mr-1"></i>Loading linked cases...
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Fetch every relation touching a case, with both cases embedded
+ */
+async function fetchCaseRelations(caseId) {
+    const { data: relations, error } = await app.supabase
+        .from('case_relations')
+        .select(`
+            *,
+            source:cases!case_relations_case_id_fkey(${RELATED_CASE_FIELDS}),
+            target:cases!case_relations_related_case_id_fkey(${RELATED_CASE_FIELDS})
+        `)
+        .or(`case_id.eq.${caseId},related_case_id.eq.${caseId}`)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return relations;
+}
+
+/**
+ * Which group a relation belongs to from this case's side, and the other case
+ */
+function describeCaseRelation(relation, caseId) {
+    const isSource = relation.case_id === caseId;
+    const other = isSource ? relation.target : relation.source;
+
+    switch (relation.relation_type) {
+        case 'child_of':
+            return { group: isSource ? 'parent' : 'children', other };
+        case 'duplicate_of':
+            return { group: isSource ? 'duplicate_of' : 'duplicates', other };
+        default:
+            return { group: 'related', other };
+    }
+}
+
+/**
+ * Load and render the linked cases section
+ */
+async function loadCaseRelations(caseData) {
+    relationsState.caseData = caseData;
+    relationsState.relations = [];
+
+    try {
+        const relations = await fetchCaseRelations(caseData.id);
+
+        // Ignore a late response for a case that is no longer open
+        if (relationsState.caseData !== caseData) return;
+
+        relationsState.relations = relations;
+        renderCaseRelations();
+
+    } catch (error) {
+        console.error('Error loading linked cases:', error);
+        const list = document.getElementById('caseRelationsList');
+        if (list) list.innerHTML = '<p class="text-red-500">Could not load linked cases</p>';
+    }
+}
+
+/**
+ * Render the loaded relations grouped by kind
+ */
+function renderCaseRelations() {
+    const list = document.getElementById('caseRelationsList');
+    if (!list) return;
+
+    const caseData = relationsState.caseData;
+    const canUnlink = canActOnCase(caseData, 'case.work');
+    const grouped = {};
+
+    relationsState.relations.forEach(relation => {
+        const { group, other } = describeCaseRelation(relation, caseData.id);
+        if (!other) return;
+        (grouped[group] = grouped[group] || []).push({ relation, other });
+    });
+
+    const groups = CASE_RELATION_GROUPS.filter(group => grouped[group.key]);
+    if (groups.length === 0) {
+        list.innerHTML = '<p>No linked cases</p>';
+        return;
+    }
+
+    list.innerHTML = groups.map(group => {
+        const items = grouped[group.key];
+        const openCount = items.filter(item => !isClosedCaseStatus(item.other.status)).length;
+
+        return `
+            <div class="mb-3">
+                <p class="text-xs font-medium text-gray-500 uppercase mb-1">
+                    ${group.label}
+                    ${group.key === 'children' ? `<span class="normal-case font-normal">(${openCount} of ${items.length} open)</span>` : ''}
+                </p>
+                <ul class="space-y-1">
+                    ${items.map(({ relation, other }) => `
+                        <li class="flex items-center justify-between border rounded px-3 py-1.5 bg-white">
+                            <div class="flex items-center gap-2">
+                                <button onclick="openCaseModal('${other.id}')" class="font-medium text-blue-600 hover:text-blue-800">${escapeHtml(other.case_number)}</button>
+                                <span class="px-2 py-0.5 rounded text-xs ${getStatusColor(other.status)}">${formatStatus(other.status)}</span>
+                                <span class="px-2 py-0.5 rounded text-xs ${getPriorityColor(other.priority)}">${capitalize(other.priority || 'normal')}</span>
+                            </div>
+                            ${canUnlink ? `
+                                <button onclick="removeCaseRelation('${relation.id}')" class="text-gray-400 hover:text-red-600" title="Remove link">
+                                    <i class="fas fa-unlink text-xs"></i>
+                                </button>
+                            ` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Link the open case to another case by case number
+ */
+async function addCaseRelation(event) {
+    event.preventDefault();
+    const actor = getCurrentActor();
+    if (!actor || !relationsState.caseData) return;
+
+    const caseData = relationsState.caseData;
+    const relationType = document.getElementById('caseRelationTypeInput').value;
+    const caseNumber = document.getElementById('caseRelationNumberInput').value.trim();
+    if (!caseNumber) return;
+
+    try {
+        const { data: otherCase, error: lookupError } = await app.supabase
+            .from('cases')
+            .select('id, case_number')
+            .eq('case_number', caseNumber)
+            .maybeSingle();
+
+        if (lookupError) throw lookupError;
+
+        if (!otherCase) {
+            showNotification(`No case numbered ${caseNumber}`, 'warning');
+            return;
+        }
+        if (otherCase.id === caseData.id) {
+            showNotification('A case cannot be linked to itself', 'warning');
+            return;
+        }
+
+        const alreadyLinked = relationsState.relations.some(relation =>
+            [relation.case_id, relation.related_case_id].includes(otherCase.id)
+        );
+        if (alreadyLinked) {
+            showNotification(`${otherCase.case_number} is already linked to this case`, 'warning');
+            return;
+        }
+
+        // "Parent of" is the other case being a child of this one
+        const row = relationType === 'parent_of'
+            ? { case_id: otherCase.id, related_case_id: caseData.id, relation_type: 'child_of' }
+            : { case_id: caseData.id, related_case_id: otherCase.id, relation_type: relationType };
+
+        const { error } = await app.supabase
+            .from('case_relations')
+            .insert({ ...row, created_by: actor.id });
+
+        if (error) {
+            if (error.code === '23505') {
+                // The pair index catches a link added meanwhile, either way round
+                throw new Error(error.message.includes('case_relations_one_parent_idx')
+                    ? 'A case can only have one parent incident'
+                    : `${otherCase.case_number} is already linked to this case`);
+            }
+            throw error;
+        }
+
+        document.getElementById('caseRelationNumberInput').value = '';
+        showNotification(`Linked ${otherCase.case_number}`, 'success');
+        loadCaseRelations(caseData);
+
+    } catch (error) {
+        console.error('Error linking cases:', error);
+        showNotification(error.message || 'Failed to link cases', 'error');
+    }
+}
+
+/**
+ * Remove a link between two cases
+ */
+async function removeCaseRelation(relationId) {
+    if (!getCurrentActor() || !relationsState.caseData) return;
+    if (!confirm('Remove this link?')) return;
+
+    try {
+        const { data: removed, error } = await app.supabase
+            .from('case_relations')
+            .delete()
+            .eq('id', relationId)
+            .select('id');
+
+        if (error) throw error;
+
+        // Row Level Security silently skips rows the agent may not change
+        if (!removed || removed.length === 0) {
+            throw new Error('You do not have permission to remove this link');
+        }
+
+        showNotification('Link removed', 'success');
+        loadCaseRelations(relationsState.caseData);
+
+    } catch (error) {
+        console.error('Error removing case link:', error);
+        showNotification(error.message || 'Failed to remove link', 'error');
+    }
+}
+
+/**
+ * Open child cases of a parent incident
+ */
+async function loadOpenChildCases(parentCaseId) {
+    const { data: relations, error } = await app.supabase
+        .from('case_relations')
+        .select(`child:cases!case_relations_case_id_fkey(${RELATED_CASE_FIELDS})`)
+        .eq('related_case_id', parentCaseId)
+        .eq('relation_type', 'child_of');
+
+    if (error) throw error;
+
+    return relations
+        .map(relation => relation.child)
+        .filter(child => child && !isClosedCaseStatus(child.status));
+}
+
+/**
+ * Resolve child cases with the parent's resolution details, reporting any that fail
+ */
+async function resolveChildCases(children, actor, details) {
+    const failures = [];
+
+    for (const child of children) {
+        try {
+            await performStatusChange(child, 'resolved', actor, details);
+        } catch (error) {
+            failures.push(`${child.case_number}: ${error.message}`);
+        }
+    }
+
+    const resolved = children.length - failures.length;
+    if (failures.length === 0) {
+        showNotification(`Resolved ${resolved} child case${resolved === 1 ? '' : 's'}`, 'success');
+    } else {
+        console.warn('Child cases not resolved:', failures);
+        showNotification(`Resolved ${resolved} of ${children.length} child cases. Not resolved: ${failures.join('; ')}`, 'warning');
+    }
+
+    loadCasesTable(getCaseFilters());
+}
@@ -0,0 +1,320 @@
+/**
+ * Requester History
+ * Other cases from the same sender (optionally the same domain), as a panel in the
+ * case modal and as a standalone requester view at #/requester?email=...
+ */
+
+// Cases listed in the modal panel before "View all"
+const REQUESTER_PANEL_LIMIT = 5;
+
+// Most recent cases listed in the standalone requester view
+const REQUESTER_VIEW_LIMIT = 100;
+
+const requesterState = {
+    caseData: null,
+    email: '',
+    includeDomain: false
+};
+
+/**
+ * The requester of a case: the sender of its first inbound email
+ */
+function getRequesterEmail(emails = []) {
+    const firstInbound = emails.find(email => !isOutboundEmail(email));
+    return firstInbound ? firstInbound.from_email : '';
+}
+
+/**
+ * Route to the standalone requester view
+ */
+function buildRequesterRoute(email, includeDomain = false) {
+    return buildRoute({ section: 'requester', params: { email, domain: includeDomain ? '1' : '' } });
+}
+
+/**
+ * Read a case's metadata, which older rows store as a JSON string
+ */
+function getRequesterCaseMetadata(caseItem) {
+    return typeof caseItem.metadata === 'string'
+        ? safeJsonParse(caseItem.metadata, {})
+        : (caseItem.metadata || {});
+}
+
+/**
+ * Render VIP and senior management badges for any of the given cases' metadata
+ */
+function renderRequesterFlags(cases) {
+    const metadata = cases.map(getRequesterCaseMetadata);
+    const flags = [];
+
+    if (metadata.some(item => item.is_vip_domain)) {
+        flags.push('<span class="text-xs bg-purple-100 text-purple-800 px-2 py-1 rounded">VIP Domain</span>');
+    }
+    if (metadata.some(item => item.is_senior_mgmt)) {
+        flags.push('<span class="text-xs bg-red-100 text-red-800 px-2 py-1 rounded">Senior Management</span>');
+    }
+
+    return flags.join(' ');
+}
+
+/**
+ * Fetch the most recent cases from a sender address, or anyone at its domain,
+ * with how many match in total and how many of those are open
+ */
+async function fetchRequesterCases(email, { includeDomain = false, excludeCaseId = null, limit = REQUESTER_VIEW_LIMIT } = {}) {
+    const params = { p_email: email, p_include_domain: includeDomain };
+    const excludeCase = query => (excludeCaseId ? query.neq('id', excludeCaseId) : query);
+
+    const [casesResult, openResult] = await Promise.all([
+        excludeCase(app.supabase
+            .rpc('list_requester_cases', params, { count: 'exact' })
+            .select('id, case_number, status, priority, created_at, resolved_at, metadata, email_threads(subject)'))
+            .order('created_at', { ascending: false })
+            .limit(limit),
+        excludeCase(app.supabase
+            .rpc('list_requester_cases', params, { count: 'exact', head: true })
+            .not('status', 'in', `(${CLOSED_CASE_STATUSES.join(',')})`))
+    ]);
+
+    if (casesResult.error) throw casesResult.error;
+    if (openResult.error) throw openResult.error;
+
+    const cases = casesResult.data;
+
+    // Only a domain search can match cases from other senders
+    let sameSenderIds = new Set(cases.map(caseItem => caseItem.id));
+    if (includeDomain && cases.length > 0) {
+        const { data: senderEmails, error } = await app.supabase
+            .from('emails')
+            .select('case_id')
+            .in('case_id', cases.map(caseItem => caseItem.id))
+            .eq('direction', 'inbound')
+            .ilike('from_email', email.trim().replace(/[\\%_]/g, '\\$&'));
+
+        if (error) throw error;
+        sameSenderIds = new Set(senderEmails.map(senderEmail => senderEmail.case_id));
+    }
+
+    return {
+        cases: cases.map(caseItem => ({ ...caseItem, same_sender: sameSenderIds.has(caseItem.id) })),
+        total: casesResult.count || 0,
+        openCount: openResult.count || 0
+    };
+}
+
+/**
+ * Render the requester panel placeholder for the case modal
+ */
+function renderRequesterPanel(caseData, emails) {
+    const email = getRequesterEmail(emails);
+    if (!email) return '';
+
+    return `
+        <div>
+            <div class="flex items-center justify-between mb-3">
+                <h4 class="font-medium text-gray-900">
+                    Requester
+                    <span class="text-sm font-normal text-gray-500">${escapeHtml(email)}</span>
+                </h4>
+                <div class="flex items-center gap-3 text-sm">
+                    <label class="flex items-center gap-1 text-gray-600">
+                        <input type="checkbox" id="requesterDomainToggle" onchange="toggleRequesterDomain(this.checked)"
+                               class="rounded border-gray-300 text-blue-600">
+                        Same domain
+                    </label>
+                    <a id="requesterViewLink" href="${escapeHtml(buildRequesterRoute(email))}" class="text-blue-600 hover:text-blue-800">
+                        View all<i class="fas fa-arrow-right ml-1 text-xs"></i>
+                    </a>
+                </div>
+            </div>
+            <div id="requesterCasesList" class="text-sm text-gray-500">
+                <i class="fas fa-spinner fa-spin mr-1"></i>Loading requester history...
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Load and render the other cases from the open case's requester
+ */
+async function loadRequesterPanel(caseData, emails) {
+    const email = getRequesterEmail(emails);
+    if (!email) return;
+
+    requesterState.caseData = caseData;
+    requesterState.email = email;
+    requesterState.includeDomain = false;
+
+    await refreshRequesterPanel();
+}
+
+/**
+ * Re-fetch the panel's cases for the current domain setting
+ */
+async function refreshRequesterPanel() {
+    const { caseData, email, includeDomain } = requesterState;
+
+    try {
+        const result = await fetchRequesterCases(email, {
+            includeDomain,
+            excludeCaseId: caseData.id,
+            limit: REQUESTER_PANEL_LIMIT
+        });
+
+        // Ignore a late response for a case or setting that has since changed
+        if (requesterState.caseData !== caseData || requesterState.includeDomain !== includeDomain) return;
+
+        renderRequesterPanelCases(result);
+
+    } catch (error) {
+        console.error('Error loading requester history:', error);
+        const list = document.getElementById('requesterCasesList');
+        if (list) list.innerHTML = '<p class="text-red-500">Could not load requester history</p>';
+    }
+}
+
+/**
+ * Render the panel's count, flags and most recent cases
+ */
+function renderRequesterPanelCases({ cases, total, openCount }) {
+    const list = document.getElementById('requesterCasesList');
+    if (!list) return;
+
+    if (total === 0) {
+        list.innerHTML = `<p>No other cases from this ${requesterState.includeDomain ? 'domain' : 'sender'}</p>`;
+        return;
+    }
+
+    const hidden = total - cases.length;
+
+    list.innerHTML = `
+        <div class="flex flex-wrap items-center gap-2 mb-2">
+            <span class="text-gray-700">${total} other case${total === 1 ? '' : 's'}, ${openCount} open</span>
+            ${renderRequesterFlags(cases)}
+        </div>
+        <ul class="space-y-1">
+            ${cases.map(caseItem => `
+                <li class="flex items-center justify-between gap-2 border rounded px-3 py-1.5 bg-white">
+                    <div class="flex items-center gap-2 min-w-0">
+                        <button onclick="openCaseModal('${caseItem.id}')" class="font-medium text-blue-600 hover:text-blue-800">${escapeHtml(caseItem.case_number)}</button>
+                        <span class="truncate text-gray-600" title="${escapeHtml(caseItem.email_threads?.subject || '')}">${escapeHtml(truncateText(caseItem.email_threads?.subject || 'No subject', 40))}</span>
+                        ${caseItem.same_sender ? '' : '<span class="text-xs text-gray-400">(domain)</span>'}
+                    </div>
+                    <div class="flex items-center gap-2 flex-shrink-0">
+                        <span class="px-2 py-0.5 rounded text-xs ${getStatusColor(caseItem.status)}">${formatStatus(caseItem.status)}</span>
+                        <span class="px-2 py-0.5 rounded text-xs ${getPriorityColor(caseItem.priority)}">${capitalize(caseItem.priority || 'normal')}</span>
+                        <span class="text-xs text-gray-500 w-14 text-right" title="Turnaround time">${calculateTAT(caseItem.created_at, caseItem.resolved_at)}</span>
+                    </div>
+                </li>
+            `).join('')}
+        </ul>
+        ${hidden > 0 ? `<p class="text-xs text-gray-400 mt-1">and ${hidden} more</p>` : ''}
+    `;
+}
+
+/**
+ * Switch the panel between the same sender and the whole domain
+ */
+function toggleRequesterDomain(includeDomain) {
+    if (!requesterState.caseData) return;
+
+    requesterState.includeDomain = includeDomain;
+
+    const link = document.getElementById('requesterViewLink');
+    if (link) link.href = buildRequesterRoute(requesterState.email, includeDomain);
+
+    const list = document.getElementById('requesterCasesList');
+    if (list) list.innerHTML = '<i class="fas fa-spinner fa-spin mr-1"></i>Loading requester history...';
+
+    refreshRequesterPanel();
+}
+
+/**
+ * Load the standalone requester view from the route parameters
+ */
+async function loadRequesterSection() {
+    const email = (routerState.params.email || '').trim();
+    const includeDomain = routerState.params.domain === '1';
+
+    const summary = document.getElementById('requesterSummary');
+    const tbody = document.getElementById('requesterCasesBody');
+    if (!summary || !tbody) return;
+
+    document.getElementById('requesterDomainInput').checked = includeDomain;
+
+    if (!email) {
+        summary.innerHTML = '<p class="text-gray-500">Open a case and choose "View all" in its requester panel.</p>';
+        tbody.innerHTML = '';
+        return;
+    }
+
+    summary.innerHTML = `<p class="text-gray-700 font-medium">${escapeHtml(email)}</p>`;
+    tbody.innerHTML = `
+        <tr><td colspan="6" class="px-6 py-8 text-center text-gray-500">
+            <i class="fas fa-spinner fa-spin mr-1"></i>Loading cases...
+        </td></tr>
+    `;
+
+    try {
+        const result = await fetchRequesterCases(email, { includeDomain });
+
+        // Ignore a late response once the route has moved on
+        if (routerState.params.email !== email) return;
+
+        renderRequesterSection(email, includeDomain, result);
+
+    } catch (error) {
+        console.error('Error loading requester view:', error);
+        tbody.innerHTML = `
+            <tr><td colspan="6" class="px-6 py-8 text-center text-red-500">Failed to load cases: ${escapeHtml(error.message)}</td></tr>
+        `;
+    }
+}
+
+/**
+ * Render the requester view's summary and case table
+ */
+function renderRequesterSection(email, includeDomain, { cases, total, openCount }) {
+    const summary = document.getElementById('requesterSummary');
+    const tbody = document.getElementById('requesterCasesBody');
+    const domain = email.split('@')[1] || '';
+
+    summary.innerHTML = `
+        <div class="flex flex-wrap items-center gap-3">
+            <p class="text-gray-900 font-medium">${escapeHtml(includeDomain && domain ? `Anyone at ${domain}` : email)}</p>
+            ${renderRequesterFlags(cases)}
+        </div>
+        <p class="text-sm text-gray-500 mt-1">
+            ${total} case${total === 1 ? '' : 's'}, ${openCount} open${total > cases.length ? ` (showing the ${cases.length} most recent)` : ''}
+        </p>
+    `;
+
+    if (cases.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="px-6 py-8 text-center text-gray-500">No cases found</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = cases.map(caseItem => `
+        <tr class="hover:bg-gray-50 cursor-pointer" onclick="openCaseModal('${caseItem.id}')">
+            <td class="px-6 py-3 text-sm font-medium text-blue-600">${escapeHtml(caseItem.case_number)}</td>
+            <td class="px-6 py-3 text-sm text-gray-900">
+                ${escapeHtml(truncateText(caseItem.email_threads?.subject || 'No subject', 60))}
+                ${caseItem.same_sender ? '' : '<span class="text-xs text-gray-400 ml-1">(domain)</span>'}
+                ${renderRequesterFlags([caseItem])}
+            </td>
+            <td class="px-6 py-3"><span class="px-2 py-1 rounded text-xs ${getStatusColor(caseItem.status)}">${formatStatus(caseItem.status)}</span></td>
+            <td class="px-6 py-3"><span class="px-2 py-1 rounded text-xs ${getPriorityColor(caseItem.priority)}">${capitalize(caseItem.priority || 'normal')}</span></td>
+            <td class="px-6 py-3 text-sm text-gray-900">${calculateTAT(caseItem.created_at, caseItem.resolved_at)}</td>
+            <td class="px-6 py-3 text-sm text-gray-500">${formatDate(caseItem.created_at)}</td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Switch the requester view between the sender and the whole domain
+ */
+function setRequesterDomainFilter(includeDomain) {
+    const email = routerState.params.email || '';
+    updateRoute({ section: 'requester', params: { email, domain: includeDomain ? '1' : '' } }, { replace: true });
+    loadRequesterSection();
+}
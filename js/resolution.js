@@ -0,0 +1,136 @@
+/**
+ * Resolution
+ * The resolve dialog: resolution category, root cause and a summary, recorded on
+ * the case when it is marked resolved.
+ */
+
+const RESOLUTION_CATEGORIES = {
+    'answered': 'Question answered',
+    'fixed': 'Issue fixed',
+    'workaround': 'Workaround provided',
+    'provider_action': 'Resolved by provider',
+    'duplicate': 'Duplicate case',
+    'no_response': 'No customer response',
+    'not_reproducible': 'Could not reproduce',
+    'wont_fix': 'Will not fix'
+};
+
+const ROOT_CAUSES = {
+    'customer_error': 'Customer error',
+    'product_defect': 'Product defect',
+    'provider_issue': 'Provider issue',
+    'billing': 'Billing',
+    'documentation': 'Missing or unclear documentation',
+    'process': 'Internal process',
+    'other': 'Other'
+};
+
+const resolutionState = {
+    onConfirm: null,
+    childCount: 0,
+    submitting: false
+};
+
+/**
+ * Label for a stored resolution category or root cause
+ */
+function formatResolutionValue(labels, value) {
+    return labels[value] || formatStatus(value);
+}
+
+/**
+ * Open the resolve dialog; onConfirm receives { resolutionCategory, rootCause, resolutionNote,
+ * resolveChildren } and the dialog stays open if it throws.
+ * options.childCount offers to resolve that many open child cases too.
+ */
+function openResolutionDialog(title, onConfirm, options = {}) {
+    resolutionState.onConfirm = onConfirm;
+    resolutionState.childCount = options.childCount || 0;
+
+    document.getElementById('resolutionDialogTitle').textContent = title;
+    fillFilterSelect('resolutionCategorySelect', 'Choose a category...',
+        Object.entries(RESOLUTION_CATEGORIES).map(([value, label]) => ({ value, label })));
+    fillFilterSelect('resolutionRootCauseSelect', 'Not known',
+        Object.entries(ROOT_CAUSES).map(([value, label]) => ({ value, label })));
+    document.getElementById('resolutionCategorySelect').value = '';
+    document.getElementById('resolutionRootCauseSelect').value = '';
+    document.getElementById('resolutionSummaryInput').value = '';
+
+    const childCount = resolutionState.childCount;
+    document.getElementById('resolutionChildrenOption').classList.toggle('hidden', childCount === 0);
+    document.getElementById('resolutionChildrenInput').checked = false;
+    document.getElementById('resolutionChildrenLabel').textContent =
+        `Also resolve ${childCount} open child case${childCount === 1 ? '' : 's'} with the same details`;
+
+    document.getElementById('resolutionDialog').classList.remove('hidden');
+    document.getElementById('resolutionCategorySelect').focus();
+}
+
+/**
+ * Close the resolve dialog
+ */
+function closeResolutionDialog() {
+    document.getElementById('resolutionDialog').classList.add('hidden');
+    resolutionState.onConfirm = null;
+}
+
+/**
+ * Validate the dialog and hand the details to whoever opened it
+ */
+async function confirmResolution(event) {
+    event.preventDefault();
+    if (resolutionState.submitting || !resolutionState.onConfirm) return;
+
+    const details = {
+        resolutionCategory: document.getElementById('resolutionCategorySelect').value,
+        rootCause: document.getElementById('resolutionRootCauseSelect').value,
+        resolutionNote: document.getElementById('resolutionSummaryInput').value.trim(),
+        resolveChildren: resolutionState.childCount > 0 && document.getElementById('resolutionChildrenInput').checked
+    };
+
+    if (!details.resolutionCategory) {
+        showNotification('Choose a resolution category', 'warning');
+        return;
+    }
+    if (!details.resolutionNote) {
+        showNotification('Summarise how the case was resolved', 'warning');
+        return;
+    }
+
+    const onConfirm = resolutionState.onConfirm;
+    const submitButton = document.getElementById('resolutionSubmit');
+    resolutionState.submitting = true;
+    submitButton.disabled = true;
+
+    try {
+        await onConfirm(details);
+        closeResolutionDialog();
+    } catch (error) {
+        console.error('Error resolving case:', error);
+        showNotification(error.message || 'Failed to resolve case', 'error');
+    } finally {
+        resolutionState.submitting = false;
+        submitButton.disabled = false;
+    }
+}
+
+/**
+ * Render the resolution details in the case modal
+ */
+function renderResolutionDetails(caseData) {
+    if (!caseData.resolved_at) return '';
+
+    return `
+        <div><span class="font-medium text-gray-700">Resolved:</span> ${formatDate(caseData.resolved_at, 'long')}</div>
+        <div><span class="font-medium text-gray-700">Resolution Time:</span> ${calculateTAT(caseData.created_at, caseData.resolved_at)}</div>
+        ${caseData.resolution_category ? `
+            <div><span class="font-medium text-gray-700">Outcome:</span> ${escapeHtml(formatResolutionValue(RESOLUTION_CATEGORIES, caseData.resolution_category))}</div>
+        ` : ''}
+        ${caseData.root_cause ? `
+            <div><span class="font-medium text-gray-700">Root Cause:</span> ${escapeHtml(formatResolutionValue(ROOT_CAUSES, caseData.root_cause))}</div>
+        ` : ''}
+        ${caseData.resolution_note ? `
+            <div class="col-span-2"><span class="font-medium text-gray-700">Resolution:</span> <span class="whitespace-pre-wrap">${escapeHtml(caseData.resolution_note)}</span></div>
+        ` : ''}
+    `;
+}
@@ -0,0 +1,204 @@
+/**
+ * URL Routing
+ * Hash-based routes so sections, case filters and open cases survive refresh,
+ * work with back/forward and can be shared as links.
+ *
+ *   #/dashboard
+ *   #/cases?q=refund&status=new&priority=vip&agent=<id>&tags=refund,billing&page=2&sort=tat&dir=desc
+ *   #/cases/<case id>
+ */
+
+// Route query parameters and the filter inputs they map to
+const CASE_FILTER_PARAMS = {
+    'q': 'caseSearch',
+    'status': 'statusFilter',
+    'priority': 'priorityFilter',
+    'agent': 'agentFilter',
+    'from': 'createdFromFilter',
+    'to': 'createdToFilter',
+    'category': 'categoryFilter',
+    'provider': 'providerFilter',
+    'tags': 'tagFilter',
+    'overdue': 'overdueFilter',
+    'unassigned': 'unassignedFilter'
+};
+
+const routerState = {
+    initialized: false,
+    lastHash: null,
+    section: null,
+    params: {}
+};
+
+/**
+ * Parse a location hash into { section, caseId, params }
+ */
+function parseRoute(hash = window.location.hash) {
+    const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+    const segments = path.split('/').filter(Boolean).map(decodeURIComponent);
+
+    return {
+        section: segments[0] || 'dashboard',
+        caseId: segments[0] === 'cases' && segments[1] ? segments[1] : null,
+        params: Object.fromEntries(new URLSearchParams(query))
+    };
+}
+
+/**
+ * Build a location hash from { section, caseId, params }
+ */
+function buildRoute(route) {
+    let hash = `#/${route.section || 'dashboard'}`;
+    if (route.caseId) {
+        hash = `#/cases/${encodeURIComponent(route.caseId)}`;
+    }
+
+    const query = new URLSearchParams();
+    Object.entries(route.params || {}).forEach(([key, value]) => {
+        if (value) query.set(key, value);
+    });
+
+    const queryString = query.toString();
+    return queryString ? `${hash}?${queryString}` : hash;
+}
+
+/**
+ * Record a route in browser history without triggering navigation
+ */
+function updateRoute(route, options = {}) {
+    const { replace = false } = options;
+    const hash = buildRoute(route);
+
+    if (!route.caseId) {
+        routerState.section = route.section;
+        routerState.params = route.params || {};
+    }
+
+    routerState.lastHash = hash;
+    if (hash === window.location.hash) return;
+
+    if (replace) {
+        history.replaceState(null, '', hash);
+    } else {
+        history.pushState(null, '', hash);
+    }
+}
+
+/**
+ * Route of the currently visible section, without any open case
+ */
+function getSectionRoute() {
+    return {
+        section: routerState.section || 'dashboard',
+        params: routerState.params
+    };
+}
+
+/**
+ * Read the case filter inputs as route parameters (checkboxes become "1")
+ */
+function getCaseFilterParams() {
+    const params = {};
+    Object.entries(CASE_FILTER_PARAMS).forEach(([param, inputId]) => {
+        const input = document.getElementById(inputId);
+        if (!input) return;
+
+        if (input.type === 'checkbox') {
+            if (input.checked) params[param] = '1';
+        } else if (input.value) {
+            params[param] = input.value;
+        }
+    });
+    return params;
+}
+
+/**
+ * Read the case filter inputs and table paging/sorting as route parameters
+ */
+function getCaseRouteParams() {
+    return { ...getCaseFilterParams(), ...getCasesTableRouteParams() };
+}
+
+/**
+ * Pre-fill the case filter inputs from route parameters
+ */
+function setCaseFilterInputs(params) {
+    Object.entries(CASE_FILTER_PARAMS).forEach(([param, inputId]) => {
+        const input = document.getElementById(inputId);
+        if (!input) return;
+
+        const value = params[param] || '';
+
+        if (input.type === 'checkbox') {
+            input.checked = value === '1';
+            return;
+        }
+
+        // Select options load asynchronously; keep a placeholder so the value sticks
+        if (value && input.tagName === 'SELECT' && !input.querySelector(`option[value="${CSS.escape(value)}"]`)) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = 'Loading...';
+            input.appendChild(option);
+        }
+
+        input.value = value;
+    });
+}
+
+/**
+ * Apply the current location to the UI
+ */
+function applyRoute() {
+    // Browsers may fire both popstate and hashchange for one navigation
+    if (window.location.hash === routerState.lastHash) return;
+    routerState.lastHash = window.location.hash;
+
+    const route = parseRoute();
+    const sectionChanged = route.section !== routerState.section ||
+        JSON.stringify(route.params) !== JSON.stringify(routerState.params);
+
+    if (route.caseId) {
+        // A case link shows the cases section behind the modal when nothing is open yet
+        if (!routerState.section) {
+            showSection('cases', { updateUrl: false });
+            routerState.section = 'cases';
+            routerState.params = {};
+        }
+        openCaseModal(route.caseId, { updateUrl: false });
+        return;
+    }
+
+    closeCaseModal({ updateUrl: false });
+
+    if (sectionChanged) {
+        if (route.section === 'cases') {
+            setCaseFilterInputs(route.params);
+            setCasesTableStateFromRoute(route.params);
+            showAdvancedFiltersIfSet();
+        }
+        routerState.section = route.section;
+        routerState.params = route.params;
+        showSection(route.section, { updateUrl: false });
+    }
+}
+
+/**
+ * Start routing from the current location
+ */
+function initRouter() {
+    if (!routerState.initialized) {
+        routerState.initialized = true;
+        window.addEventListener('popstate', applyRoute);
+        window.addEventListener('hashchange', applyRoute);
+    }
+
+    routerState.lastHash = null;
+    routerState.section = null;
+    routerState.params = {};
+
+    if (!window.location.hash) {
+        history.replaceState(null, '', buildRoute({ section: 'dashboard' }));
+    }
+    applyRoute();
+}
@@ -0,0 +1,387 @@
+/**
+ * Settings
+ * Admin-only configuration stored in Supabase, editable without a redeploy
+ */
+
+const settingsState = {
+    slaPolicies: [],
+    holidays: []
+};
+
+// Weekdays in the order shown in the editor (Monday first)
+const CALENDAR_EDITOR_DAYS = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * Load settings section data
+ */
+async function loadSettingsSection() {
+    if (!app || !app.supabase) return;
+
+    await Promise.all([loadSlaPolicyEditor(), loadBusinessCalendarEditor()]);
+}
+
+/**
+ * Load SLA policies and the category/provider options for the editor
+ */
+async function loadSlaPolicyEditor() {
+    const tbody = document.getElementById('slaPolicyTableBody');
+
+    try {
+        const [policiesResult, categoriesResult, providersResult] = await Promise.all([
+            app.supabase.from('sla_policies').select('*, providers(name)'),
+            app.supabase.rpc('list_case_categories'),
+            app.supabase.from('providers').select('id, name').order('name')
+        ]);
+
+        if (policiesResult.error) throw policiesResult.error;
+        if (categoriesResult.error) throw categoriesResult.error;
+        if (providersResult.error) throw providersResult.error;
+
+        // Priority order, then the default before category/provider overrides
+        const specificity = policy => (policy.provider_id ? 2 : 0) + (policy.category ? 1 : 0);
+        settingsState.slaPolicies = policiesResult.data.sort((a, b) =>
+            SLA_PRIORITIES.indexOf(a.priority) - SLA_PRIORITIES.indexOf(b.priority) ||
+            specificity(a) - specificity(b)
+        );
+
+        document.getElementById('slaCategoryOptions').innerHTML = categoriesResult.data
+            .map(row => `<option value="${escapeHtml(row.category)}"></option>`)
+            .join('');
+        fillFilterSelect('slaProviderInput', 'Any provider',
+            providersResult.data.map(provider => ({ value: provider.id, label: provider.name })));
+
+        renderSlaPolicyTable();
+
+    } catch (error) {
+        console.error('Error loading SLA policies:', error);
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6" class="px-6 py-4 text-center text-red-500">
+                    Error loading SLA policies: ${escapeHtml(error.message)}
+                </td>
+            </tr>
+        `;
+    }
+}
+
+/**
+ * Render the SLA policy table
+ */
+function renderSlaPolicyTable() {
+    const tbody = document.getElementById('slaPolicyTableBody');
+
+    if (settingsState.slaPolicies.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6" class="px-6 py-4 text-center text-gray-500">
+                    No SLA policies. Cases fall back to a 24 hour resolution target.
+                </td>
+            </tr>
+        `;
+        return;
+    }
+
+    tbody.innerHTML = settingsState.slaPolicies.map(policy => `
+        <tr>
+            <td class="px-6 py-3 whitespace-nowrap">
+                <span class="px-2 py-1 rounded text-xs ${getPriorityColor(policy.priority)}">${capitalize(policy.priority)}</span>
+            </td>
+            <td class="px-6 py-3 text-sm text-gray-900">${policy.category ? escapeHtml(policy.category) : '<span class="text-gray-400">Any</span>'}</td>
+            <td class="px-6 py-3 text-sm text-gray-900">${policy.providers?.name ? escapeHtml(policy.providers.name) : '<span class="text-gray-400">Any</span>'}</td>
+            <td class="px-6 py-3 text-sm text-gray-900">${formatDuration(policy.first_response_minutes)}</td>
+            <td class="px-6 py-3 text-sm text-gray-900">${formatDuration(policy.resolution_minutes)}</td>
+            <td class="px-6 py-3 whitespace-nowrap text-sm">
+                <button onclick="editSlaPolicy('${policy.id}')" class="text-blue-600 hover:text-blue-900 p-1" title="Edit">
+                    <i class="fas fa-edit"></i>
+                </button>
+                <button onclick="deleteSlaPolicy('${policy.id}')" class="text-red-600 hover:text-red-900 p-1" title="Delete">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Load a policy into the form for editing
+ */
+function editSlaPolicy(policyId) {
+    const policy = settingsState.slaPolicies.find(p => p.id === policyId);
+    if (!policy) return;
+
+    document.getElementById('slaPolicyId').value = policy.id;
+    document.getElementById('slaPriorityInput').value = policy.priority;
+    document.getElementById('slaCategoryInput').value = policy.category || '';
+    document.getElementById('slaProviderInput').value = policy.provider_id || '';
+    document.getElementById('slaFirstResponseInput').value = policy.first_response_minutes / 60;
+    document.getElementById('slaResolutionInput').value = policy.resolution_minutes / 60;
+    document.getElementById('slaPolicySubmit').innerHTML = '<i class="fas fa-save mr-1"></i>Save';
+}
+
+/**
+ * Clear the policy form back to "add" mode
+ */
+function resetSlaPolicyForm() {
+    document.getElementById('slaPolicyForm').reset();
+    document.getElementById('slaPolicyId').value = '';
+    document.getElementById('slaPolicySubmit').innerHTML = '<i class="fas fa-plus mr-1"></i>Add';
+}
+
+/**
+ * Create or update an SLA policy from the form
+ */
+async function saveSlaPolicy(event) {
+    event.preventDefault();
+    if (!getCurrentActor()) return;
+
+    const policyId = document.getElementById('slaPolicyId').value;
+    const firstResponseHours = parseFloat(document.getElementById('slaFirstResponseInput').value);
+    const resolutionHours = parseFloat(document.getElementById('slaResolutionInput').value);
+
+    if (!(firstResponseHours > 0) || !(resolutionHours > 0)) {
+        showNotification('Targets must be greater than zero', 'warning');
+        return;
+    }
+
+    if (firstResponseHours > resolutionHours) {
+        showNotification('First response target cannot be longer than the resolution target', 'warning');
+        return;
+    }
+
+    const policy = {
+        priority: document.getElementById('slaPriorityInput').value,
+        category: document.getElementById('slaCategoryInput').value.trim() || null,
+        provider_id: document.getElementById('slaProviderInput').value || null,
+        first_response_minutes: Math.round(firstResponseHours * 60),
+        resolution_minutes: Math.round(resolutionHours * 60),
+        updated_at: new Date().toISOString()
+    };
+
+    try {
+        const { error } = policyId
+            ? await app.supabase.from('sla_policies').update(policy).eq('id', policyId)
+            : await app.supabase.from('sla_policies').insert(policy);
+
+        if (error) {
+            // Unique index on priority/category/provider
+            if (error.code === '23505') {
+                throw new Error('A policy for that priority, category and provider already exists');
+            }
+            throw error;
+        }
+
+        resetSlaPolicyForm();
+        await refreshSlaPolicies();
+        showNotification('SLA policy saved', 'success');
+
+    } catch (error) {
+        console.error('Error saving SLA policy:', error);
+        showNotification(error.message || 'Failed to save SLA policy', 'error');
+    }
+}
+
+/**
+ * Delete an SLA policy
+ */
+async function deleteSlaPolicy(policyId) {
+    if (!getCurrentActor()) return;
+    if (!confirm('Delete this SLA policy? Matching cases will use the next most specific policy.')) return;
+
+    try {
+        const { error } = await app.supabase
+            .from('sla_policies')
+            .delete()
+            .eq('id', policyId);
+
+        if (error) throw error;
+
+        await refreshSlaPolicies();
+        showNotification('SLA policy deleted', 'success');
+
+    } catch (error) {
+        console.error('Error deleting SLA policy:', error);
+        showNotification('Failed to delete SLA policy', 'error');
+    }
+}
+
+/**
+ * Reload policies everywhere they are used after an edit
+ */
+async function refreshSlaPolicies() {
+    await Promise.all([loadSlaPolicies(), loadSlaPolicyEditor()]);
+    if (app.loadDashboardData) {
+        app.loadDashboardData();
+    }
+}
+
+/**
+ * Load the business calendar into the editor
+ */
+async function loadBusinessCalendarEditor() {
+    await loadBusinessCalendar();
+    const calendar = businessCalendarState.calendar;
+
+    document.getElementById('calendarModeInput').value = calendar.mode;
+    document.getElementById('calendarTimezoneInput').value = calendar.timezone;
+
+    const timezoneOptions = document.getElementById('calendarTimezoneOptions');
+    if (!timezoneOptions.children.length && typeof Intl.supportedValuesOf === 'function') {
+        timezoneOptions.innerHTML = Intl.supportedValuesOf('timeZone')
+            .map(zone => `<option value="${zone}"></option>`)
+            .join('');
+    }
+
+    document.getElementById('calendarHoursList').innerHTML = CALENDAR_EDITOR_DAYS.map(day => {
+        const hours = calendar.hours ? calendar.hours[String(day)] : null;
+        const isOpen = Array.isArray(hours);
+        return `
+            <div class="flex items-center gap-3 text-sm">
+                <label class="inline-flex items-center w-36 text-gray-700">
+                    <input type="checkbox" id="calendarOpen${day}" ${isOpen ? 'checked' : ''}
+                        onchange="document.getElementById('calendarOpens${day}').disabled = document.getElementById('calendarCloses${day}').disabled = !this.checked"
+                        class="rounded border-gray-300 text-blue-600 mr-2">
+                    ${WEEKDAY_NAMES[day]}
+                </label>
+                <input type="time" id="calendarOpens${day}" value="${isOpen ? hours[0] : '09:00'}" ${isOpen ? '' : 'disabled'}
+                    class="px-2 py-1 border border-gray-300 rounded text-sm disabled:bg-gray-100 disabled:text-gray-400">
+                <span class="text-gray-400">to</span>
+                <input type="time" id="calendarCloses${day}" value="${isOpen ? (hours[1] === '24:00' ? '00:00' : hours[1]) : '17:00'}" ${isOpen ? '' : 'disabled'}
+                    class="px-2 py-1 border border-gray-300 rounded text-sm disabled:bg-gray-100 disabled:text-gray-400">
+            </div>
+        `;
+    }).join('');
+
+    settingsState.holidays = [...(calendar.holidays || [])];
+    renderCalendarHolidays();
+}
+
+/**
+ * Render the holiday chips
+ */
+function renderCalendarHolidays() {
+    const list = document.getElementById('calendarHolidayList');
+
+    if (settingsState.holidays.length === 0) {
+        list.innerHTML = '<span class="text-sm text-gray-400">No holidays added</span>';
+        return;
+    }
+
+    list.innerHTML = settingsState.holidays
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(holiday => `
+            <span class="inline-flex items-center px-3 py-1 rounded-full text-sm bg-gray-100 text-gray-700">
+                ${formatDate(`${holiday.date}T00:00:00`, 'date')}${holiday.name ? ` · ${escapeHtml(holiday.name)}` : ''}
+                <button type="button" onclick="removeCalendarHoliday('${holiday.date}')" class="ml-2 text-gray-400 hover:text-red-600" title="Remove">
+                    <i class="fas fa-times text-xs"></i>
+                </button>
+            </span>
+        `).join('');
+}
+
+/**
+ * Add a holiday from the date and name inputs
+ */
+function addCalendarHoliday() {
+    const dateInput = document.getElementById('calendarHolidayDate');
+    const nameInput = document.getElementById('calendarHolidayName');
+
+    if (!dateInput.value) {
+        showNotification('Pick a date for the holiday', 'warning');
+        return;
+    }
+
+    settingsState.holidays = settingsState.holidays.filter(holiday => holiday.date !== dateInput.value);
+    settingsState.holidays.push({ date: dateInput.value, name: nameInput.value.trim() });
+
+    dateInput.value = '';
+    nameInput.value = '';
+    renderCalendarHolidays();
+}
+
+/**
+ * Remove a holiday
+ */
+function removeCalendarHoliday(date) {
+    settingsState.holidays = settingsState.holidays.filter(holiday => holiday.date !== date);
+    renderCalendarHolidays();
+}
+
+/**
+ * Save the business calendar from the editor
+ */
+async function saveBusinessCalendar(event) {
+    event.preventDefault();
+    const actor = getCurrentActor();
+    if (!actor) return;
+
+    // The browser works out business hours in this zone too; the database
+    // rejects zones it does not know itself
+    const timezone = document.getElementById('calendarTimezoneInput').value.trim();
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+        showNotification(`Unknown timezone: ${timezone}`, 'warning');
+        return;
+    }
+
+    const hours = {};
+    const invalidDays = [];
+    CALENDAR_EDITOR_DAYS.forEach(day => {
+        const isOpen = document.getElementById(`calendarOpen${day}`).checked;
+        const opens = document.getElementById(`calendarOpens${day}`).value;
+        const closes = document.getElementById(`calendarCloses${day}`).value;
+        if (!isOpen || !opens || !closes) {
+            hours[String(day)] = null;
+            return;
+        }
+
+        // Closing at 00:00 means midnight at the end of the day
+        const closesAt = closes === '00:00' ? '24:00' : closes;
+        if (closesAt <= opens) invalidDays.push(WEEKDAY_NAMES[day]);
+        hours[String(day)] = [opens, closesAt];
+    });
+
+    if (invalidDays.length > 0) {
+        showNotification(`Opening time must be before closing time (${invalidDays.join(', ')})`, 'warning');
+        return;
+    }
+
+    const mode = document.getElementById('calendarModeInput').value;
+    if (mode === 'business' && Object.values(hours).every(dayHours => !dayHours)) {
+        showNotification('Business-hours mode needs at least one working day', 'warning');
+        return;
+    }
+
+    const calendar = {
+        mode: mode,
+        timezone: timezone,
+        hours: hours,
+        holidays: settingsState.holidays
+    };
+
+    try {
+        const { error } = await app.supabase
+            .from('app_settings')
+            .upsert({
+                key: 'business_calendar',
+                value: calendar,
+                updated_at: new Date().toISOString(),
+                updated_by: actor.id
+            });
+
+        if (error) throw error;
+
+        await loadBusinessCalendarEditor();
+        if (app.loadDashboardData) {
+            app.loadDashboardData();
+        }
+        showNotification('Business calendar saved', 'success');
+
+    } catch (error) {
+        console.error('Error saving business calendar:', error);
+        showNotification(
+            error.code === '22023' ? error.message : 'Failed to save business calendar',
+            'error'
+        );
+    }
+}
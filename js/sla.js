@@ -0,0 +1,263 @@
+/**
+ * SLA Policies
+ * First-response and resolution targets per priority, optionally narrowed to a
+ * category and/or provider. Every overdue indicator, alert and chart reads from here.
+ * The database stores each case's deadlines (first_response_due_at, resolution_due_at)
+ * and filters and sorts on them; the policies are only applied here to rows loaded
+ * without those columns.
+ */
+
+const SLA_PRIORITIES = ['vip', 'urgent', 'normal', 'low'];
+
+// Used until the policies load (or if they cannot be read)
+const DEFAULT_SLA_POLICIES = [
+    { priority: 'vip', category: null, provider_id: null, first_response_minutes: 60, resolution_minutes: 240 },
+    { priority: 'urgent', category: null, provider_id: null, first_response_minutes: 120, resolution_minutes: 480 },
+    { priority: 'normal', category: null, provider_id: null, first_response_minutes: 480, resolution_minutes: 1440 },
+    { priority: 'low', category: null, provider_id: null, first_response_minutes: 1440, resolution_minutes: 2880 }
+];
+
+// Resolution target for cases no policy matches
+const SLA_FALLBACK_RESOLUTION_MINUTES = 24 * 60;
+
+const slaState = {
+    policies: DEFAULT_SLA_POLICIES
+};
+
+/**
+ * Load SLA policies from the database
+ */
+async function loadSlaPolicies() {
+    if (!app || !app.supabase) return;
+
+    try {
+        const { data: policies, error } = await app.supabase
+            .from('sla_policies')
+            .select('*');
+
+        if (error) throw error;
+
+        slaState.policies = policies.length > 0 ? policies : DEFAULT_SLA_POLICIES;
+
+    } catch (error) {
+        console.error('Error loading SLA policies, using defaults:', error);
+        slaState.policies = DEFAULT_SLA_POLICIES;
+    }
+}
+
+/**
+ * Find the most specific policy for a case: provider and category,
+ * then provider, then category, then the priority default
+ */
+function getSlaPolicy(caseData) {
+    const category = (caseData.category || '').toLowerCase();
+
+    const matches = slaState.policies.filter(policy =>
+        policy.priority === caseData.priority &&
+        (!policy.category || policy.category.toLowerCase() === category) &&
+        (!policy.provider_id || policy.provider_id === caseData.provider_id)
+    );
+
+    const specificity = policy => (policy.provider_id ? 2 : 0) + (policy.category ? 1 : 0);
+    matches.sort((a, b) => specificity(b) - specificity(a));
+
+    return matches[0] || null;
+}
+
+/**
+ * Get the first-response and resolution deadlines for a case
+ */
+function getSlaDeadlines(caseData) {
+    if (caseData.resolution_due_at) {
+        return {
+            firstResponseDueAt: caseData.first_response_due_at ? new Date(caseData.first_response_due_at) : null,
+            resolutionDueAt: new Date(caseData.resolution_due_at)
+        };
+    }
+
+    const policy = getSlaPolicy(caseData);
+    const resolutionMinutes = policy ? policy.resolution_minutes : SLA_FALLBACK_RESOLUTION_MINUTES;
+
+    // Targets run on business time when the business calendar is in business mode
+    return {
+        firstResponseDueAt: policy ? addElapsedMinutes(caseData.created_at, policy.first_response_minutes) : null,
+        resolutionDueAt: addElapsedMinutes(caseData.created_at, resolutionMinutes)
+    };
+}
+
+/**
+ * Work out whether a case has breached its first-response or resolution target
+ */
+function getSlaStatus(caseData, now = new Date()) {
+    const deadlines = getSlaDeadlines(caseData);
+    const isOpen = !['resolved', 'closed'].includes(caseData.status);
+
+    const firstResponseBreached = isOpen && !caseData.first_response_at &&
+        !!deadlines.firstResponseDueAt && now > deadlines.firstResponseDueAt;
+    const resolutionBreached = isOpen && now > deadlines.resolutionDueAt;
+
+    return {
+        ...deadlines,
+        firstResponseBreached,
+        resolutionBreached,
+        overdue: firstResponseBreached || resolutionBreached
+    };
+}
+
+/**
+ * Describe why a case is overdue, for tooltips
+ */
+function getSlaBreachLabel(slaStatus) {
+    if (slaStatus.firstResponseBreached && slaStatus.resolutionBreached) {
+        return 'First response and resolution SLA breached';
+    }
+    if (slaStatus.firstResponseBreached) return 'First response SLA breached';
+    if (slaStatus.resolutionBreached) return 'Resolution SLA breached';
+    return '';
+}
+
+/**
+ * Check whether a case missed either target at any point, including cases
+ * already resolved late (used by charts)
+ */
+function hasMissedSla(caseData, now = new Date()) {
+    const { firstResponseDueAt, resolutionDueAt } = getSlaDeadlines(caseData);
+    const isOpen = !['resolved', 'closed'].includes(caseData.status);
+
+    const resolvedAt = caseData.resolved_at ? new Date(caseData.resolved_at) : (isOpen ? now : null);
+    const respondedAt = caseData.first_response_at ? new Date(caseData.first_response_at) : resolvedAt;
+
+    return (!!firstResponseDueAt && !!respondedAt && respondedAt > firstResponseDueAt) ||
+        (!!resolvedAt && resolvedAt > resolutionDueAt);
+}
+
+// Under this share of the target left, an open case is "at risk"
+const SLA_AT_RISK_RATIO = 0.25;
+
+// How often live countdowns tick
+const SLA_COUNTDOWN_INTERVAL_MS = 30000;
+
+const SLA_COUNTDOWN_ICONS = {
+    'ok': 'fa-hourglass-half',
+    'at_risk': 'fa-exclamation-circle',
+    'breached': 'fa-exclamation-triangle'
+};
+
+const slaCountdownState = {
+    timer: null
+};
+
+/**
+ * Next SLA target of an open case (first response until an agent responds,
+ * then resolution), or null for resolved and closed cases
+ */
+function getSlaCountdown(caseData, now = new Date()) {
+    if (['resolved', 'closed'].includes(caseData.status)) return null;
+
+    const { firstResponseDueAt, resolutionDueAt } = getSlaDeadlines(caseData);
+    const awaitingResponse = !caseData.first_response_at && !!firstResponseDueAt;
+
+    const target = awaitingResponse ? 'first_response' : 'resolution';
+    const dueAt = awaitingResponse ? firstResponseDueAt : resolutionDueAt;
+    // The whole target, measured the same way as the time left
+    const totalMinutes = getElapsedMinutes(caseData.created_at, dueAt);
+
+    return { target, dueAt, totalMinutes, ...describeSlaCountdown(dueAt, totalMinutes, target, now) };
+}
+
+/**
+ * Remaining time, state ('ok', 'at_risk' or 'breached') and label for a deadline
+ */
+function describeSlaCountdown(dueAt, totalMinutes, target, now = new Date()) {
+    const remainingMinutes = now < dueAt
+        ? getElapsedMinutes(now, dueAt)
+        : -getElapsedMinutes(dueAt, now);
+
+    let state = 'ok';
+    if (remainingMinutes <= 0) {
+        state = 'breached';
+    } else if (remainingMinutes < totalMinutes * SLA_AT_RISK_RATIO) {
+        state = 'at_risk';
+    }
+
+    const label = target === 'first_response' ? 'Response' : 'Resolve';
+    const text = state === 'breached'
+        ? `${label} overdue ${formatDuration(-remainingMinutes)}`
+        : `${label} in ${formatDuration(Math.max(1, remainingMinutes))}`;
+
+    return { remainingMinutes, state, text };
+}
+
+/**
+ * Render a live countdown badge for an open case ('' for resolved and closed cases)
+ */
+function renderSlaCountdown(caseData) {
+    const countdown = getSlaCountdown(caseData);
+    if (!countdown) return '';
+
+    return `
+        <span class="sla-countdown ${getSlaStateClass(countdown.state)}"
+              data-sla-due="${countdown.dueAt.toISOString()}"
+              data-sla-total="${countdown.totalMinutes}"
+              data-sla-target="${countdown.target}"
+              title="Due ${formatDate(countdown.dueAt.toISOString(), 'long')}">
+            <i class="fas ${SLA_COUNTDOWN_ICONS[countdown.state]}"></i><span class="sla-countdown-text">${countdown.text}</span>
+        </span>
+    `;
+}
+
+/**
+ * CSS class for an SLA state ('at_risk' -> 'sla-at-risk')
+ */
+function getSlaStateClass(state, prefix = 'sla') {
+    return `${prefix}-${state.replace('_', '-')}`;
+}
+
+/**
+ * Row highlight class for a case's SLA state
+ */
+function getSlaRowClass(caseData) {
+    const countdown = getSlaCountdown(caseData);
+    return countdown && countdown.state !== 'ok' ? getSlaStateClass(countdown.state, 'sla-row') : '';
+}
+
+/**
+ * Re-render every countdown on the page
+ */
+function refreshSlaCountdowns() {
+    const now = new Date();
+    document.querySelectorAll('.sla-countdown[data-sla-due]').forEach(el => {
+        const countdown = describeSlaCountdown(
+            new Date(el.dataset.slaDue),
+            parseFloat(el.dataset.slaTotal),
+            el.dataset.slaTarget,
+            now
+        );
+
+        el.className = `sla-countdown ${getSlaStateClass(countdown.state)}`;
+        el.querySelector('i').className = `fas ${SLA_COUNTDOWN_ICONS[countdown.state]}`;
+        el.querySelector('.sla-countdown-text').textContent = countdown.text;
+
+        const row = el.closest('tr');
+        if (row) {
+            row.classList.toggle('sla-row-at-risk', countdown.state === 'at_risk');
+            row.classList.toggle('sla-row-breached', countdown.state === 'breached');
+        }
+    });
+}
+
+/**
+ * Start ticking countdowns
+ */
+function startSlaCountdowns() {
+    stopSlaCountdowns();
+    slaCountdownState.timer = setInterval(refreshSlaCountdowns, SLA_COUNTDOWN_INTERVAL_MS);
+}
+
+/**
+ * Stop ticking countdowns
+ */
+function stopSlaCountdowns() {
+    clearInterval(slaCountdownState.timer);
+    slaCountdownState.timer = null;
+}
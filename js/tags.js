@@ -0,0 +1,140 @@
+/**
+ * Case Tags
+ * Free-form tags on cases: chips in the table and modal, editing with
+ * autocomplete from tags already in use, and the tag filter.
+ */
+
+// Chips shown per row in the cases table before "+N"
+const TABLE_TAG_LIMIT = 3;
+
+const tagsState = {
+    known: []
+};
+
+/**
+ * Normalise a tag the way the database stores it
+ */
+function normalizeTag(tag) {
+    return String(tag || '').trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Split a comma-separated tag list into normalised tags
+ */
+function parseTagList(value) {
+    return [...new Set(String(value || '').split(',').map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Load the tags in use and offer them as autocomplete suggestions
+ */
+async function loadKnownTags() {
+    const { data: tags, error } = await app.supabase.rpc('list_case_tags');
+    if (error) throw error;
+
+    tagsState.known = tags;
+
+    const datalist = document.getElementById('caseTagOptions');
+    if (datalist) {
+        datalist.innerHTML = tags
+            .map(row => `<option value="${escapeHtml(row.tag)}">${row.case_count} case${row.case_count === 1 ? '' : 's'}</option>`)
+            .join('');
+    }
+    return tags;
+}
+
+/**
+ * Render tags as chips; removable chips need the case id
+ */
+function renderTagChips(tags, options = {}) {
+    const { limit, caseId } = options;
+    if (!tags || tags.length === 0) return '';
+
+    const shown = limit ? tags.slice(0, limit) : tags;
+    const hidden = tags.length - shown.length;
+
+    return `
+        <span class="inline-flex flex-wrap gap-1">
+            ${shown.map(tag => `
+                <span class="inline-flex items-center px-2 py-0.5 rounded-full text-xs bg-indigo-50 text-indigo-700 border border-indigo-100">
+                    #${escapeHtml(tag)}
+                    ${caseId ? `
+                        <button data-tag="${escapeHtml(tag)}" onclick="removeCaseTag('${caseId}', this.dataset.tag)" class="ml-1 text-indigo-400 hover:text-red-600" title="Remove tag">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    ` : ''}
+                </span>
+            `).join('')}
+            ${hidden > 0 ? `<span class="text-xs text-gray-400" title="${escapeHtml(tags.slice(limit).join(', '))}">+${hidden}</span>` : ''}
+        </span>
+    `;
+}
+
+/**
+ * Render the tags row of the case modal's information grid
+ */
+function renderCaseTags(caseData) {
+    const tags = caseData.tags || [];
+    const canEdit = canActOnCase(caseData, 'case.work');
+
+    return `
+        <div class="col-span-2 flex flex-wrap items-center gap-2">
+            <span class="font-medium text-gray-700">Tags:</span>
+            ${renderTagChips(tags, { caseId: canEdit ? caseData.id : null }) || '<span class="text-gray-400">None</span>'}
+            ${canEdit ? `
+                <form onsubmit="addCaseTags(event, '${caseData.id}')" class="inline-flex">
+                    <input type="text" id="caseTagInput" list="caseTagOptions" placeholder="Add tag" autocomplete="off"
+                           class="w-32 px-2 py-0.5 border border-gray-300 rounded text-xs focus:ring-2 focus:ring-blue-500 focus:border-transparent">
+                </form>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Add and/or remove a case's tags in the database, so concurrent changes from
+ * other agents are kept, and refresh the modal and table
+ */
+async function saveCaseTags(caseId, { add = [], remove = [] }) {
+    const actor = getCurrentActor();
+    if (!actor) return;
+
+    try {
+        const { data: updated, error } = await app.supabase
+            .rpc('update_case_tags', { p_case_id: caseId, p_add: add, p_remove: remove });
+
+        if (error) throw error;
+
+        // Row Level Security silently skips cases the agent may not change
+        if (!updated) {
+            throw new Error('You do not have permission to update this case');
+        }
+
+        openCaseModal(caseId, { updateUrl: false });
+        loadCasesTable(getCaseFilters());
+        loadKnownTags().catch(error => console.warn('Could not reload tags:', error));
+
+    } catch (error) {
+        console.error('Error saving tags:', error);
+        showNotification(error.message || 'Failed to save tags', 'error');
+    }
+}
+
+/**
+ * Add the tags typed in the modal (comma-separated)
+ */
+async function addCaseTags(event, caseId) {
+    event.preventDefault();
+
+    const newTags = parseTagList(document.getElementById('caseTagInput').value);
+    if (newTags.length === 0) return;
+
+    await saveCaseTags(caseId, { add: newTags });
+}
+
+/**
+ * Remove one tag from a case
+ */
+async function removeCaseTag(caseId, tag) {
+    await saveCaseTags(caseId, { remove: [tag] });
+}
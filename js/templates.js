@@ -0,0 +1,538 @@
+/**
+ * Response Templates
+ * Canned replies with {{placeholders}} filled from the case when inserted into the
+ * reply composer. Supervisors and admins maintain them; every edit is versioned.
+ */
+
+const TEMPLATE_PLACEHOLDERS = [
+    { key: 'customer_name', label: 'Customer name' },
+    { key: 'customer_email', label: 'Customer email' },
+    { key: 'case_number', label: 'Case number' },
+    { key: 'agent_name', label: 'Agent name' },
+    { key: 'provider', label: 'Provider' },
+    { key: 'category', label: 'Category' },
+    { key: 'subject', label: 'Subject' }
+];
+
+const TEMPLATE_PLACEHOLDER_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/gi;
+
+const templateState = {
+    templates: [],
+    selectedId: null,
+    versions: []
+};
+
+/**
+ * Fetch all templates, ordered by category then name
+ */
+async function loadResponseTemplates() {
+    const { data: templates, error } = await app.supabase
+        .from('response_templates')
+        .select('*')
+        .order('category', { nullsFirst: false })
+        .order('name');
+
+    if (error) throw error;
+
+    templateState.templates = templates || [];
+    return templateState.templates;
+}
+
+/**
+ * Best guess at the customer's name: the sender name on their last email,
+ * the name captured by the workflow, or the address itself ("jane.doe" -> "Jane Doe")
+ */
+function getCustomerName(caseData, emails = []) {
+    const lastInbound = [...emails].reverse().find(email => !isOutboundEmail(email));
+    if (lastInbound && lastInbound.from_name) return lastInbound.from_name;
+
+    const metadata = typeof caseData.metadata === 'string'
+        ? safeJsonParse(caseData.metadata, {})
+        : (caseData.metadata || {});
+    if (metadata.customer_name) return metadata.customer_name;
+
+    const address = lastInbound ? lastInbound.from_email : '';
+    if (!address) return '';
+
+    return address.split('@')[0]
+        .split(/[._-]+/)
+        .filter(Boolean)
+        .map(capitalize)
+        .join(' ');
+}
+
+/**
+ * Placeholder values for a case
+ */
+function getTemplateValues(caseData, emails = []) {
+    const lastInbound = [...emails].reverse().find(email => !isOutboundEmail(email));
+
+    return {
+        customer_name: getCustomerName(caseData, emails),
+        customer_email: lastInbound ? lastInbound.from_email : '',
+        case_number: caseData.case_number || '',
+        agent_name: app.currentAgent ? app.currentAgent.name : '',
+        provider: caseData.providers?.name || '',
+        category: caseData.category || '',
+        subject: caseData.email_threads?.subject || ''
+    };
+}
+
+/**
+ * Fill {{placeholders}} in text. Placeholders without a value are left in place
+ * so the agent can see and complete them.
+ */
+function resolveTemplatePlaceholders(text, values) {
+    const unresolved = new Set();
+
+    const resolved = (text || '').replace(TEMPLATE_PLACEHOLDER_PATTERN, (match, key) => {
+        const value = values[key.toLowerCase()];
+        if (value) return value;
+
+        unresolved.add(key.toLowerCase());
+        return match;
+    });
+
+    return { text: resolved, unresolved: [...unresolved] };
+}
+
+/**
+ * Render template options grouped by category
+ */
+function renderTemplateOptions(templates) {
+    const groups = {};
+    templates.forEach(template => {
+        const category = template.category || 'Uncategorized';
+        (groups[category] = groups[category] || []).push(template);
+    });
+
+    return Object.entries(groups).map(([category, items]) => `
+        <optgroup label="${escapeHtml(category)}">
+            ${items.map(template => `<option value="${template.id}">${escapeHtml(template.name)}</option>`).join('')}
+        </optgroup>
+    `).join('');
+}
+
+// ---------------------------------------------------------------------------
+// Reply composer
+// ---------------------------------------------------------------------------
+
+/**
+ * Fill the composer's template picker
+ */
+async function fillReplyTemplateSelect() {
+    const select = document.getElementById('replyTemplateSelect');
+    if (!select) return;
+
+    try {
+        const templates = await loadResponseTemplates();
+
+        select.innerHTML = templates.length > 0
+            ? `<option value="">Insert template...</option>${renderTemplateOptions(templates)}`
+            : '<option value="">No templates yet</option>';
+        select.disabled = templates.length === 0;
+
+    } catch (error) {
+        console.error('Error loading templates:', error);
+        select.innerHTML = '<option value="">Templates unavailable</option>';
+        select.disabled = true;
+    }
+}
+
+/**
+ * Insert the chosen template at the cursor, resolving placeholders from the case
+ */
+function insertReplyTemplate(select) {
+    const template = templateState.templates.find(t => t.id === select.value);
+    select.value = '';
+    if (!template || !composerState.caseData) return;
+
+    const values = getTemplateValues(composerState.caseData, composerState.emails);
+    const body = resolveTemplatePlaceholders(template.body, values);
+
+    const textarea = document.getElementById('replyBody');
+    const start = textarea.selectionStart ?? textarea.value.length;
+    const end = textarea.selectionEnd ?? textarea.value.length;
+    textarea.value = textarea.value.slice(0, start) + body.text + textarea.value.slice(end);
+    textarea.focus();
+    textarea.setSelectionRange(start + body.text.length, start + body.text.length);
+
+    // A template subject only replaces an empty subject
+    const subjectInput = document.getElementById('replySubject');
+    let unresolved = body.unresolved;
+    if (template.subject && !subjectInput.value.trim()) {
+        const subject = resolveTemplatePlaceholders(template.subject, values);
+        subjectInput.value = subject.text;
+        unresolved = [...new Set([...unresolved, ...subject.unresolved])];
+    }
+
+    scheduleDraftSave();
+
+    if (unresolved.length > 0) {
+        showNotification(`Fill in: ${unresolved.map(key => `{{${key}}}`).join(', ')}`, 'warning', 5000);
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Template library section
+// ---------------------------------------------------------------------------
+
+/**
+ * Load templates section data
+ */
+async function loadTemplatesSection() {
+    if (!app || !app.supabase) return;
+
+    const list = document.getElementById('templateList');
+
+    try {
+        await loadResponseTemplates();
+
+        const categories = [...new Set(templateState.templates.map(t => t.category).filter(Boolean))];
+        fillFilterSelect('templateCategoryFilter', 'All Categories',
+            categories.map(category => ({ value: category, label: category })));
+
+        renderTemplateList();
+
+        const selected = templateState.templates.find(t => t.id === templateState.selectedId);
+        if (selected) {
+            selectTemplate(selected.id);
+        } else if (can('template.manage')) {
+            newTemplate();
+        } else {
+            renderTemplateDetail(null);
+        }
+
+    } catch (error) {
+        console.error('Error loading templates:', error);
+        list.innerHTML = `<p class="p-4 text-sm text-red-500">Error loading templates: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+/**
+ * Render the template list, applying the search and category filter
+ */
+function renderTemplateList() {
+    const list = document.getElementById('templateList');
+    const search = document.getElementById('templateSearch').value.trim().toLowerCase();
+    const category = document.getElementById('templateCategoryFilter').value;
+
+    const templates = templateState.templates.filter(template =>
+        (!category || template.category === category) &&
+        (!search || `${template.name} ${template.subject || ''} ${template.body}`.toLowerCase().includes(search))
+    );
+
+    if (templates.length === 0) {
+        list.innerHTML = `
+            <p class="p-4 text-sm text-gray-500">
+                ${templateState.templates.length === 0 ? 'No templates yet.' : 'No templates match your search.'}
+            </p>
+        `;
+        return;
+    }
+
+    list.innerHTML = templates.map(template => `
+        <button onclick="selectTemplate('${template.id}')"
+                class="w-full text-left px-4 py-3 hover:bg-gray-50 transition-colors ${template.id === templateState.selectedId ? 'bg-blue-50' : ''}">
+            <div class="flex items-center justify-between">
+                <span class="text-sm font-medium text-gray-900">${escapeHtml(template.name)}</span>
+                <span class="text-xs text-gray-400">v${template.version}</span>
+            </div>
+            <div class="flex items-center gap-2 mt-1">
+                ${template.category ? `<span class="px-2 py-0.5 bg-gray-100 text-gray-700 text-xs rounded">${escapeHtml(template.category)}</span>` : ''}
+                <span class="text-xs text-gray-500 truncate">${escapeHtml(truncateText(template.body, 60))}</span>
+            </div>
+        </button>
+    `).join('');
+}
+
+/**
+ * Show a template: the editor for managers, a read-only preview for agents
+ */
+async function selectTemplate(templateId) {
+    templateState.selectedId = templateId;
+    templateState.versions = [];
+    renderTemplateList();
+
+    const template = templateState.templates.find(t => t.id === templateId);
+    renderTemplateDetail(template);
+
+    if (template && can('template.manage')) {
+        await loadTemplateVersions(template.id);
+    }
+}
+
+/**
+ * Start a new template in the editor
+ */
+function newTemplate() {
+    if (!can('template.manage')) return;
+
+    templateState.selectedId = null;
+    templateState.versions = [];
+    renderTemplateList();
+    renderTemplateDetail(null);
+}
+
+/**
+ * Render the right-hand panel for a template (or an empty editor)
+ */
+function renderTemplateDetail(template) {
+    const detail = document.getElementById('templateDetail');
+
+    if (!can('template.manage')) {
+        detail.innerHTML = template ? `
+            <div class="flex items-center justify-between mb-1">
+                <h3 class="text-lg font-medium text-gray-900">${escapeHtml(template.name)}</h3>
+                <span class="text-xs text-gray-400">Version ${template.version} · updated ${formatDate(template.updated_at)}</span>
+            </div>
+            ${template.category ? `<span class="px-2 py-0.5 bg-gray-100 text-gray-700 text-xs rounded">${escapeHtml(template.category)}</span>` : ''}
+            ${template.subject ? `<p class="text-sm text-gray-700 mt-4"><strong>Subject:</strong> ${escapeHtml(template.subject)}</p>` : ''}
+            <div class="mt-3 text-sm text-gray-800 whitespace-pre-wrap bg-gray-50 p-4 rounded border">${escapeHtml(template.body)}</div>
+            <p class="text-xs text-gray-500 mt-3">Insert templates from the reply box on a case; placeholders are filled in from the case.</p>
+        ` : '<p class="text-sm text-gray-500">Select a template to preview it.</p>';
+        return;
+    }
+
+    const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+    const categories = [...new Set(templateState.templates.map(t => t.category).filter(Boolean))];
+
+    detail.innerHTML = `
+        <form id="templateForm" onsubmit="saveTemplate(event)" class="space-y-4">
+            <div class="flex items-center justify-between">
+                <h3 class="text-lg font-medium text-gray-900">${template ? 'Edit Template' : 'New Template'}</h3>
+                ${template ? `<span class="text-xs text-gray-400">Version ${template.version} · updated ${formatDate(template.updated_at)}</span>` : ''}
+            </div>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                    <label for="templateNameInput" class="block text-xs font-medium text-gray-500 mb-1">Name</label>
+                    <input type="text" id="templateNameInput" required value="${escapeHtml(template ? template.name : '')}" class="${inputClass}">
+                </div>
+                <div>
+                    <label for="templateCategoryInput" class="block text-xs font-medium text-gray-500 mb-1">Category</label>
+                    <input type="text" id="templateCategoryInput" list="templateCategoryOptions" placeholder="e.g. Billing" value="${escapeHtml(template ? template.category || '' : '')}" class="${inputClass}">
+                    <datalist id="templateCategoryOptions">
+                        ${categories.map(category => `<option value="${escapeHtml(category)}"></option>`).join('')}
+                    </datalist>
+                </div>
+            </div>
+            <div>
+                <label for="templateSubjectInput" class="block text-xs font-medium text-gray-500 mb-1">Subject (optional)</label>
+                <input type="text" id="templateSubjectInput" value="${escapeHtml(template ? template.subject || '' : '')}" class="${inputClass}">
+            </div>
+            <div>
+                <label for="templateBodyInput" class="block text-xs font-medium text-gray-500 mb-1">Body</label>
+                <textarea id="templateBodyInput" rows="10" required class="${inputClass}">${escapeHtml(template ? template.body : '')}</textarea>
+                <div class="flex flex-wrap items-center gap-1 mt-2">
+                    <span class="text-xs text-gray-500 mr-1">Insert placeholder:</span>
+                    ${TEMPLATE_PLACEHOLDERS.map(placeholder => `
+                        <button type="button" onclick="insertTemplatePlaceholder('${placeholder.key}')"
+                                class="px-2 py-0.5 bg-blue-50 text-blue-700 border border-blue-200 rounded text-xs hover:bg-blue-100" title="{{${placeholder.key}}}">
+                            ${placeholder.label}
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="flex justify-end space-x-2">
+                ${template ? `
+                    <button type="button" onclick="deleteTemplate('${template.id}')" class="mr-auto px-4 py-2 text-sm text-red-600 hover:text-red-800">
+                        <i class="fas fa-trash mr-1"></i>Delete
+                    </button>
+                ` : ''}
+                <button type="button" onclick="${template ? `selectTemplate('${template.id}')` : 'newTemplate()'}" class="px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-600 hover:bg-gray-100">
+                    Reset
+                </button>
+                <button type="submit" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 text-sm">
+                    <i class="fas fa-save mr-1"></i>${template ? 'Save new version' : 'Create template'}
+                </button>
+            </div>
+        </form>
+        ${template ? `
+            <div class="mt-6 pt-4 border-t">
+                <h4 class="text-sm font-medium text-gray-900 mb-2">Version History</h4>
+                <div id="templateVersionList" class="text-sm text-gray-500">
+                    <i class="fas fa-spinner fa-spin mr-1"></i>Loading...
+                </div>
+            </div>
+        ` : ''}
+    `;
+}
+
+/**
+ * Insert a placeholder at the cursor in the template body
+ */
+function insertTemplatePlaceholder(key) {
+    const textarea = document.getElementById('templateBodyInput');
+    const token = `{{${key}}}`;
+    const start = textarea.selectionStart ?? textarea.value.length;
+    const end = textarea.selectionEnd ?? textarea.value.length;
+
+    textarea.value = textarea.value.slice(0, start) + token + textarea.value.slice(end);
+    textarea.focus();
+    textarea.setSelectionRange(start + token.length, start + token.length);
+}
+
+/**
+ * Create a template, or save the edited one as a new version
+ */
+async function saveTemplate(event) {
+    event.preventDefault();
+    const actor = getCurrentActor();
+    if (!actor) return;
+
+    const template = {
+        name: document.getElementById('templateNameInput').value.trim(),
+        category: document.getElementById('templateCategoryInput').value.trim() || null,
+        subject: document.getElementById('templateSubjectInput').value.trim() || null,
+        body: document.getElementById('templateBodyInput').value,
+        updated_by: actor.id
+    };
+
+    if (!template.name || !template.body.trim()) {
+        showNotification('A template needs a name and a body', 'warning');
+        return;
+    }
+
+    const knownKeys = TEMPLATE_PLACEHOLDERS.map(placeholder => placeholder.key);
+    const unknown = [...template.body.matchAll(TEMPLATE_PLACEHOLDER_PATTERN)]
+        .map(match => match[1].toLowerCase())
+        .filter(key => !knownKeys.includes(key));
+    if (unknown.length > 0 && !confirm(`Unknown placeholder(s) ${[...new Set(unknown)].join(', ')} will never be filled in. Save anyway?`)) {
+        return;
+    }
+
+    try {
+        const existingId = templateState.selectedId;
+        const { data: saved, error } = existingId
+            ? await app.supabase.from('response_templates').update(template).eq('id', existingId).select().single()
+            : await app.supabase.from('response_templates').insert({ ...template, created_by: actor.id }).select().single();
+
+        if (error) {
+            if (error.code === '23505') {
+                throw new Error('A template with that name already exists');
+            }
+            throw error;
+        }
+
+        templateState.selectedId = saved.id;
+        await loadTemplatesSection();
+        showNotification(existingId ? `Template saved as version ${saved.version}` : 'Template created', 'success');
+
+    } catch (error) {
+        console.error('Error saving template:', error);
+        showNotification(error.message || 'Failed to save template', 'error');
+    }
+}
+
+/**
+ * Delete a template and its history
+ */
+async function deleteTemplate(templateId) {
+    if (!getCurrentActor()) return;
+    if (!confirm('Delete this template and its version history?')) return;
+
+    try {
+        const { error } = await app.supabase
+            .from('response_templates')
+            .delete()
+            .eq('id', templateId);
+
+        if (error) throw error;
+
+        templateState.selectedId = null;
+        await loadTemplatesSection();
+        showNotification('Template deleted', 'success');
+
+    } catch (error) {
+        console.error('Error deleting template:', error);
+        showNotification('Failed to delete template', 'error');
+    }
+}
+
+/**
+ * Load and render the version history of a template
+ */
+async function loadTemplateVersions(templateId) {
+    try {
+        const { data: versions, error } = await app.supabase
+            .from('response_template_versions')
+            .select('*, agents(name)')
+            .eq('template_id', templateId)
+            .order('version', { ascending: false });
+
+        if (error) throw error;
+
+        // Ignore results for a template the user has already moved away from
+        if (templateState.selectedId !== templateId) return;
+        templateState.versions = versions || [];
+        renderTemplateVersions();
+
+    } catch (error) {
+        console.error('Error loading template versions:', error);
+        const list = document.getElementById('templateVersionList');
+        if (list) list.innerHTML = '<p class="text-red-500">Could not load version history</p>';
+    }
+}
+
+/**
+ * Render the version history list
+ */
+function renderTemplateVersions() {
+    const list = document.getElementById('templateVersionList');
+    if (!list) return;
+
+    const template = templateState.templates.find(t => t.id === templateState.selectedId);
+
+    list.innerHTML = templateState.versions.length > 0 ? `
+        <ul class="divide-y">
+            ${templateState.versions.map(version => `
+                <li class="flex items-center justify-between py-2">
+                    <div>
+                        <span class="font-medium text-gray-700">v${version.version}</span>
+                        <span class="ml-2">${formatDate(version.created_at)}</span>
+                        ${version.agents?.name ? `<span class="ml-1">by ${escapeHtml(version.agents.name)}</span>` : ''}
+                    </div>
+                    ${template && version.version !== template.version ? `
+                        <button onclick="restoreTemplateVersion('${version.id}')" class="text-blue-600 hover:text-blue-800 text-xs">
+                            <i class="fas fa-undo mr-1"></i>Restore
+                        </button>
+                    ` : '<span class="text-xs text-green-600">Current</span>'}
+                </li>
+            `).join('')}
+        </ul>
+    ` : '<p>No history yet.</p>';
+}
+
+/**
+ * Restore an earlier version; this saves its content as a new version
+ */
+async function restoreTemplateVersion(versionId) {
+    const actor = getCurrentActor();
+    const version = templateState.versions.find(v => v.id === versionId);
+    if (!actor || !version) return;
+    if (!confirm(`Restore version ${version.version}? It will be saved as a new version.`)) return;
+
+    try {
+        const { data: saved, error } = await app.supabase
+            .from('response_templates')
+            .update({
+                name: version.name,
+                category: version.category,
+                subject: version.subject,
+                body: version.body,
+                updated_by: actor.id
+            })
+            .eq('id', version.template_id)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        await loadTemplatesSection();
+        showNotification(`Version ${version.version} restored as version ${saved.version}`, 'success');
+
+    } catch (error) {
+        console.error('Error restoring template version:', error);
+        showNotification(error.message || 'Failed to restore version', 'error');
+    }
+}
@@ -19,18 +19,30 @@ function calculateTAT(created, resolved = null) {
         return 'Invalid';
     }
     
-    const diffMinutes = Math.floor(diffMs / (1000 * 60));
-    const diffHours = Math.floor(diffMs / (1000 * 60 * 60));
-    const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
+    // Count only working time when the business calendar is in business mode
+    const diffMinutes = typeof getElapsedMinutes === 'function'
+        ? getElapsedMinutes(start, end)
+        : diffMs / (1000 * 60);
     
-    if (diffDays > 0) {
-        const remainingHours = diffHours % 24;
-        return `${diffDays}d ${remainingHours}h`;
-    } else if (diffHours > 0) {
-        const remainingMinutes = diffMinutes % 60;
-        return `${diffHours}h ${remainingMinutes}m`;
+    return formatDuration(Math.floor(diffMinutes));
+}
+
+/**
+ * Format a number of minutes as a compact duration
+ * @param {number} totalMinutes - Duration in minutes
+ * @returns {string} Duration like "2d 3h", "4h 15m" or "45m"
+ */
+function formatDuration(totalMinutes) {
+    const minutes = Math.floor(totalMinutes);
+    const hours = Math.floor(minutes / 60);
+    const days = Math.floor(hours / 24);
+    
+    if (days > 0) {
+        return `${days}d ${hours % 24}h`;
+    } else if (hours > 0) {
+        return `${hours}h ${minutes % 60}m`;
     } else {
-        return `${diffMinutes}m`;
+        return `${minutes}m`;
     }
 }
 
@@ -192,6 +204,43 @@ function truncateText(text, maxLength, suffix = '...') {
     return text.substring(0, maxLength - suffix.length) + suffix;
 }
 
+/**
+ * Escape text for safe insertion into HTML
+ * @param {string} text - Text to escape
+ * @returns {string} HTML-escaped text
+ */
+function escapeHtml(text) {
+    if (text == null) return '';
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape text and wrap occurrences of search terms in <mark>
+ * @param {string} text - Text to highlight
+ * @param {string[]} terms - Search terms (case-insensitive)
+ * @returns {string} HTML with highlighted matches
+ */
+function highlightText(text, terms) {
+    const usable = (terms || []).filter(term => term && term.length > 1);
+    if (usable.length === 0) return escapeHtml(text);
+
+    // Match on the raw text so terms like "amp" never hit inside an entity
+    const pattern = usable
+        .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('|');
+    return String(text == null ? '' : text)
+        .split(new RegExp(`(${pattern})`, 'gi'))
+        .map((part, index) => index % 2 === 1
+            ? `<mark class="bg-yellow-200 rounded px-0.5">${escapeHtml(part)}</mark>`
+            : escapeHtml(part))
+        .join('');
+}
+
 /**
  * Capitalize first letter of string
  * @param {string} str - String to capitalize
@@ -388,12 +437,15 @@ function formatFileSize(bytes) {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         calculateTAT,
+        formatDuration,
         formatDate,
         debounce,
         throttle,
         showNotification,
         isValidEmail,
         truncateText,
+        escapeHtml,
+        highlightText,
         capitalize,
         formatStatus,
         calculatePercentage,
@@ -0,0 +1,9 @@
+-- Agent sign-in via Supabase Auth
+-- Agents are matched to auth users by email, so emails must be unique (case-insensitive)
+
+create unique index if not exists agents_email_lower_key
+    on public.agents (lower(email));
+
+-- Track which agent last changed a case from the portal
+alter table public.cases
+    add column if not exists updated_by uuid references public.agents(id) on delete set null;
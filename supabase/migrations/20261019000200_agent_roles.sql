@@ -0,0 +1,123 @@
+-- Role-based permissions for agents, supervisors and admins
+-- Mirrors ROLE_PERMISSIONS in js/permissions.js so the anon key cannot bypass the UI
+
+alter table public.agents
+    add column if not exists role text not null default 'agent'
+    check (role in ('agent', 'supervisor', 'admin'));
+
+-- Helpers resolving the signed-in auth user to their agent row
+create or replace function public.current_agent_id()
+returns uuid
+language sql stable security definer
+set search_path = public
+as $$
+    select id from public.agents
+    where lower(email) = lower(auth.jwt() ->> 'email')
+    limit 1;
+$$;
+
+create or replace function public.current_agent_role()
+returns text
+language sql stable security definer
+set search_path = public
+as $$
+    select role from public.agents
+    where lower(email) = lower(auth.jwt() ->> 'email')
+    limit 1;
+$$;
+
+-- Only admins may change roles, including their own
+create or replace function public.prevent_agent_role_change()
+returns trigger
+language plpgsql
+as $$
+begin
+    if new.role is distinct from old.role
+       and coalesce(public.current_agent_role(), '') <> 'admin'
+       and auth.role() <> 'service_role' then
+        raise exception 'Only admins can change agent roles';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists agents_prevent_role_change on public.agents;
+create trigger agents_prevent_role_change
+    before update on public.agents
+    for each row execute function public.prevent_agent_role_change();
+
+-- ---------------------------------------------------------------------------
+-- Row Level Security
+-- The n8n workflow uses the service role key, which bypasses these policies.
+-- ---------------------------------------------------------------------------
+
+alter table public.agents enable row level security;
+alter table public.cases enable row level security;
+alter table public.emails enable row level security;
+alter table public.email_threads enable row level security;
+alter table public.follow_ups enable row level security;
+alter table public.providers enable row level security;
+
+-- Agents: everyone signed in can see the team; agents edit themselves, admins edit anyone
+drop policy if exists agents_select on public.agents;
+create policy agents_select on public.agents
+    for select to authenticated
+    using (true);
+
+drop policy if exists agents_update on public.agents;
+create policy agents_update on public.agents
+    for update to authenticated
+    using (id = public.current_agent_id() or public.current_agent_role() = 'admin')
+    with check (id = public.current_agent_id() or public.current_agent_role() = 'admin');
+
+drop policy if exists agents_admin_insert on public.agents;
+create policy agents_admin_insert on public.agents
+    for insert to authenticated
+    with check (public.current_agent_role() = 'admin');
+
+drop policy if exists agents_admin_delete on public.agents;
+create policy agents_admin_delete on public.agents
+    for delete to authenticated
+    using (public.current_agent_role() = 'admin');
+
+-- Cases: readable by all agents; agents change their own or unassigned cases,
+-- supervisors and admins change any case
+drop policy if exists cases_select on public.cases;
+create policy cases_select on public.cases
+    for select to authenticated
+    using (true);
+
+drop policy if exists cases_update on public.cases;
+create policy cases_update on public.cases
+    for update to authenticated
+    using (
+        public.current_agent_role() in ('supervisor', 'admin')
+        or agent_id is null
+        or agent_id = public.current_agent_id()
+    )
+    with check (
+        public.current_agent_role() in ('supervisor', 'admin')
+        or agent_id is null
+        or agent_id = public.current_agent_id()
+    );
+
+-- Supporting tables are read-only from the portal
+drop policy if exists emails_select on public.emails;
+create policy emails_select on public.emails
+    for select to authenticated
+    using (true);
+
+drop policy if exists email_threads_select on public.email_threads;
+create policy email_threads_select on public.email_threads
+    for select to authenticated
+    using (true);
+
+drop policy if exists follow_ups_select on public.follow_ups;
+create policy follow_ups_select on public.follow_ups
+    for select to authenticated
+    using (true);
+
+drop policy if exists providers_select on public.providers;
+create policy providers_select on public.providers
+    for select to authenticated
+    using (true);
@@ -0,0 +1,23 @@
+-- Agent presence switcher
+-- Agents set their own status from the portal header; idle agents flip to "break"
+
+alter table public.agents
+    add column if not exists status_updated_at timestamptz default now();
+
+alter table public.agents
+    drop constraint if exists agents_status_check;
+alter table public.agents
+    add constraint agents_status_check
+    check (status in ('available', 'busy', 'break', 'offline'));
+
+-- Status changes are streamed to other portals on the agents-changes channel
+do $$
+begin
+    if not exists (
+        select 1 from pg_publication_tables
+        where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'agents'
+    ) then
+        alter publication supabase_realtime add table public.agents;
+    end if;
+end;
+$$;
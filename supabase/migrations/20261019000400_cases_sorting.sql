@@ -0,0 +1,27 @@
+-- Computed fields used to sort the paginated cases table
+-- PostgREST exposes functions taking a table row as virtual columns (order=tat_minutes.desc)
+
+-- Priority as a number so VIP sorts above urgent, normal and low
+create or replace function public.priority_rank(public.cases)
+returns integer
+language sql immutable
+as $$
+    select case $1.priority
+        when 'vip' then 4
+        when 'urgent' then 3
+        when 'normal' then 2
+        when 'low' then 1
+        else 0
+    end;
+$$;
+
+-- Turnaround time in minutes: until resolution, or until now for open cases
+create or replace function public.tat_minutes(public.cases)
+returns numeric
+language sql stable
+as $$
+    select round(extract(epoch from (coalesce($1.resolved_at, now()) - $1.created_at)) / 60);
+$$;
+
+create index if not exists cases_created_at_idx on public.cases (created_at desc);
+create index if not exists cases_case_number_idx on public.cases (case_number);
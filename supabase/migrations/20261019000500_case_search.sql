@@ -0,0 +1,67 @@
+-- Full-text search across cases and email content
+-- Matches case numbers and sender addresses by substring, and thread subjects and
+-- email bodies with Postgres full-text search (websearch syntax: "phrase", -exclude, or)
+
+create index if not exists emails_body_fts_idx
+    on public.emails using gin (to_tsvector('english', coalesce(body_plain, '')));
+
+create index if not exists email_threads_subject_fts_idx
+    on public.email_threads using gin (to_tsvector('english', coalesce(subject, '')));
+
+create index if not exists emails_from_email_idx
+    on public.emails (lower(from_email));
+
+-- Returns matching case IDs, best matches first, with a highlighted body snippet
+-- (matches wrapped in << >>) when the hit came from an email body.
+-- Runs as the caller so Row Level Security still applies.
+create or replace function public.search_cases(search_query text)
+returns table (case_id uuid, snippet text, rank real)
+language sql stable
+as $$
+    with q as (
+        select
+            websearch_to_tsquery('english', search_query) as tsq,
+            '%' || replace(replace(trim(search_query), '%', '\%'), '_', '\_') || '%' as pattern
+    ),
+    hits as (
+        -- Case number (partial)
+        select c.id as case_id, null::text as snippet, 3.0::real as rank
+        from public.cases c, q
+        where c.case_number ilike q.pattern
+
+        union all
+
+        -- Sender address (partial)
+        select e.case_id, null::text, 2.0::real
+        from public.emails e, q
+        where e.from_email ilike q.pattern
+
+        union all
+
+        -- Thread subject
+        select c.id, null::text, (1.0 + ts_rank(to_tsvector('english', coalesce(t.subject, '')), q.tsq))::real
+        from public.cases c
+        join public.email_threads t on t.id = c.thread_id, q
+        where to_tsvector('english', coalesce(t.subject, '')) @@ q.tsq
+
+        union all
+
+        -- Email body
+        select e.case_id,
+               ts_headline('english', e.body_plain, q.tsq,
+                           'StartSel=<<, StopSel=>>, MaxWords=18, MinWords=8, MaxFragments=1'),
+               ts_rank(to_tsvector('english', coalesce(e.body_plain, '')), q.tsq)
+        from public.emails e, q
+        where to_tsvector('english', coalesce(e.body_plain, '')) @@ q.tsq
+    )
+    select case_id,
+           (array_agg(snippet order by rank desc) filter (where snippet is not null))[1] as snippet,
+           max(rank)::real as rank
+    from hits
+    where case_id is not null
+    group by case_id
+    order by max(rank) desc
+    limit 500;
+$$;
+
+grant execute on function public.search_cases(text) to authenticated;
@@ -0,0 +1,36 @@
+-- Advanced case filters and saved filter presets
+
+-- Distinct categories for the category filter dropdown
+create or replace function public.list_case_categories()
+returns table (category text)
+language sql stable
+as $$
+    select distinct category
+    from public.cases
+    where category is not null and category <> ''
+    order by category;
+$$;
+
+grant execute on function public.list_case_categories() to authenticated;
+
+create index if not exists cases_category_idx on public.cases (category);
+create index if not exists cases_provider_id_idx on public.cases (provider_id);
+
+-- Named filter combinations; criteria holds the same keys as the cases route (#/cases?...)
+create table if not exists public.case_filter_presets (
+    id uuid primary key default gen_random_uuid(),
+    agent_id uuid not null references public.agents(id) on delete cascade,
+    name text not null,
+    criteria jsonb not null default '{}'::jsonb,
+    created_at timestamptz not null default now(),
+    unique (agent_id, name)
+);
+
+alter table public.case_filter_presets enable row level security;
+
+-- Presets are private to the agent who saved them
+drop policy if exists case_filter_presets_own on public.case_filter_presets;
+create policy case_filter_presets_own on public.case_filter_presets
+    for all to authenticated
+    using (agent_id = public.current_agent_id())
+    with check (agent_id = public.current_agent_id());
@@ -0,0 +1,69 @@
+-- Assign and reassign cases from the portal
+-- Writes agent_id and status together and keeps agents.current_case_count in step
+
+create or replace function public.assign_case(p_case_id uuid, p_agent_id uuid)
+returns public.cases
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_actor uuid := public.current_agent_id();
+    v_role text := public.current_agent_role();
+    v_case public.cases;
+    v_previous_agent uuid;
+begin
+    if v_actor is null then
+        raise exception 'You must be signed in as an agent to assign cases';
+    end if;
+
+    select * into v_case from public.cases where id = p_case_id for update;
+    if not found then
+        raise exception 'Case not found';
+    end if;
+
+    -- Same rules as the cases_update policy: agents may only take unassigned
+    -- cases or hand back their own; supervisors and admins assign anyone
+    if v_role not in ('supervisor', 'admin') then
+        if v_case.agent_id is not null and v_case.agent_id <> v_actor then
+            raise exception 'This case is assigned to another agent';
+        end if;
+        if p_agent_id is not null and p_agent_id <> v_actor then
+            raise exception 'Only supervisors can assign cases to other agents';
+        end if;
+    end if;
+
+    if p_agent_id is not null and not exists (select 1 from public.agents where id = p_agent_id) then
+        raise exception 'Agent not found';
+    end if;
+
+    v_previous_agent := v_case.agent_id;
+
+    update public.cases
+    set agent_id = p_agent_id,
+        status = case
+            when p_agent_id is null and status = 'assigned' then 'new'
+            when p_agent_id is not null and status = 'new' then 'assigned'
+            else status
+        end,
+        updated_by = v_actor
+    where id = p_case_id
+    returning * into v_case;
+
+    -- Only open cases count towards an agent's load
+    if v_previous_agent is distinct from p_agent_id
+       and v_case.status not in ('resolved', 'closed') then
+        update public.agents
+        set current_case_count = greatest(coalesce(current_case_count, 0) - 1, 0)
+        where id = v_previous_agent;
+
+        update public.agents
+        set current_case_count = coalesce(current_case_count, 0) + 1
+        where id = p_agent_id;
+    end if;
+
+    return v_case;
+end;
+$$;
+
+grant execute on function public.assign_case(uuid, uuid) to authenticated;
@@ -0,0 +1,59 @@
+-- Auto-assignment of new cases
+-- The portal picks the agent (js/autoassign.js); this function claims the case atomically
+-- so several open portals racing for the same case assign it only once
+
+alter table public.agents
+    add column if not exists last_assigned_at timestamptz;
+
+create index if not exists cases_unassigned_new_idx
+    on public.cases (created_at)
+    where agent_id is null and status = 'new';
+
+create or replace function public.auto_assign_case(p_case_id uuid, p_agent_id uuid)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_agent public.agents;
+    v_priority text;
+begin
+    if public.current_agent_id() is null then
+        raise exception 'You must be signed in as an agent to assign cases';
+    end if;
+
+    select * into v_agent from public.agents where id = p_agent_id;
+    if not found or v_agent.status not in ('available', 'busy') then
+        return false;
+    end if;
+
+    select priority into v_priority from public.cases where id = p_case_id;
+    if v_priority = 'vip' and not coalesce(v_agent.handles_vip, false) then
+        return false;
+    end if;
+
+    -- Only claim cases nobody has picked up in the meantime.
+    -- updated_by is cleared: the change was made by the engine, not a person.
+    update public.cases
+    set agent_id = p_agent_id,
+        status = 'assigned',
+        updated_by = null
+    where id = p_case_id
+      and agent_id is null
+      and status = 'new';
+
+    if not found then
+        return false;
+    end if;
+
+    update public.agents
+    set current_case_count = coalesce(current_case_count, 0) + 1,
+        last_assigned_at = now()
+    where id = p_agent_id;
+
+    return true;
+end;
+$$;
+
+grant execute on function public.auto_assign_case(uuid, uuid) to authenticated;
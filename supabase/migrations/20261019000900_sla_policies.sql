@@ -0,0 +1,89 @@
+-- Central SLA policies
+-- First-response and resolution targets per priority, optionally narrowed to a
+-- category and/or provider. Mirrored by js/sla.js for indicators in the portal.
+
+create table if not exists public.sla_policies (
+    id uuid primary key default gen_random_uuid(),
+    priority text not null check (priority in ('vip', 'urgent', 'normal', 'low')),
+    category text,
+    provider_id uuid references public.providers(id) on delete cascade,
+    first_response_minutes integer not null check (first_response_minutes > 0),
+    resolution_minutes integer not null check (resolution_minutes > 0),
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+-- One policy per priority/category/provider combination
+create unique index if not exists sla_policies_scope_idx on public.sla_policies (
+    priority,
+    coalesce(lower(category), ''),
+    coalesce(provider_id, '00000000-0000-0000-0000-000000000000'::uuid)
+);
+
+-- Defaults match the resolution hours previously hard-coded in the portal
+insert into public.sla_policies (priority, first_response_minutes, resolution_minutes) values
+    ('vip', 60, 240),
+    ('urgent', 120, 480),
+    ('normal', 480, 1440),
+    ('low', 1440, 2880)
+on conflict do nothing;
+
+alter table public.sla_policies enable row level security;
+
+drop policy if exists sla_policies_select on public.sla_policies;
+create policy sla_policies_select on public.sla_policies
+    for select to authenticated
+    using (true);
+
+drop policy if exists sla_policies_admin_write on public.sla_policies;
+create policy sla_policies_admin_write on public.sla_policies
+    for all to authenticated
+    using (public.current_agent_role() = 'admin')
+    with check (public.current_agent_role() = 'admin');
+
+-- Most specific policy for a case: provider and category, then provider,
+-- then category, then the priority default
+create or replace function public.sla_policy_for_case(public.cases)
+returns public.sla_policies
+language sql stable
+as $$
+    select p.*
+    from public.sla_policies p
+    where p.priority = $1.priority
+      and (p.category is null or lower(p.category) = lower($1.category))
+      and (p.provider_id is null or p.provider_id = $1.provider_id)
+    order by (p.provider_id is not null) desc, (p.category is not null) desc
+    limit 1;
+$$;
+
+-- Computed fields (usable in PostgREST select, filter and order)
+create or replace function public.sla_first_response_due_at(public.cases)
+returns timestamptz
+language sql stable
+as $$
+    select $1.created_at + make_interval(mins => (public.sla_policy_for_case($1)).first_response_minutes);
+$$;
+
+-- Cases without a matching policy fall back to 24 hours
+create or replace function public.sla_resolution_due_at(public.cases)
+returns timestamptz
+language sql stable
+as $$
+    select $1.created_at + make_interval(mins => coalesce((public.sla_policy_for_case($1)).resolution_minutes, 1440));
+$$;
+
+create or replace function public.sla_overdue(public.cases)
+returns boolean
+language sql stable
+as $$
+    select coalesce($1.status, '') not in ('resolved', 'closed')
+       and (
+            ($1.first_response_at is null and coalesce(public.sla_first_response_due_at($1) < now(), false))
+            or public.sla_resolution_due_at($1) < now()
+       );
+$$;
+
+grant execute on function public.sla_policy_for_case(public.cases) to authenticated;
+grant execute on function public.sla_first_response_due_at(public.cases) to authenticated;
+grant execute on function public.sla_resolution_due_at(public.cases) to authenticated;
+grant execute on function public.sla_overdue(public.cases) to authenticated;
@@ -0,0 +1,189 @@
+-- Business calendar: working hours per weekday, timezone and public holidays
+-- In "business" mode TAT, SLA deadlines and averages only count working time.
+-- Mirrored by js/calendar.js.
+
+-- Portal-wide settings editable by admins (one JSON document per key)
+create table if not exists public.app_settings (
+    key text primary key,
+    value jsonb not null,
+    updated_at timestamptz not null default now(),
+    updated_by uuid references public.agents(id) on delete set null
+);
+
+alter table public.app_settings enable row level security;
+
+drop policy if exists app_settings_select on public.app_settings;
+create policy app_settings_select on public.app_settings
+    for select to authenticated
+    using (true);
+
+drop policy if exists app_settings_admin_write on public.app_settings;
+create policy app_settings_admin_write on public.app_settings
+    for all to authenticated
+    using (public.current_agent_role() = 'admin')
+    with check (public.current_agent_role() = 'admin');
+
+-- Calendar time by default, so nothing changes until an admin switches modes.
+-- hours is keyed by weekday (0 = Sunday); null means closed.
+insert into public.app_settings (key, value) values (
+    'business_calendar',
+    '{
+        "mode": "calendar",
+        "timezone": "UTC",
+        "hours": {
+            "0": null,
+            "1": ["09:00", "17:00"],
+            "2": ["09:00", "17:00"],
+            "3": ["09:00", "17:00"],
+            "4": ["09:00", "17:00"],
+            "5": ["09:00", "17:00"],
+            "6": null
+        },
+        "holidays": []
+    }'::jsonb
+)
+on conflict (key) do nothing;
+
+create or replace function public.business_calendar()
+returns jsonb
+language sql stable
+as $$
+    select value from public.app_settings where key = 'business_calendar';
+$$;
+
+-- Working window of a local date in the calendar's timezone, or nulls when closed
+create or replace function public.business_day_window(p_calendar jsonb, p_day date, out opens_at timestamptz, out closes_at timestamptz)
+language plpgsql stable
+as $$
+declare
+    v_tz text := coalesce(p_calendar ->> 'timezone', 'UTC');
+    v_hours jsonb := p_calendar -> 'hours' -> extract(dow from p_day)::int::text;
+begin
+    if v_hours is null or jsonb_typeof(v_hours) <> 'array' or jsonb_array_length(v_hours) < 2 then
+        return;
+    end if;
+
+    if exists (
+        select 1 from jsonb_array_elements(coalesce(p_calendar -> 'holidays', '[]'::jsonb)) holiday
+        where holiday ->> 'date' = p_day::text
+    ) then
+        return;
+    end if;
+
+    opens_at := (p_day + (v_hours ->> 0)::time) at time zone v_tz;
+    closes_at := (p_day + (v_hours ->> 1)::time) at time zone v_tz;
+    -- "24:00" closes at the following midnight
+    if closes_at <= opens_at then
+        closes_at := closes_at + interval '1 day';
+    end if;
+end;
+$$;
+
+-- Minutes between two instants, counting only working time in business mode
+create or replace function public.business_minutes_between(p_start timestamptz, p_end timestamptz)
+returns numeric
+language plpgsql stable
+as $$
+declare
+    v_calendar jsonb := public.business_calendar();
+    v_tz text;
+    v_day date;
+    v_last_day date;
+    v_window record;
+    v_total numeric := 0;
+begin
+    if p_start is null or p_end is null or p_end <= p_start then
+        return 0;
+    end if;
+
+    if coalesce(v_calendar ->> 'mode', 'calendar') <> 'business' then
+        return extract(epoch from (p_end - p_start)) / 60;
+    end if;
+
+    v_tz := coalesce(v_calendar ->> 'timezone', 'UTC');
+    v_day := (p_start at time zone v_tz)::date;
+    v_last_day := (p_end at time zone v_tz)::date;
+
+    while v_day <= v_last_day loop
+        select * into v_window from public.business_day_window(v_calendar, v_day);
+        if v_window.opens_at is not null then
+            v_total := v_total + greatest(0, extract(epoch from (
+                least(v_window.closes_at, p_end) - greatest(v_window.opens_at, p_start)
+            )) / 60);
+        end if;
+        v_day := v_day + 1;
+    end loop;
+
+    return v_total;
+end;
+$$;
+
+-- The instant a number of minutes after p_start, skipping closed time in business mode
+create or replace function public.business_add_minutes(p_start timestamptz, p_minutes numeric)
+returns timestamptz
+language plpgsql stable
+as $$
+declare
+    v_calendar jsonb := public.business_calendar();
+    v_tz text;
+    v_day date;
+    v_window record;
+    v_from timestamptz;
+    v_available numeric;
+    v_remaining numeric := p_minutes;
+begin
+    if p_start is null or p_minutes is null then
+        return null;
+    end if;
+
+    if coalesce(v_calendar ->> 'mode', 'calendar') <> 'business' then
+        return p_start + p_minutes * interval '1 minute';
+    end if;
+
+    v_tz := coalesce(v_calendar ->> 'timezone', 'UTC');
+    v_day := (p_start at time zone v_tz)::date;
+
+    -- Give up after a year without enough working time (e.g. no working days configured)
+    for i in 1..366 loop
+        select * into v_window from public.business_day_window(v_calendar, v_day);
+        if v_window.opens_at is not null and v_window.closes_at > p_start then
+            v_from := greatest(v_window.opens_at, p_start);
+            v_available := extract(epoch from (v_window.closes_at - v_from)) / 60;
+            if v_available >= v_remaining then
+                return v_from + v_remaining * interval '1 minute';
+            end if;
+            v_remaining := v_remaining - v_available;
+        end if;
+        v_day := v_day + 1;
+    end loop;
+
+    return p_start + p_minutes * interval '1 minute';
+end;
+$$;
+
+grant execute on function public.business_calendar() to authenticated;
+grant execute on function public.business_day_window(jsonb, date) to authenticated;
+grant execute on function public.business_minutes_between(timestamptz, timestamptz) to authenticated;
+grant execute on function public.business_add_minutes(timestamptz, numeric) to authenticated;
+
+-- SLA deadlines and TAT follow the calendar mode
+create or replace function public.sla_first_response_due_at(public.cases)
+returns timestamptz
+language sql stable
+as $$
+    select public.business_add_minutes($1.created_at, (public.sla_policy_for_case($1)).first_response_minutes);
+$$;
+
+create or replace function public.sla_resolution_due_at(public.cases)
+returns timestamptz
+language sql stable
+as $$
+    select public.business_add_minutes($1.created_at, coalesce((public.sla_policy_for_case($1)).resolution_minutes, 1440));
+$$;
+
+create or replace function public.tat_minutes(public.cases)
+returns numeric
+language sql stable
+as $$
+    select round(public.business_minutes_between($1.created_at, coalesce($1.resolved_at, now())));
+$$;
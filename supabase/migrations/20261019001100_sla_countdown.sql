@@ -0,0 +1,16 @@
+-- Next SLA deadline of an open case, for sorting the cases table by closest to breach
+-- First response until an agent responds, then resolution; null once resolved or closed
+
+create or replace function public.sla_due_at(public.cases)
+returns timestamptz
+language sql stable
+as $$
+    select case
+        when coalesce($1.status, '') in ('resolved', 'closed') then null
+        when $1.first_response_at is null then
+            coalesce(public.sla_first_response_due_at($1), public.sla_resolution_due_at($1))
+        else public.sla_resolution_due_at($1)
+    end;
+$$;
+
+grant execute on function public.sla_due_at(public.cases) to authenticated;
@@ -0,0 +1,116 @@
+-- Reply composer: answer customers from the case modal
+-- Replies are stored in emails first and then handed to the n8n sending workflow,
+-- which sets delivery_status to 'sent' (or 'failed') using the service role key
+
+alter table public.emails
+    add column if not exists direction text not null default 'inbound'
+        check (direction in ('inbound', 'outbound')),
+    add column if not exists cc_emails text[],
+    add column if not exists sent_by_agent_id uuid references public.agents(id) on delete set null,
+    add column if not exists delivery_status text
+        check (delivery_status in ('queued', 'sent', 'failed'));
+
+create index if not exists emails_case_id_sent_at_idx on public.emails (case_id, sent_at);
+
+-- Agents may flag their own replies as failed or queue them again
+drop policy if exists emails_update_own_replies on public.emails;
+create policy emails_update_own_replies on public.emails
+    for update to authenticated
+    using (direction = 'outbound' and sent_by_agent_id = public.current_agent_id())
+    with check (direction = 'outbound' and sent_by_agent_id = public.current_agent_id());
+
+-- One autosaved draft per agent per case
+create table if not exists public.email_drafts (
+    id uuid primary key default gen_random_uuid(),
+    case_id uuid not null references public.cases(id) on delete cascade,
+    agent_id uuid not null references public.agents(id) on delete cascade,
+    reply_mode text not null default 'reply' check (reply_mode in ('reply', 'reply_all')),
+    to_emails text[] not null default '{}',
+    cc_emails text[] not null default '{}',
+    subject text,
+    body text not null default '',
+    updated_at timestamptz not null default now(),
+    unique (case_id, agent_id)
+);
+
+alter table public.email_drafts enable row level security;
+
+-- Drafts are private to the agent writing them
+drop policy if exists email_drafts_own on public.email_drafts;
+create policy email_drafts_own on public.email_drafts
+    for all to authenticated
+    using (agent_id = public.current_agent_id())
+    with check (agent_id = public.current_agent_id());
+
+-- Record a reply, claim the case if it is unassigned and wait on the customer
+create or replace function public.send_case_reply(
+    p_case_id uuid,
+    p_from text,
+    p_to text[],
+    p_cc text[],
+    p_subject text,
+    p_body text
+)
+returns public.emails
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_actor uuid := public.current_agent_id();
+    v_role text := public.current_agent_role();
+    v_case public.cases;
+    v_email public.emails;
+begin
+    if v_actor is null then
+        raise exception 'You must be signed in as an agent to reply';
+    end if;
+
+    select * into v_case from public.cases where id = p_case_id for update;
+    if not found then
+        raise exception 'Case not found';
+    end if;
+
+    -- Same rule as the cases_update policy
+    if v_role not in ('supervisor', 'admin')
+       and v_case.agent_id is not null and v_case.agent_id <> v_actor then
+        raise exception 'This case is assigned to another agent';
+    end if;
+
+    if coalesce(array_length(p_to, 1), 0) = 0 then
+        raise exception 'Add at least one recipient';
+    end if;
+
+    if coalesce(btrim(p_body), '') = '' then
+        raise exception 'The reply is empty';
+    end if;
+
+    if v_case.agent_id is null then
+        perform public.assign_case(p_case_id, v_actor);
+    end if;
+
+    insert into public.emails (
+        case_id, thread_id, direction, from_email, to_emails, cc_emails,
+        subject, body_plain, sent_at, sent_by_agent_id, delivery_status
+    )
+    values (
+        p_case_id, v_case.thread_id, 'outbound',
+        coalesce(nullif(btrim(p_from), ''), (select email from public.agents where id = v_actor)),
+        p_to, coalesce(p_cc, '{}'), p_subject, p_body, now(), v_actor, 'queued'
+    )
+    returning * into v_email;
+
+    update public.cases
+    set status = case when status in ('resolved', 'closed') then status else 'pending_customer' end,
+        first_response_at = coalesce(first_response_at, now()),
+        updated_by = v_actor
+    where id = p_case_id;
+
+    delete from public.email_drafts
+    where case_id = p_case_id and agent_id = v_actor;
+
+    return v_email;
+end;
+$$;
+
+grant execute on function public.send_case_reply(uuid, text, text[], text[], text, text) to authenticated;
@@ -0,0 +1,101 @@
+-- Canned response templates
+-- Bodies may contain placeholders such as {{customer_name}} or {{case_number}},
+-- which the portal fills from the case when a template is inserted into a reply.
+-- Every change to a template's content is kept in response_template_versions.
+
+create table if not exists public.response_templates (
+    id uuid primary key default gen_random_uuid(),
+    name text not null,
+    category text,
+    subject text,
+    body text not null,
+    version integer not null default 1,
+    created_by uuid references public.agents(id) on delete set null,
+    updated_by uuid references public.agents(id) on delete set null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (name)
+);
+
+create index if not exists response_templates_category_idx on public.response_templates (category);
+
+create table if not exists public.response_template_versions (
+    id uuid primary key default gen_random_uuid(),
+    template_id uuid not null references public.response_templates(id) on delete cascade,
+    version integer not null,
+    name text not null,
+    category text,
+    subject text,
+    body text not null,
+    created_by uuid references public.agents(id) on delete set null,
+    created_at timestamptz not null default now(),
+    unique (template_id, version)
+);
+
+-- Bump the version when the content changes
+create or replace function public.bump_response_template_version()
+returns trigger
+language plpgsql
+as $$
+begin
+    if tg_op = 'INSERT' then
+        new.version := 1;
+    elsif (new.name, new.category, new.subject, new.body)
+          is distinct from (old.name, old.category, old.subject, old.body) then
+        new.version := old.version + 1;
+        new.updated_at := now();
+    else
+        new.version := old.version;
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists response_templates_bump_version on public.response_templates;
+create trigger response_templates_bump_version
+    before insert or update on public.response_templates
+    for each row execute function public.bump_response_template_version();
+
+-- Record each new version; runs as the owner so the history stays read-only to the portal
+create or replace function public.record_response_template_version()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if tg_op = 'INSERT' or new.version <> old.version then
+        insert into public.response_template_versions
+            (template_id, version, name, category, subject, body, created_by)
+        values
+            (new.id, new.version, new.name, new.category, new.subject, new.body,
+             coalesce(new.updated_by, new.created_by));
+    end if;
+    return null;
+end;
+$$;
+
+drop trigger if exists response_templates_record_version on public.response_templates;
+create trigger response_templates_record_version
+    after insert or update on public.response_templates
+    for each row execute function public.record_response_template_version();
+
+alter table public.response_templates enable row level security;
+alter table public.response_template_versions enable row level security;
+
+-- Every agent uses templates; supervisors and admins maintain them
+drop policy if exists response_templates_select on public.response_templates;
+create policy response_templates_select on public.response_templates
+    for select to authenticated
+    using (true);
+
+drop policy if exists response_templates_manage on public.response_templates;
+create policy response_templates_manage on public.response_templates
+    for all to authenticated
+    using (public.current_agent_role() in ('supervisor', 'admin'))
+    with check (public.current_agent_role() in ('supervisor', 'admin'));
+
+drop policy if exists response_template_versions_select on public.response_template_versions;
+create policy response_template_versions_select on public.response_template_versions
+    for select to authenticated
+    using (true);
@@ -0,0 +1,93 @@
+-- Internal notes on cases and in-app notifications
+-- Notes are never sent to the customer. Mentioning an agent in a note
+-- (mentions holds their ids) notifies them in the portal.
+
+create table if not exists public.case_notes (
+    id uuid primary key default gen_random_uuid(),
+    case_id uuid not null references public.cases(id) on delete cascade,
+    author_id uuid references public.agents(id) on delete set null,
+    body text not null check (btrim(body) <> ''),
+    mentions uuid[] not null default '{}',
+    created_at timestamptz not null default now()
+);
+
+create index if not exists case_notes_case_id_created_at_idx on public.case_notes (case_id, created_at);
+
+alter table public.case_notes enable row level security;
+
+-- Every agent reads notes; agents write notes as themselves
+drop policy if exists case_notes_select on public.case_notes;
+create policy case_notes_select on public.case_notes
+    for select to authenticated
+    using (true);
+
+drop policy if exists case_notes_insert on public.case_notes;
+create policy case_notes_insert on public.case_notes
+    for insert to authenticated
+    with check (author_id = public.current_agent_id());
+
+create table if not exists public.notifications (
+    id uuid primary key default gen_random_uuid(),
+    agent_id uuid not null references public.agents(id) on delete cascade,
+    actor_id uuid references public.agents(id) on delete set null,
+    case_id uuid references public.cases(id) on delete cascade,
+    type text not null,
+    message text not null,
+    read_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists notifications_agent_id_created_at_idx on public.notifications (agent_id, created_at desc);
+
+alter table public.notifications enable row level security;
+
+-- Agents see and mark read only their own notifications; they are created by triggers
+drop policy if exists notifications_select_own on public.notifications;
+create policy notifications_select_own on public.notifications
+    for select to authenticated
+    using (agent_id = public.current_agent_id());
+
+drop policy if exists notifications_update_own on public.notifications;
+create policy notifications_update_own on public.notifications
+    for update to authenticated
+    using (agent_id = public.current_agent_id())
+    with check (agent_id = public.current_agent_id());
+
+-- Notify each agent mentioned in a new note (but not the author)
+create or replace function public.notify_case_note_mentions()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    insert into public.notifications (agent_id, actor_id, case_id, type, message)
+    select distinct m.agent_id, new.author_id, new.case_id, 'mention',
+           coalesce(a.name, 'Someone') || ' mentioned you on case ' || c.case_number
+    from unnest(new.mentions) as m(agent_id)
+    join public.agents mentioned on mentioned.id = m.agent_id
+    join public.cases c on c.id = new.case_id
+    left join public.agents a on a.id = new.author_id
+    where m.agent_id is distinct from new.author_id;
+
+    return null;
+end;
+$$;
+
+drop trigger if exists case_notes_notify_mentions on public.case_notes;
+create trigger case_notes_notify_mentions
+    after insert on public.case_notes
+    for each row execute function public.notify_case_note_mentions();
+
+-- Deliver new notifications to the portal as they happen
+do $$
+begin
+    if exists (select 1 from pg_publication where pubname = 'supabase_realtime')
+       and not exists (
+           select 1 from pg_publication_tables
+           where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'notifications'
+       ) then
+        alter publication supabase_realtime add table public.notifications;
+    end if;
+end;
+$$;
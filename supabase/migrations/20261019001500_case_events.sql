@@ -0,0 +1,131 @@
+-- Case activity history
+-- A trigger on cases records every status, priority, assignment and escalation
+-- change with who made it, so the history covers the portal, bulk actions,
+-- database functions and the n8n workflow alike.
+
+create table if not exists public.case_events (
+    id uuid primary key default gen_random_uuid(),
+    case_id uuid not null references public.cases(id) on delete cascade,
+    event_type text not null,
+    actor_id uuid references public.agents(id) on delete set null,
+    -- 'agent' (a person in the portal), 'auto_assign' or 'system' (workflow / service role)
+    source text not null default 'system',
+    old_value text,
+    new_value text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists case_events_case_id_created_at_idx on public.case_events (case_id, created_at);
+create index if not exists case_events_actor_id_idx on public.case_events (actor_id);
+
+alter table public.case_events enable row level security;
+
+-- History is read-only from the portal; rows are only written by triggers
+drop policy if exists case_events_select on public.case_events;
+create policy case_events_select on public.case_events
+    for select to authenticated
+    using (true);
+
+create or replace function public.record_case_events()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_source text := nullif(current_setting('app.change_source', true), '');
+    v_actor uuid;
+begin
+    if v_source = 'auto_assign' then
+        v_actor := null;
+    else
+        v_actor := public.current_agent_id();
+        v_source := case when v_actor is null then 'system' else 'agent' end;
+    end if;
+
+    if tg_op = 'INSERT' then
+        insert into public.case_events (case_id, event_type, actor_id, source, new_value)
+        values (new.id, 'created', v_actor, v_source, new.status);
+        return null;
+    end if;
+
+    if new.status is distinct from old.status then
+        insert into public.case_events (case_id, event_type, actor_id, source, old_value, new_value)
+        values (
+            new.id,
+            case when new.status = 'escalated' then 'escalated' else 'status_changed' end,
+            v_actor, v_source, old.status, new.status
+        );
+    end if;
+
+    if new.priority is distinct from old.priority then
+        insert into public.case_events (case_id, event_type, actor_id, source, old_value, new_value)
+        values (new.id, 'priority_changed', v_actor, v_source, old.priority, new.priority);
+    end if;
+
+    if new.agent_id is distinct from old.agent_id then
+        insert into public.case_events (case_id, event_type, actor_id, source, old_value, new_value)
+        values (new.id, 'assigned', v_actor, v_source, old.agent_id::text, new.agent_id::text);
+    end if;
+
+    return null;
+end;
+$$;
+
+drop trigger if exists cases_record_events on public.cases;
+create trigger cases_record_events
+    after insert or update on public.cases
+    for each row execute function public.record_case_events();
+
+-- Auto-assignment marks its changes so they are not attributed to a person
+create or replace function public.auto_assign_case(p_case_id uuid, p_agent_id uuid)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_agent public.agents;
+    v_priority text;
+begin
+    if public.current_agent_id() is null then
+        raise exception 'You must be signed in as an agent to assign cases';
+    end if;
+
+    select * into v_agent from public.agents where id = p_agent_id;
+    if not found or v_agent.status not in ('available', 'busy') then
+        return false;
+    end if;
+
+    select priority into v_priority from public.cases where id = p_case_id;
+    if v_priority = 'vip' and not coalesce(v_agent.handles_vip, false) then
+        return false;
+    end if;
+
+    -- Attribute the change to the engine in the case history, not the agent whose
+    -- portal happened to run the sweep
+    perform set_config('app.change_source', 'auto_assign', true);
+
+    -- Only claim cases nobody has picked up in the meantime.
+    -- updated_by is cleared: the change was made by the engine, not a person.
+    update public.cases
+    set agent_id = p_agent_id,
+        status = 'assigned',
+        updated_by = null
+    where id = p_case_id
+      and agent_id is null
+      and status = 'new';
+
+    if not found then
+        return false;
+    end if;
+
+    update public.agents
+    set current_case_count = coalesce(current_case_count, 0) + 1,
+        last_assigned_at = now()
+    where id = p_agent_id;
+
+    return true;
+end;
+$$;
+
@@ -0,0 +1,113 @@
+-- Manage follow-ups from the portal
+-- Agents schedule, reschedule and cancel follow-ups on cases they can work.
+-- Pending follow-ups are cancelled automatically when the case is resolved or
+-- closed, or when the customer writes in; the n8n workflow must only send
+-- follow-ups that are still 'pending' when they fall due.
+
+alter table public.follow_ups
+    add column if not exists created_by uuid references public.agents(id) on delete set null,
+    add column if not exists cancelled_at timestamptz,
+    add column if not exists cancel_reason text;
+
+create index if not exists follow_ups_pending_idx
+    on public.follow_ups (case_id)
+    where status = 'pending';
+
+-- Same rule as the cases_update policy, applied through the follow-up's case
+drop policy if exists follow_ups_insert on public.follow_ups;
+create policy follow_ups_insert on public.follow_ups
+    for insert to authenticated
+    with check (
+        exists (
+            select 1 from public.cases c
+            where c.id = case_id
+              and (
+                  public.current_agent_role() in ('supervisor', 'admin')
+                  or c.agent_id is null
+                  or c.agent_id = public.current_agent_id()
+              )
+        )
+    );
+
+drop policy if exists follow_ups_update on public.follow_ups;
+create policy follow_ups_update on public.follow_ups
+    for update to authenticated
+    using (
+        exists (
+            select 1 from public.cases c
+            where c.id = case_id
+              and (
+                  public.current_agent_role() in ('supervisor', 'admin')
+                  or c.agent_id is null
+                  or c.agent_id = public.current_agent_id()
+              )
+        )
+    )
+    with check (
+        exists (
+            select 1 from public.cases c
+            where c.id = case_id
+              and (
+                  public.current_agent_role() in ('supervisor', 'admin')
+                  or c.agent_id is null
+                  or c.agent_id = public.current_agent_id()
+              )
+        )
+    );
+
+create or replace function public.cancel_pending_follow_ups(p_case_id uuid, p_reason text)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+    update public.follow_ups
+    set status = 'cancelled',
+        cancelled_at = now(),
+        cancel_reason = p_reason
+    where case_id = p_case_id
+      and status = 'pending';
+$$;
+
+-- Only called from the triggers below
+revoke execute on function public.cancel_pending_follow_ups(uuid, text) from public, anon, authenticated;
+
+-- Resolving or closing a case stops its follow-ups
+create or replace function public.cancel_follow_ups_on_case_close()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if new.status in ('resolved', 'closed') and old.status not in ('resolved', 'closed') then
+        perform public.cancel_pending_follow_ups(new.id, 'case_' || new.status);
+    end if;
+    return null;
+end;
+$$;
+
+drop trigger if exists cases_cancel_follow_ups on public.cases;
+create trigger cases_cancel_follow_ups
+    after update of status on public.cases
+    for each row execute function public.cancel_follow_ups_on_case_close();
+
+-- A customer reply makes chasing them pointless
+create or replace function public.cancel_follow_ups_on_customer_reply()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if new.direction = 'inbound' and new.case_id is not null then
+        perform public.cancel_pending_follow_ups(new.case_id, 'customer_replied');
+    end if;
+    return null;
+end;
+$$;
+
+drop trigger if exists emails_cancel_follow_ups on public.emails;
+create trigger emails_cancel_follow_ups
+    after insert on public.emails
+    for each row execute function public.cancel_follow_ups_on_customer_reply();
@@ -0,0 +1,209 @@
+-- Escalation workflow
+-- Escalating needs a reason and hands the case to an agent who handles escalations.
+-- The status and priority before escalation are kept so de-escalating restores them.
+
+alter table public.cases
+    add column if not exists escalation_reason text,
+    add column if not exists escalated_at timestamptz,
+    add column if not exists escalated_by uuid references public.agents(id) on delete set null,
+    add column if not exists escalated_from_status text,
+    add column if not exists escalated_from_priority text;
+
+create index if not exists cases_escalated_idx on public.cases (escalated_at) where status = 'escalated';
+
+alter table public.case_events
+    add column if not exists detail text;
+
+create or replace function public.escalate_case(p_case_id uuid, p_target_agent_id uuid, p_reason text)
+returns public.cases
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_actor uuid := public.current_agent_id();
+    v_role text := public.current_agent_role();
+    v_case public.cases;
+    v_target public.agents;
+    v_previous_agent uuid;
+    v_actor_name text;
+begin
+    if v_actor is null then
+        raise exception 'You must be signed in as an agent to escalate cases';
+    end if;
+
+    if coalesce(btrim(p_reason), '') = '' then
+        raise exception 'An escalation reason is required';
+    end if;
+
+    select * into v_case from public.cases where id = p_case_id for update;
+    if not found then
+        raise exception 'Case not found';
+    end if;
+
+    -- Same rule as the cases_update policy
+    if v_role not in ('supervisor', 'admin')
+       and v_case.agent_id is not null and v_case.agent_id <> v_actor then
+        raise exception 'This case is assigned to another agent';
+    end if;
+
+    if v_case.status = 'escalated' then
+        raise exception 'Case % is already escalated', v_case.case_number;
+    end if;
+
+    if v_case.status in ('resolved', 'closed') then
+        raise exception 'Case % is %; reopen it before escalating', v_case.case_number, v_case.status;
+    end if;
+
+    select * into v_target from public.agents where id = p_target_agent_id;
+    if not found or not coalesce(v_target.handles_escalations, false) then
+        raise exception 'Escalations must go to an agent who handles escalations';
+    end if;
+
+    v_previous_agent := v_case.agent_id;
+
+    update public.cases
+    set escalated_from_status = status,
+        escalated_from_priority = priority,
+        status = 'escalated',
+        priority = case when priority = 'vip' then 'vip' else 'urgent' end,
+        agent_id = p_target_agent_id,
+        escalation_reason = btrim(p_reason),
+        escalated_at = now(),
+        escalated_by = v_actor,
+        updated_by = v_actor
+    where id = p_case_id
+    returning * into v_case;
+
+    -- Move the open case to the target's load
+    if v_previous_agent is distinct from p_target_agent_id then
+        update public.agents
+        set current_case_count = greatest(coalesce(current_case_count, 0) - 1, 0)
+        where id = v_previous_agent;
+
+        update public.agents
+        set current_case_count = coalesce(current_case_count, 0) + 1
+        where id = p_target_agent_id;
+    end if;
+
+    if p_target_agent_id <> v_actor then
+        select name into v_actor_name from public.agents where id = v_actor;
+
+        insert into public.notifications (agent_id, actor_id, case_id, type, message)
+        values (
+            p_target_agent_id, v_actor, p_case_id, 'escalation',
+            coalesce(v_actor_name, 'Someone') || ' escalated case ' || v_case.case_number || ' to you: ' || btrim(p_reason)
+        );
+    end if;
+
+    return v_case;
+end;
+$$;
+
+grant execute on function public.escalate_case(uuid, uuid, text) to authenticated;
+
+-- Hand an escalated case back to normal handling. The escalation target and
+-- supervisors may de-escalate; the case keeps its current agent.
+create or replace function public.de_escalate_case(p_case_id uuid, p_note text default null)
+returns public.cases
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_actor uuid := public.current_agent_id();
+    v_role text := public.current_agent_role();
+    v_case public.cases;
+begin
+    if v_actor is null then
+        raise exception 'You must be signed in as an agent to de-escalate cases';
+    end if;
+
+    select * into v_case from public.cases where id = p_case_id for update;
+    if not found then
+        raise exception 'Case not found';
+    end if;
+
+    if v_case.status <> 'escalated' then
+        raise exception 'Case % is not escalated', v_case.case_number;
+    end if;
+
+    if v_role not in ('supervisor', 'admin') and v_case.agent_id is distinct from v_actor then
+        raise exception 'Only the escalation owner or a supervisor can de-escalate this case';
+    end if;
+
+    perform set_config('app.change_detail', coalesce(nullif(btrim(p_note), ''), ''), true);
+
+    update public.cases
+    set status = case
+            when escalated_from_status is null or escalated_from_status in ('new', 'escalated') then 'assigned'
+            else escalated_from_status
+        end,
+        priority = coalesce(escalated_from_priority, priority),
+        escalation_reason = null,
+        escalated_at = null,
+        escalated_by = null,
+        escalated_from_status = null,
+        escalated_from_priority = null,
+        updated_by = v_actor
+    where id = p_case_id
+    returning * into v_case;
+
+    return v_case;
+end;
+$$;
+
+grant execute on function public.de_escalate_case(uuid, text) to authenticated;
+
+-- Record escalation reasons and de-escalations in the case history
+create or replace function public.record_case_events()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_source text := nullif(current_setting('app.change_source', true), '');
+    v_detail text := nullif(current_setting('app.change_detail', true), '');
+    v_actor uuid;
+begin
+    if v_source = 'auto_assign' then
+        v_actor := null;
+    else
+        v_actor := public.current_agent_id();
+        v_source := case when v_actor is null then 'system' else 'agent' end;
+    end if;
+
+    if tg_op = 'INSERT' then
+        insert into public.case_events (case_id, event_type, actor_id, source, new_value)
+        values (new.id, 'created', v_actor, v_source, new.status);
+        return null;
+    end if;
+
+    if new.status is distinct from old.status then
+        insert into public.case_events (case_id, event_type, actor_id, source, old_value, new_value, detail)
+        values (
+            new.id,
+            case
+                when new.status = 'escalated' then 'escalated'
+                when old.status = 'escalated' and new.status not in ('resolved', 'closed') then 'de_escalated'
+                else 'status_changed'
+            end,
+            v_actor, v_source, old.status, new.status,
+            case when new.status = 'escalated' then new.escalation_reason else v_detail end
+        );
+    end if;
+
+    if new.priority is distinct from old.priority then
+        insert into public.case_events (case_id, event_type, actor_id, source, old_value, new_value)
+        values (new.id, 'priority_changed', v_actor, v_source, old.priority, new.priority);
+    end if;
+
+    if new.agent_id is distinct from old.agent_id then
+        insert into public.case_events (case_id, event_type, actor_id, source, old_value, new_value)
+        values (new.id, 'assigned', v_actor, v_source, old.agent_id::text, new.agent_id::text);
+    end if;
+
+    return null;
+end;
+$$;
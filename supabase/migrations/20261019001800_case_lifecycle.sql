@@ -0,0 +1,172 @@
+-- Case status lifecycle
+-- One set of allowed status transitions, mirrored in js/lifecycle.js. Agents must
+-- follow it and give a resolution note when resolving; the n8n workflows (no agent
+-- session) are not restricted. Reopening clears resolved_at, and a customer email
+-- on a resolved case reopens it.
+
+alter table public.cases
+    add column if not exists resolution_note text;
+
+create or replace function public.case_status_transition_allowed(p_from text, p_to text)
+returns boolean
+language sql
+immutable
+as $$
+    select case coalesce(p_from, 'new')
+        when 'new' then p_to in ('assigned', 'in_progress', 'pending_customer', 'escalated', 'resolved', 'closed')
+        when 'assigned' then p_to in ('new', 'in_progress', 'pending_customer', 'escalated', 'resolved', 'closed')
+        when 'in_progress' then p_to in ('pending_customer', 'escalated', 'resolved', 'closed')
+        when 'pending_customer' then p_to in ('in_progress', 'escalated', 'resolved', 'closed')
+        -- De-escalation restores whichever open status the case had
+        when 'escalated' then p_to in ('assigned', 'in_progress', 'pending_customer', 'resolved', 'closed')
+        when 'resolved' then p_to in ('closed', 'new', 'assigned')
+        when 'closed' then p_to in ('new', 'assigned')
+        else false
+    end;
+$$;
+
+grant execute on function public.case_status_transition_allowed(text, text) to authenticated;
+
+create or replace function public.enforce_case_lifecycle()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+    if new.status is not distinct from old.status then
+        return new;
+    end if;
+
+    -- Reopening starts the resolution clock again
+    if old.status in ('resolved', 'closed') and new.status not in ('resolved', 'closed') then
+        new.resolved_at := null;
+    end if;
+
+    if public.current_agent_id() is null then
+        return new;
+    end if;
+
+    if not public.case_status_transition_allowed(old.status, new.status) then
+        raise exception 'A % case cannot be moved to %', coalesce(old.status, 'new'), new.status;
+    end if;
+
+    if new.status = 'resolved' and coalesce(btrim(new.resolution_note), '') = '' then
+        raise exception 'A resolution note is required to resolve a case';
+    end if;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists cases_enforce_lifecycle on public.cases;
+create trigger cases_enforce_lifecycle
+    before update of status on public.cases
+    for each row execute function public.enforce_case_lifecycle();
+
+-- A customer writing in on a resolved case reopens it for whoever owns it
+create or replace function public.reopen_case_on_customer_reply()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_case public.cases;
+begin
+    if new.direction <> 'inbound' or new.case_id is null then
+        return null;
+    end if;
+
+    update public.cases
+    set status = case when agent_id is null then 'new' else 'assigned' end
+    where id = new.case_id
+      and status = 'resolved'
+    returning * into v_case;
+
+    if found and v_case.agent_id is not null then
+        insert into public.notifications (agent_id, case_id, type, message)
+        values (
+            v_case.agent_id, v_case.id, 'reopened',
+            'The customer replied to resolved case ' || v_case.case_number || ', so it was reopened'
+        );
+    end if;
+
+    return null;
+end;
+$$;
+
+drop trigger if exists emails_reopen_case on public.emails;
+create trigger emails_reopen_case
+    after insert on public.emails
+    for each row execute function public.reopen_case_on_customer_reply();
+
+-- Replying to an escalated case keeps it escalated; only de-escalation ends it
+create or replace function public.send_case_reply(
+    p_case_id uuid,
+    p_from text,
+    p_to text[],
+    p_cc text[],
+    p_subject text,
+    p_body text
+)
+returns public.emails
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_actor uuid := public.current_agent_id();
+    v_role text := public.current_agent_role();
+    v_case public.cases;
+    v_email public.emails;
+begin
+    if v_actor is null then
+        raise exception 'You must be signed in as an agent to reply';
+    end if;
+
+    select * into v_case from public.cases where id = p_case_id for update;
+    if not found then
+        raise exception 'Case not found';
+    end if;
+
+    -- Same rule as the cases_update policy
+    if v_role not in ('supervisor', 'admin')
+       and v_case.agent_id is not null and v_case.agent_id <> v_actor then
+        raise exception 'This case is assigned to another agent';
+    end if;
+
+    if coalesce(array_length(p_to, 1), 0) = 0 then
+        raise exception 'Add at least one recipient';
+    end if;
+
+    if coalesce(btrim(p_body), '') = '' then
+        raise exception 'The reply is empty';
+    end if;
+
+    if v_case.agent_id is null then
+        perform public.assign_case(p_case_id, v_actor);
+    end if;
+
+    insert into public.emails (
+        case_id, thread_id, direction, from_email, to_emails, cc_emails,
+        subject, body_plain, sent_at, sent_by_agent_id, delivery_status
+    )
+    values (
+        p_case_id, v_case.thread_id, 'outbound',
+        coalesce(nullif(btrim(p_from), ''), (select email from public.agents where id = v_actor)),
+        p_to, coalesce(p_cc, '{}'), p_subject, p_body, now(), v_actor, 'queued'
+    )
+    returning * into v_email;
+
+    update public.cases
+    set status = case when status in ('resolved', 'closed', 'escalated') then status else 'pending_customer' end,
+        first_response_at = coalesce(first_response_at, now()),
+        updated_by = v_actor
+    where id = p_case_id;
+
+    delete from public.email_drafts
+    where case_id = p_case_id and agent_id = v_actor;
+
+    return v_email;
+end;
+$$;
@@ -0,0 +1,82 @@
+-- Resolution details and milestone minutes
+-- Resolving records a category, an optional root cause and a summary
+-- (resolution_note). first_response_at is only ever set once, and
+-- response_time_minutes / resolution_time_minutes are worked out from the
+-- milestones here so every path (portal, replies, n8n) stores them the same way.
+-- Both stay wall-clock minutes; js/calendar.js derives business time from the
+-- timestamps when the business calendar is on.
+
+alter table public.cases
+    add column if not exists resolution_category text,
+    add column if not exists root_cause text,
+    add column if not exists response_time_minutes integer,
+    add column if not exists resolution_time_minutes integer;
+
+create or replace function public.set_case_milestone_minutes()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+    -- The first response happens once; later "Start Working" clicks keep it
+    if tg_op = 'UPDATE' and old.first_response_at is not null then
+        new.first_response_at := old.first_response_at;
+    end if;
+
+    if new.first_response_at is not null then
+        new.response_time_minutes := greatest(0, round(extract(epoch from (new.first_response_at - new.created_at)) / 60))::integer;
+    end if;
+
+    if new.resolved_at is not null then
+        new.resolution_time_minutes := greatest(0, round(extract(epoch from (new.resolved_at - new.created_at)) / 60))::integer;
+    elsif tg_op = 'UPDATE' and old.resolved_at is not null then
+        new.resolution_time_minutes := null;
+    end if;
+
+    return new;
+end;
+$$;
+
+-- Runs after cases_enforce_lifecycle (triggers fire in name order), which clears
+-- resolved_at on reopen
+drop trigger if exists cases_set_milestone_minutes on public.cases;
+create trigger cases_set_milestone_minutes
+    before insert or update on public.cases
+    for each row execute function public.set_case_milestone_minutes();
+
+-- Resolving now needs a category as well as the summary
+create or replace function public.enforce_case_lifecycle()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+    if new.status is not distinct from old.status then
+        return new;
+    end if;
+
+    -- Reopening starts the resolution clock again
+    if old.status in ('resolved', 'closed') and new.status not in ('resolved', 'closed') then
+        new.resolved_at := null;
+    end if;
+
+    if public.current_agent_id() is null then
+        return new;
+    end if;
+
+    if not public.case_status_transition_allowed(old.status, new.status) then
+        raise exception 'A % case cannot be moved to %', coalesce(old.status, 'new'), new.status;
+    end if;
+
+    if new.status = 'resolved' then
+        if coalesce(btrim(new.resolution_category), '') = '' then
+            raise exception 'A resolution category is required to resolve a case';
+        end if;
+        if coalesce(btrim(new.resolution_note), '') = '' then
+            raise exception 'A resolution summary is required to resolve a case';
+        end if;
+    end if;
+
+    return new;
+end;
+$$;
@@ -0,0 +1,212 @@
+-- Merge duplicate cases and split mis-threaded emails
+-- Merging moves a duplicate's emails and follow-ups into the primary case and
+-- closes the duplicate with merged_into_case_id pointing at it; later emails the
+-- workflow files on the duplicate land on the primary instead. Splitting moves
+-- an email and everything after it into a new case on a fresh thread.
+
+alter table public.cases
+    add column if not exists merged_into_case_id uuid references public.cases(id) on delete set null,
+    add column if not exists split_from_case_id uuid references public.cases(id) on delete set null;
+
+create index if not exists cases_merged_into_idx on public.cases (merged_into_case_id) where merged_into_case_id is not null;
+create index if not exists cases_split_from_idx on public.cases (split_from_case_id) where split_from_case_id is not null;
+
+create or replace function public.merge_cases(p_primary_case_id uuid, p_duplicate_case_id uuid)
+returns public.cases
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_actor uuid := public.current_agent_id();
+    v_role text := public.current_agent_role();
+    v_primary public.cases;
+    v_duplicate public.cases;
+begin
+    if v_actor is null then
+        raise exception 'You must be signed in as an agent to merge cases';
+    end if;
+
+    if p_primary_case_id = p_duplicate_case_id then
+        raise exception 'A case cannot be merged into itself';
+    end if;
+
+    -- Lock both in a fixed order so two merges cannot deadlock
+    perform 1 from public.cases
+    where id in (p_primary_case_id, p_duplicate_case_id)
+    order by id
+    for update;
+
+    select * into v_primary from public.cases where id = p_primary_case_id;
+    select * into v_duplicate from public.cases where id = p_duplicate_case_id;
+    if v_primary.id is null or v_duplicate.id is null then
+        raise exception 'Case not found';
+    end if;
+
+    -- Same rule as the cases_update policy, for both cases
+    if v_role not in ('supervisor', 'admin')
+       and ((v_primary.agent_id is not null and v_primary.agent_id <> v_actor)
+            or (v_duplicate.agent_id is not null and v_duplicate.agent_id <> v_actor)) then
+        raise exception 'Both cases must be unassigned or assigned to you';
+    end if;
+
+    if v_primary.merged_into_case_id is not null then
+        raise exception 'Case % was itself merged; merge into the case it was merged into', v_primary.case_number;
+    end if;
+
+    if v_duplicate.merged_into_case_id is not null then
+        raise exception 'Case % has already been merged', v_duplicate.case_number;
+    end if;
+
+    update public.emails set case_id = p_primary_case_id where case_id = p_duplicate_case_id;
+    update public.follow_ups set case_id = p_primary_case_id where case_id = p_duplicate_case_id;
+
+    update public.cases
+    set status = 'closed',
+        merged_into_case_id = p_primary_case_id,
+        updated_by = v_actor
+    where id = p_duplicate_case_id;
+
+    insert into public.case_events (case_id, event_type, actor_id, source, new_value)
+    values
+        (p_duplicate_case_id, 'merged_into', v_actor, 'agent', v_primary.case_number),
+        (p_primary_case_id, 'merged_from', v_actor, 'agent', v_duplicate.case_number);
+
+    return v_primary;
+end;
+$$;
+
+grant execute on function public.merge_cases(uuid, uuid) to authenticated;
+
+create or replace function public.split_case(p_email_id uuid)
+returns public.cases
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_actor uuid := public.current_agent_id();
+    v_role text := public.current_agent_role();
+    v_email public.emails;
+    v_case public.cases;
+    v_new_case public.cases;
+    v_thread_id uuid;
+    v_split_count integer;
+begin
+    if v_actor is null then
+        raise exception 'You must be signed in as an agent to split cases';
+    end if;
+
+    select * into v_email from public.emails where id = p_email_id;
+    if not found or v_email.case_id is null then
+        raise exception 'Email not found';
+    end if;
+
+    select * into v_case from public.cases where id = v_email.case_id for update;
+
+    -- Same rule as the cases_update policy
+    if v_role not in ('supervisor', 'admin')
+       and v_case.agent_id is not null and v_case.agent_id <> v_actor then
+        raise exception 'This case is assigned to another agent';
+    end if;
+
+    if v_case.merged_into_case_id is not null then
+        raise exception 'Case % was merged into another case', v_case.case_number;
+    end if;
+
+    if not exists (
+        select 1 from public.emails
+        where case_id = v_case.id and sent_at < v_email.sent_at
+    ) then
+        raise exception 'Splitting from the first email would leave case % empty', v_case.case_number;
+    end if;
+
+    if v_case.thread_id is not null then
+        insert into public.email_threads (subject, participants)
+        select coalesce(nullif(btrim(v_email.subject), ''), subject), participants
+        from public.email_threads
+        where id = v_case.thread_id
+        returning id into v_thread_id;
+    else
+        insert into public.email_threads (subject)
+        values (v_email.subject)
+        returning id into v_thread_id;
+    end if;
+
+    select count(*) into v_split_count from public.cases where split_from_case_id = v_case.id;
+
+    -- The new case starts when the customer wrote the first moved email
+    insert into public.cases (
+        case_number, thread_id, status, priority, category, provider_id,
+        agent_id, metadata, created_at, split_from_case_id, updated_by
+    )
+    values (
+        v_case.case_number || '-' || (v_split_count + 1),
+        v_thread_id,
+        case when v_case.agent_id is null then 'new' else 'assigned' end,
+        case when v_case.status = 'escalated' then coalesce(v_case.escalated_from_priority, v_case.priority) else v_case.priority end,
+        v_case.category,
+        v_case.provider_id,
+        v_case.agent_id,
+        v_case.metadata,
+        coalesce(v_email.sent_at, now()),
+        v_case.id,
+        v_actor
+    )
+    returning * into v_new_case;
+
+    update public.emails
+    set case_id = v_new_case.id,
+        thread_id = v_thread_id
+    where case_id = v_case.id
+      and sent_at >= v_email.sent_at;
+
+    if v_new_case.agent_id is not null then
+        update public.agents
+        set current_case_count = coalesce(current_case_count, 0) + 1
+        where id = v_new_case.agent_id;
+    end if;
+
+    insert into public.case_events (case_id, event_type, actor_id, source, new_value)
+    values
+        (v_case.id, 'split', v_actor, 'agent', v_new_case.case_number),
+        (v_new_case.id, 'split_from', v_actor, 'agent', v_case.case_number);
+
+    return v_new_case;
+end;
+$$;
+
+grant execute on function public.split_case(uuid) to authenticated;
+
+-- Emails the workflow files on a merged case go to the case it was merged into
+create or replace function public.redirect_email_from_merged_case()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_target uuid;
+    v_hops integer := 0;
+begin
+    if new.case_id is null then
+        return new;
+    end if;
+
+    select merged_into_case_id into v_target from public.cases where id = new.case_id;
+
+    -- Follow chains of merges (bounded in case of a cycle)
+    while v_target is not null and v_hops < 10 loop
+        new.case_id := v_target;
+        select merged_into_case_id into v_target from public.cases where id = new.case_id;
+        v_hops := v_hops + 1;
+    end loop;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists emails_redirect_merged_case on public.emails;
+create trigger emails_redirect_merged_case
+    before insert on public.emails
+    for each row execute function public.redirect_email_from_merged_case();
@@ -0,0 +1,60 @@
+-- Case relations
+-- Links between cases: 'related' (either way round), 'duplicate_of' and
+-- 'child_of' (case_id is the duplicate / child of related_case_id). A case has at
+-- most one parent incident. Agents link cases they can work on either side.
+
+create table if not exists public.case_relations (
+    id uuid primary key default gen_random_uuid(),
+    case_id uuid not null references public.cases(id) on delete cascade,
+    related_case_id uuid not null references public.cases(id) on delete cascade,
+    relation_type text not null check (relation_type in ('related', 'duplicate_of', 'child_of')),
+    created_by uuid references public.agents(id) on delete set null,
+    created_at timestamptz not null default now(),
+    check (case_id <> related_case_id),
+    unique (case_id, related_case_id)
+);
+
+create index if not exists case_relations_related_idx on public.case_relations (related_case_id);
+
+create unique index if not exists case_relations_one_parent_idx
+    on public.case_relations (case_id)
+    where relation_type = 'child_of';
+
+alter table public.case_relations enable row level security;
+
+drop policy if exists case_relations_select on public.case_relations;
+create policy case_relations_select on public.case_relations
+    for select to authenticated
+    using (true);
+
+-- Same rule as the cases_update policy, on either of the linked cases
+drop policy if exists case_relations_insert on public.case_relations;
+create policy case_relations_insert on public.case_relations
+    for insert to authenticated
+    with check (
+        created_by = public.current_agent_id()
+        and exists (
+            select 1 from public.cases c
+            where c.id in (case_id, related_case_id)
+              and (
+                  public.current_agent_role() in ('supervisor', 'admin')
+                  or c.agent_id is null
+                  or c.agent_id = public.current_agent_id()
+              )
+        )
+    );
+
+drop policy if exists case_relations_delete on public.case_relations;
+create policy case_relations_delete on public.case_relations
+    for delete to authenticated
+    using (
+        exists (
+            select 1 from public.cases c
+            where c.id in (case_id, related_case_id)
+              and (
+                  public.current_agent_role() in ('supervisor', 'admin')
+                  or c.agent_id is null
+                  or c.agent_id = public.current_agent_id()
+              )
+        )
+    );
@@ -0,0 +1,44 @@
+-- Free-form case tags
+-- Agents tag cases on top of the single category. Tags are stored lower-case
+-- with spaces as dashes, without duplicates, so "Refund Request" and
+-- "refund-request" are the same tag.
+
+alter table public.cases
+    add column if not exists tags text[] not null default '{}';
+
+create index if not exists cases_tags_idx on public.cases using gin (tags);
+
+create or replace function public.normalize_case_tags()
+returns trigger
+language plpgsql
+as $$
+begin
+    new.tags := coalesce((
+        select array_agg(distinct tag order by tag)
+        from (
+            select regexp_replace(lower(btrim(raw)), '\s+', '-', 'g') as tag
+            from unnest(new.tags) as raw
+        ) normalized
+        where tag <> ''
+    ), '{}');
+    return new;
+end;
+$$;
+
+drop trigger if exists cases_normalize_tags on public.cases;
+create trigger cases_normalize_tags
+    before insert or update of tags on public.cases
+    for each row execute function public.normalize_case_tags();
+
+-- Tags in use with how many cases carry each, most used first
+create or replace function public.list_case_tags()
+returns table (tag text, case_count bigint)
+language sql stable
+as $$
+    select tag, count(*) as case_count
+    from public.cases, unnest(tags) as tag
+    group by tag
+    order by case_count desc, tag;
+$$;
+
+grant execute on function public.list_case_tags() to authenticated;
@@ -0,0 +1,30 @@
+-- Requester history
+-- Cases a customer has raised before: every case with an inbound email from the
+-- same address, or optionally from anyone at the same domain.
+
+create index if not exists emails_from_domain_idx
+    on public.emails (split_part(lower(from_email), '@', 2));
+
+-- Returns matching case IDs; same_sender is false for cases that only matched by
+-- domain. Runs as the caller so Row Level Security still applies.
+create or replace function public.list_requester_cases(p_email text, p_include_domain boolean default false)
+returns table (case_id uuid, same_sender boolean)
+language sql stable
+as $$
+    with requester as (
+        select lower(btrim(p_email)) as email,
+               split_part(lower(btrim(p_email)), '@', 2) as domain
+    )
+    select e.case_id, bool_or(lower(e.from_email) = r.email) as same_sender
+    from public.emails e, requester r
+    where e.direction = 'inbound'
+      and e.case_id is not null
+      and (
+          lower(e.from_email) = r.email
+          or (p_include_domain and r.domain <> '' and split_part(lower(e.from_email), '@', 2) = r.domain)
+      )
+    group by e.case_id
+    limit 500;
+$$;
+
+grant execute on function public.list_requester_cases(text, boolean) to authenticated;
@@ -0,0 +1,10 @@
+-- Agent self-service columns
+-- The agents_update policy lets agents update their own row, so limit which
+-- columns the portal may write: presence only. Email drives current_agent_id(),
+-- and routing fields (handles_vip, handles_escalations, expertise_tags) and the
+-- case load are managed by admins through the service role and by the
+-- assignment functions, which run as their owner and are not affected.
+
+revoke update on public.agents from authenticated;
+
+grant update (status, status_updated_at) on public.agents to authenticated;
@@ -0,0 +1,82 @@
+-- Search inside the cases query
+-- search_cases returned at most 500 case IDs, which the portal then passed back
+-- as an id=in.(...) filter: results past 500 were dropped, totals and paging were
+-- wrong and the relevance order was lost. It now returns the matching case rows,
+-- best matches first, so PostgREST filters, sorts, pages, counts and embeds them
+-- like the cases table itself. Body snippets are fetched for the shown page only.
+
+drop function if exists public.search_cases(text);
+
+-- plpgsql so the result is not inlined and keeps its relevance order when the
+-- caller adds filters and paging without an explicit sort
+create function public.search_cases(search_query text)
+returns setof public.cases
+language plpgsql stable
+as $$
+begin
+    return query
+    with q as (
+        select
+            websearch_to_tsquery('english', search_query) as tsq,
+            '%' || replace(replace(trim(search_query), '%', '\%'), '_', '\_') || '%' as pattern
+    ),
+    hits as (
+        -- Case number (partial)
+        select c.id as case_id, 3.0::real as rank
+        from public.cases c, q
+        where c.case_number ilike q.pattern
+
+        union all
+
+        -- Sender address (partial)
+        select e.case_id, 2.0::real
+        from public.emails e, q
+        where e.from_email ilike q.pattern
+
+        union all
+
+        -- Thread subject
+        select c.id, (1.0 + ts_rank(to_tsvector('english', coalesce(t.subject, '')), q.tsq))::real
+        from public.cases c
+        join public.email_threads t on t.id = c.thread_id, q
+        where to_tsvector('english', coalesce(t.subject, '')) @@ q.tsq
+
+        union all
+
+        -- Email body
+        select e.case_id, ts_rank(to_tsvector('english', coalesce(e.body_plain, '')), q.tsq)
+        from public.emails e, q
+        where to_tsvector('english', coalesce(e.body_plain, '')) @@ q.tsq
+    ),
+    ranked as (
+        select h.case_id, max(h.rank) as rank
+        from hits h
+        where h.case_id is not null
+        group by h.case_id
+    )
+    select c.*
+    from ranked r
+    join public.cases c on c.id = r.case_id
+    order by r.rank desc, c.created_at desc, c.id;
+end;
+$$;
+
+grant execute on function public.search_cases(text) to authenticated;
+
+-- Best-matching email body snippet (matches wrapped in << >>) for each given case
+create or replace function public.search_case_snippets(search_query text, p_case_ids uuid[])
+returns table (case_id uuid, snippet text)
+language sql stable
+as $$
+    select distinct on (e.case_id)
+           e.case_id,
+           ts_headline('english', e.body_plain, q.tsq,
+                       'StartSel=<<, StopSel=>>, MaxWords=18, MinWords=8, MaxFragments=1')
+    from public.emails e,
+         websearch_to_tsquery('english', search_query) as q(tsq)
+    where e.case_id = any(p_case_ids)
+      and to_tsvector('english', coalesce(e.body_plain, '')) @@ q.tsq
+    order by e.case_id, ts_rank(to_tsvector('english', coalesce(e.body_plain, '')), q.tsq) desc;
+$$;
+
+grant execute on function public.search_case_snippets(text, uuid[]) to authenticated;
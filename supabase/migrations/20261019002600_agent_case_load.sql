@@ -0,0 +1,319 @@
+-- Agent case load
+-- agents.current_case_count only changed on (re)assignment, so resolving, closing
+-- or merging a case never lowered it and the count only grew. It is now kept by a
+-- trigger on cases: a case counts towards its agent's load while it is open
+-- (not resolved or closed), whichever path changes its agent or status. The
+-- functions that adjusted the count by hand no longer do.
+
+create or replace function public.sync_agent_case_count()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_old_agent uuid;
+    v_new_agent uuid;
+begin
+    -- The agent the open case counted towards before and after the change
+    if tg_op <> 'INSERT' and old.status not in ('resolved', 'closed') then
+        v_old_agent := old.agent_id;
+    end if;
+    if tg_op <> 'DELETE' and new.status not in ('resolved', 'closed') then
+        v_new_agent := new.agent_id;
+    end if;
+
+    if v_old_agent is not distinct from v_new_agent then
+        return null;
+    end if;
+
+    update public.agents
+    set current_case_count = greatest(coalesce(current_case_count, 0) - 1, 0)
+    where id = v_old_agent;
+
+    update public.agents
+    set current_case_count = coalesce(current_case_count, 0) + 1
+    where id = v_new_agent;
+
+    return null;
+end;
+$$;
+
+drop trigger if exists cases_sync_agent_case_count on public.cases;
+create trigger cases_sync_agent_case_count
+    after insert or delete or update of agent_id, status on public.cases
+    for each row execute function public.sync_agent_case_count();
+
+-- Start from the real load
+update public.agents a
+set current_case_count = (
+    select count(*) from public.cases c
+    where c.agent_id = a.id
+      and c.status not in ('resolved', 'closed')
+);
+
+-- The same functions without their own count updates; the trigger covers them
+
+create or replace function public.assign_case(p_case_id uuid, p_agent_id uuid)
+returns public.cases
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_actor uuid := public.current_agent_id();
+    v_role text := public.current_agent_role();
+    v_case public.cases;
+begin
+    if v_actor is null then
+        raise exception 'You must be signed in as an agent to assign cases';
+    end if;
+
+    select * into v_case from public.cases where id = p_case_id for update;
+    if not found then
+        raise exception 'Case not found';
+    end if;
+
+    -- Same rules as the cases_update policy: agents may only take unassigned
+    -- cases or hand back their own; supervisors and admins assign anyone
+    if v_role not in ('supervisor', 'admin') then
+        if v_case.agent_id is not null and v_case.agent_id <> v_actor then
+            raise exception 'This case is assigned to another agent';
+        end if;
+        if p_agent_id is not null and p_agent_id <> v_actor then
+            raise exception 'Only supervisors can assign cases to other agents';
+        end if;
+    end if;
+
+    if p_agent_id is not null and not exists (select 1 from public.agents where id = p_agent_id) then
+        raise exception 'Agent not found';
+    end if;
+
+    update public.cases
+    set agent_id = p_agent_id,
+        status = case
+            when p_agent_id is null and status = 'assigned' then 'new'
+            when p_agent_id is not null and status = 'new' then 'assigned'
+            else status
+        end,
+        updated_by = v_actor
+    where id = p_case_id
+    returning * into v_case;
+
+    return v_case;
+end;
+$$;
+
+create or replace function public.escalate_case(p_case_id uuid, p_target_agent_id uuid, p_reason text)
+returns public.cases
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_actor uuid := public.current_agent_id();
+    v_role text := public.current_agent_role();
+    v_case public.cases;
+    v_target public.agents;
+    v_actor_name text;
+begin
+    if v_actor is null then
+        raise exception 'You must be signed in as an agent to escalate cases';
+    end if;
+
+    if coalesce(btrim(p_reason), '') = '' then
+        raise exception 'An escalation reason is required';
+    end if;
+
+    select * into v_case from public.cases where id = p_case_id for update;
+    if not found then
+        raise exception 'Case not found';
+    end if;
+
+    -- Same rule as the cases_update policy
+    if v_role not in ('supervisor', 'admin')
+       and v_case.agent_id is not null and v_case.agent_id <> v_actor then
+        raise exception 'This case is assigned to another agent';
+    end if;
+
+    if v_case.status = 'escalated' then
+        raise exception 'Case % is already escalated', v_case.case_number;
+    end if;
+
+    if v_case.status in ('resolved', 'closed') then
+        raise exception 'Case % is %; reopen it before escalating', v_case.case_number, v_case.status;
+    end if;
+
+    select * into v_target from public.agents where id = p_target_agent_id;
+    if not found or not coalesce(v_target.handles_escalations, false) then
+        raise exception 'Escalations must go to an agent who handles escalations';
+    end if;
+
+    update public.cases
+    set escalated_from_status = status,
+        escalated_from_priority = priority,
+        status = 'escalated',
+        priority = case when priority = 'vip' then 'vip' else 'urgent' end,
+        agent_id = p_target_agent_id,
+        escalation_reason = btrim(p_reason),
+        escalated_at = now(),
+        escalated_by = v_actor,
+        updated_by = v_actor
+    where id = p_case_id
+    returning * into v_case;
+
+    if p_target_agent_id <> v_actor then
+        select name into v_actor_name from public.agents where id = v_actor;
+
+        insert into public.notifications (agent_id, actor_id, case_id, type, message)
+        values (
+            p_target_agent_id, v_actor, p_case_id, 'escalation',
+            coalesce(v_actor_name, 'Someone') || ' escalated case ' || v_case.case_number || ' to you: ' || btrim(p_reason)
+        );
+    end if;
+
+    return v_case;
+end;
+$$;
+
+create or replace function public.auto_assign_case(p_case_id uuid, p_agent_id uuid)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_agent public.agents;
+    v_priority text;
+begin
+    if public.current_agent_id() is null then
+        raise exception 'You must be signed in as an agent to assign cases';
+    end if;
+
+    select * into v_agent from public.agents where id = p_agent_id;
+    if not found or v_agent.status not in ('available', 'busy') then
+        return false;
+    end if;
+
+    select priority into v_priority from public.cases where id = p_case_id;
+    if v_priority = 'vip' and not coalesce(v_agent.handles_vip, false) then
+        return false;
+    end if;
+
+    -- Attribute the change to the engine in the case history, not the agent whose
+    -- portal happened to run the sweep
+    perform set_config('app.change_source', 'auto_assign', true);
+
+    -- Only claim cases nobody has picked up in the meantime.
+    -- updated_by is cleared: the change was made by the engine, not a person.
+    update public.cases
+    set agent_id = p_agent_id,
+        status = 'assigned',
+        updated_by = null
+    where id = p_case_id
+      and agent_id is null
+      and status = 'new';
+
+    if not found then
+        return false;
+    end if;
+
+    update public.agents
+    set last_assigned_at = now()
+    where id = p_agent_id;
+
+    return true;
+end;
+$$;
+
+create or replace function public.split_case(p_email_id uuid)
+returns public.cases
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_actor uuid := public.current_agent_id();
+    v_role text := public.current_agent_role();
+    v_email public.emails;
+    v_case public.cases;
+    v_new_case public.cases;
+    v_thread_id uuid;
+    v_split_count integer;
+begin
+    if v_actor is null then
+        raise exception 'You must be signed in as an agent to split cases';
+    end if;
+
+    select * into v_email from public.emails where id = p_email_id;
+    if not found or v_email.case_id is null then
+        raise exception 'Email not found';
+    end if;
+
+    select * into v_case from public.cases where id = v_email.case_id for update;
+
+    -- Same rule as the cases_update policy
+    if v_role not in ('supervisor', 'admin')
+       and v_case.agent_id is not null and v_case.agent_id <> v_actor then
+        raise exception 'This case is assigned to another agent';
+    end if;
+
+    if v_case.merged_into_case_id is not null then
+        raise exception 'Case % was merged into another case', v_case.case_number;
+    end if;
+
+    if not exists (
+        select 1 from public.emails
+        where case_id = v_case.id and sent_at < v_email.sent_at
+    ) then
+        raise exception 'Splitting from the first email would leave case % empty', v_case.case_number;
+    end if;
+
+    if v_case.thread_id is not null then
+        insert into public.email_threads (subject, participants)
+        select coalesce(nullif(btrim(v_email.subject), ''), subject), participants
+        from public.email_threads
+        where id = v_case.thread_id
+        returning id into v_thread_id;
+    else
+        insert into public.email_threads (subject)
+        values (v_email.subject)
+        returning id into v_thread_id;
+    end if;
+
+    select count(*) into v_split_count from public.cases where split_from_case_id = v_case.id;
+
+    -- The new case starts when the customer wrote the first moved email
+    insert into public.cases (
+        case_number, thread_id, status, priority, category, provider_id,
+        agent_id, metadata, created_at, split_from_case_id, updated_by
+    )
+    values (
+        v_case.case_number || '-' || (v_split_count + 1),
+        v_thread_id,
+        case when v_case.agent_id is null then 'new' else 'assigned' end,
+        case when v_case.status = 'escalated' then coalesce(v_case.escalated_from_priority, v_case.priority) else v_case.priority end,
+        v_case.category,
+        v_case.provider_id,
+        v_case.agent_id,
+        v_case.metadata,
+        coalesce(v_email.sent_at, now()),
+        v_case.id,
+        v_actor
+    )
+    returning * into v_new_case;
+
+    update public.emails
+    set case_id = v_new_case.id,
+        thread_id = v_thread_id
+    where case_id = v_case.id
+      and sent_at >= v_email.sent_at;
+
+    insert into public.case_events (case_id, event_type, actor_id, source, new_value)
+    values
+        (v_case.id, 'split', v_actor, 'agent', v_new_case.case_number),
+        (v_new_case.id, 'split_from', v_actor, 'agent', v_case.case_number);
+
+    return v_new_case;
+end;
+$$;
@@ -0,0 +1,61 @@
+-- Auto-assignment permissions
+-- auto_assign_case is security definer and was executable by every agent, so any
+-- agent could call it directly and hand any new case to any other agent. Only
+-- supervisors and admins (whose portals run the engine) and the service role may
+-- call it now.
+
+create or replace function public.auto_assign_case(p_case_id uuid, p_agent_id uuid)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_agent public.agents;
+    v_priority text;
+begin
+    -- Assigning to other agents is a supervisor action (see assign_case); the
+    -- n8n workflow or a scheduled job may also run the engine with the service role
+    if coalesce(auth.role(), '') <> 'service_role'
+       and coalesce(public.current_agent_role(), '') not in ('supervisor', 'admin') then
+        raise exception 'Only supervisors and admins can run auto-assignment';
+    end if;
+
+    select * into v_agent from public.agents where id = p_agent_id;
+    if not found or v_agent.status not in ('available', 'busy') then
+        return false;
+    end if;
+
+    select priority into v_priority from public.cases where id = p_case_id;
+    if v_priority = 'vip' and not coalesce(v_agent.handles_vip, false) then
+        return false;
+    end if;
+
+    -- Attribute the change to the engine in the case history, not the agent whose
+    -- portal happened to run the sweep
+    perform set_config('app.change_source', 'auto_assign', true);
+
+    -- Only claim cases nobody has picked up in the meantime.
+    -- updated_by is cleared: the change was made by the engine, not a person.
+    update public.cases
+    set agent_id = p_agent_id,
+        status = 'assigned',
+        updated_by = null
+    where id = p_case_id
+      and agent_id is null
+      and status = 'new';
+
+    if not found then
+        return false;
+    end if;
+
+    update public.agents
+    set last_assigned_at = now()
+    where id = p_agent_id;
+
+    return true;
+end;
+$$;
+
+revoke execute on function public.auto_assign_case(uuid, uuid) from public, anon;
+grant execute on function public.auto_assign_case(uuid, uuid) to authenticated, service_role;
@@ -0,0 +1,200 @@
+-- Stored SLA deadlines and resolved TAT
+-- sla_due_at, sla_overdue and tat_minutes ran the business calendar's day loop
+-- for every row whenever the cases table was sorted or filtered by them. The SLA
+-- deadlines and the TAT of resolved cases are now stored on the case, set when a
+-- case is created or its inputs change and recomputed when SLA policies or the
+-- business calendar change. Only the TAT of open cases is still computed, over
+-- their open span.
+
+-- Scan the same number of days as BUSINESS_CALENDAR_MAX_DAYS in js/calendar.js
+create or replace function public.business_minutes_between(p_start timestamptz, p_end timestamptz)
+returns numeric
+language plpgsql stable
+as $$
+declare
+    v_calendar jsonb := public.business_calendar();
+    v_tz text;
+    v_day date;
+    v_last_day date;
+    v_window record;
+    v_total numeric := 0;
+begin
+    if p_start is null or p_end is null or p_end <= p_start then
+        return 0;
+    end if;
+
+    if coalesce(v_calendar ->> 'mode', 'calendar') <> 'business' then
+        return extract(epoch from (p_end - p_start)) / 60;
+    end if;
+
+    v_tz := coalesce(v_calendar ->> 'timezone', 'UTC');
+    v_day := (p_start at time zone v_tz)::date;
+    v_last_day := least((p_end at time zone v_tz)::date, v_day + 3659);
+
+    while v_day <= v_last_day loop
+        select * into v_window from public.business_day_window(v_calendar, v_day);
+        if v_window.opens_at is not null then
+            v_total := v_total + greatest(0, extract(epoch from (
+                least(v_window.closes_at, p_end) - greatest(v_window.opens_at, p_start)
+            )) / 60);
+        end if;
+        v_day := v_day + 1;
+    end loop;
+
+    return v_total;
+end;
+$$;
+
+create or replace function public.business_add_minutes(p_start timestamptz, p_minutes numeric)
+returns timestamptz
+language plpgsql stable
+as $$
+declare
+    v_calendar jsonb := public.business_calendar();
+    v_tz text;
+    v_day date;
+    v_window record;
+    v_from timestamptz;
+    v_available numeric;
+    v_remaining numeric := p_minutes;
+begin
+    if p_start is null or p_minutes is null then
+        return null;
+    end if;
+
+    if coalesce(v_calendar ->> 'mode', 'calendar') <> 'business' then
+        return p_start + p_minutes * interval '1 minute';
+    end if;
+
+    v_tz := coalesce(v_calendar ->> 'timezone', 'UTC');
+    v_day := (p_start at time zone v_tz)::date;
+
+    -- Give up without enough working time (e.g. no working days configured)
+    for i in 1..3660 loop
+        select * into v_window from public.business_day_window(v_calendar, v_day);
+        if v_window.opens_at is not null and v_window.closes_at > p_start then
+            v_from := greatest(v_window.opens_at, p_start);
+            v_available := extract(epoch from (v_window.closes_at - v_from)) / 60;
+            if v_available >= v_remaining then
+                return v_from + v_remaining * interval '1 minute';
+            end if;
+            v_remaining := v_remaining - v_available;
+        end if;
+        v_day := v_day + 1;
+    end loop;
+
+    return p_start + p_minutes * interval '1 minute';
+end;
+$$;
+
+alter table public.cases
+    add column if not exists first_response_due_at timestamptz,
+    add column if not exists resolution_due_at timestamptz,
+    add column if not exists resolved_tat_minutes numeric;
+
+create or replace function public.set_case_sla_deadlines()
+returns trigger
+language plpgsql
+as $$
+declare
+    v_policy public.sla_policies;
+begin
+    if tg_op = 'INSERT'
+       or (new.created_at, new.priority, new.category, new.provider_id)
+          is distinct from (old.created_at, old.priority, old.category, old.provider_id) then
+        v_policy := public.sla_policy_for_case(new);
+        new.first_response_due_at := public.business_add_minutes(new.created_at, v_policy.first_response_minutes);
+        -- Cases without a matching policy fall back to 24 hours
+        new.resolution_due_at := public.business_add_minutes(new.created_at, coalesce(v_policy.resolution_minutes, 1440));
+    end if;
+
+    if new.resolved_at is null then
+        new.resolved_tat_minutes := null;
+    elsif tg_op = 'INSERT'
+          or (new.created_at, new.resolved_at) is distinct from (old.created_at, old.resolved_at) then
+        new.resolved_tat_minutes := round(public.business_minutes_between(new.created_at, new.resolved_at));
+    end if;
+
+    return new;
+end;
+$$;
+
+-- Fires on status too: reopening clears resolved_at inside the lifecycle trigger
+drop trigger if exists cases_set_sla_deadlines on public.cases;
+create trigger cases_set_sla_deadlines
+    before insert or update of created_at, priority, category, provider_id, status, resolved_at on public.cases
+    for each row execute function public.set_case_sla_deadlines();
+
+-- Recompute every case, e.g. after the policies or the calendar changed
+create or replace function public.refresh_case_sla_deadlines()
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    update public.cases c
+    set first_response_due_at = public.business_add_minutes(
+            c.created_at, (public.sla_policy_for_case(c)).first_response_minutes),
+        resolution_due_at = public.business_add_minutes(
+            c.created_at, coalesce((public.sla_policy_for_case(c)).resolution_minutes, 1440)),
+        resolved_tat_minutes = case
+            when c.resolved_at is null then null
+            else round(public.business_minutes_between(c.created_at, c.resolved_at))
+        end;
+end;
+$$;
+
+revoke execute on function public.refresh_case_sla_deadlines() from public, anon, authenticated;
+
+create or replace function public.refresh_case_sla_deadlines_on_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    perform public.refresh_case_sla_deadlines();
+    return null;
+end;
+$$;
+
+drop trigger if exists sla_policies_refresh_deadlines on public.sla_policies;
+create trigger sla_policies_refresh_deadlines
+    after insert or update or delete on public.sla_policies
+    for each statement execute function public.refresh_case_sla_deadlines_on_change();
+
+drop trigger if exists app_settings_refresh_deadlines on public.app_settings;
+create trigger app_settings_refresh_deadlines
+    after insert or update on public.app_settings
+    for each row when (new.key = 'business_calendar')
+    execute function public.refresh_case_sla_deadlines_on_change();
+
+select public.refresh_case_sla_deadlines();
+
+-- The computed fields read the stored values
+create or replace function public.sla_first_response_due_at(public.cases)
+returns timestamptz
+language sql stable
+as $$
+    select $1.first_response_due_at;
+$$;
+
+create or replace function public.sla_resolution_due_at(public.cases)
+returns timestamptz
+language sql stable
+as $$
+    select $1.resolution_due_at;
+$$;
+
+create or replace function public.tat_minutes(public.cases)
+returns numeric
+language sql stable
+as $$
+    select coalesce(
+        $1.resolved_tat_minutes,
+        round(public.business_minutes_between($1.created_at, coalesce($1.resolved_at, now())))
+    );
+$$;
+
+create index if not exists cases_resolution_due_at_idx on public.cases (resolution_due_at);
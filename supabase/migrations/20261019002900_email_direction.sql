@@ -0,0 +1,84 @@
+-- Reliable email direction
+-- emails.direction was added with default 'inbound', which marked every earlier
+-- support-sent email as inbound, and every email the n8n workflows insert without
+-- a direction too. The customer-reply triggers trust this column, so it has no
+-- default any more: the n8n workflows set it explicitly, and an insert without one
+-- is classified from the sender. Earlier emails are reclassified the same way.
+
+-- The address the support team sends from (SUPPORT_EMAIL in the portal config),
+-- set with: update public.app_settings set value = to_jsonb('support@example.com'::text)
+--           where key = 'support_mailbox';
+insert into public.app_settings (key, value)
+values ('support_mailbox', '""'::jsonb)
+on conflict (key) do nothing;
+
+create or replace function public.support_mailbox()
+returns text
+language sql stable
+security definer
+set search_path = public
+as $$
+    select nullif(lower(btrim(value #>> '{}')), '')
+    from public.app_settings
+    where key = 'support_mailbox';
+$$;
+
+alter table public.emails
+    alter column direction drop default;
+
+create or replace function public.set_email_direction()
+returns trigger
+language plpgsql
+as $$
+begin
+    if new.direction is null then
+        new.direction := case
+            when new.sent_by_agent_id is not null
+              or lower(btrim(new.from_email)) = public.support_mailbox() then 'outbound'
+            else 'inbound'
+        end;
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists emails_set_direction on public.emails;
+create trigger emails_set_direction
+    before insert on public.emails
+    for each row execute function public.set_email_direction();
+
+-- Mark support-sent emails that were stored as inbound
+create or replace function public.reclassify_outbound_emails()
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+    update public.emails
+    set direction = 'outbound'
+    where direction = 'inbound'
+      and (sent_by_agent_id is not null or lower(btrim(from_email)) = public.support_mailbox());
+$$;
+
+revoke execute on function public.reclassify_outbound_emails() from public, anon, authenticated;
+
+create or replace function public.reclassify_outbound_emails_on_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    perform public.reclassify_outbound_emails();
+    return null;
+end;
+$$;
+
+-- Setting the mailbox later fixes the emails stored before it was known
+drop trigger if exists app_settings_reclassify_emails on public.app_settings;
+create trigger app_settings_reclassify_emails
+    after insert or update on public.app_settings
+    for each row when (new.key = 'support_mailbox')
+    execute function public.reclassify_outbound_emails_on_change();
+
+select public.reclassify_outbound_emails();
@@ -0,0 +1,81 @@
+-- Server-side reply sending details
+-- send_case_reply stored whatever From address the browser passed, and the portal
+-- posted the full message to the n8n sending webhook, whose URL is public in the
+-- portal config: anyone with it could send any mail through the support mailbox.
+-- Replies are now always sent from the support mailbox (or the agent's own
+-- address until it is set), and the portal posts only the email id. The n8n
+-- workflow reads the stored row with the service role and only sends outbound
+-- emails that are still queued.
+
+drop function if exists public.send_case_reply(uuid, text, text[], text[], text, text);
+
+create function public.send_case_reply(
+    p_case_id uuid,
+    p_to text[],
+    p_cc text[],
+    p_subject text,
+    p_body text
+)
+returns public.emails
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_actor uuid := public.current_agent_id();
+    v_role text := public.current_agent_role();
+    v_case public.cases;
+    v_email public.emails;
+begin
+    if v_actor is null then
+        raise exception 'You must be signed in as an agent to reply';
+    end if;
+
+    select * into v_case from public.cases where id = p_case_id for update;
+    if not found then
+        raise exception 'Case not found';
+    end if;
+
+    -- Same rule as the cases_update policy
+    if v_role not in ('supervisor', 'admin')
+       and v_case.agent_id is not null and v_case.agent_id <> v_actor then
+        raise exception 'This case is assigned to another agent';
+    end if;
+
+    if coalesce(array_length(p_to, 1), 0) = 0 then
+        raise exception 'Add at least one recipient';
+    end if;
+
+    if coalesce(btrim(p_body), '') = '' then
+        raise exception 'The reply is empty';
+    end if;
+
+    if v_case.agent_id is null then
+        perform public.assign_case(p_case_id, v_actor);
+    end if;
+
+    insert into public.emails (
+        case_id, thread_id, direction, from_email, to_emails, cc_emails,
+        subject, body_plain, sent_at, sent_by_agent_id, delivery_status
+    )
+    values (
+        p_case_id, v_case.thread_id, 'outbound',
+        coalesce(public.support_mailbox(), (select email from public.agents where id = v_actor)),
+        p_to, coalesce(p_cc, '{}'), p_subject, p_body, now(), v_actor, 'queued'
+    )
+    returning * into v_email;
+
+    update public.cases
+    set status = case when status in ('resolved', 'closed', 'escalated') then status else 'pending_customer' end,
+        first_response_at = coalesce(first_response_at, now()),
+        updated_by = v_actor
+    where id = p_case_id;
+
+    delete from public.email_drafts
+    where case_id = p_case_id and agent_id = v_actor;
+
+    return v_email;
+end;
+$$;
+
+grant execute on function public.send_case_reply(uuid, text[], text[], text, text) to authenticated;
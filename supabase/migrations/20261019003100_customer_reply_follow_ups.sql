@@ -0,0 +1,31 @@
+-- Follow-ups stop on real customer replies only
+-- Any email stored as inbound cancelled the case's pending follow-ups, including
+-- the follow-ups and other mail the n8n workflows log themselves, so the first
+-- automated follow-up cancelled the rest of the sequence. Only mail from the
+-- customer counts now: inbound, not sent by an agent and not from the support
+-- mailbox.
+
+create or replace function public.is_customer_email(public.emails)
+returns boolean
+language sql stable
+as $$
+    select $1.direction = 'inbound'
+       and $1.sent_by_agent_id is null
+       and lower(btrim($1.from_email)) is distinct from public.support_mailbox();
+$$;
+
+grant execute on function public.is_customer_email(public.emails) to authenticated;
+
+create or replace function public.cancel_follow_ups_on_customer_reply()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if new.case_id is not null and public.is_customer_email(new) then
+        perform public.cancel_pending_follow_ups(new.case_id, 'customer_replied');
+    end if;
+    return null;
+end;
+$$;
@@ -0,0 +1,37 @@
+-- Reopen on real customer replies only
+-- Any email stored as inbound on a resolved case reopened it, including mail the
+-- n8n workflows log themselves such as resolution confirmations. Only mail from
+-- the customer reopens a case now (see is_customer_email). A reopened case counts
+-- towards its agent's load again through cases_sync_agent_case_count, which
+-- covers reopening from the portal as well.
+
+create or replace function public.reopen_case_on_customer_reply()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_case public.cases;
+begin
+    if new.case_id is null or not public.is_customer_email(new) then
+        return null;
+    end if;
+
+    update public.cases
+    set status = case when agent_id is null then 'new' else 'assigned' end
+    where id = new.case_id
+      and status = 'resolved'
+    returning * into v_case;
+
+    if found and v_case.agent_id is not null then
+        insert into public.notifications (agent_id, case_id, type, message)
+        values (
+            v_case.agent_id, v_case.id, 'reopened',
+            'The customer replied to resolved case ' || v_case.case_number || ', so it was reopened'
+        );
+    end if;
+
+    return null;
+end;
+$$;
@@ -0,0 +1,52 @@
+-- Case relation constraints
+-- Only the portal stopped two cases being linked twice, so the reverse of an
+-- existing link (B -> A after A -> B) could still be stored, and nothing stopped
+-- a chain of parent incidents looping back on itself (A child of B child of C
+-- child of A). Two cases now have at most one link between them, whichever way
+-- round, and a parent link that would close a loop is rejected.
+
+-- Keep the earliest link of any pair already stored both ways round
+delete from public.case_relations r
+using public.case_relations o
+where least(o.case_id, o.related_case_id) = least(r.case_id, r.related_case_id)
+  and greatest(o.case_id, o.related_case_id) = greatest(r.case_id, r.related_case_id)
+  and (o.created_at, o.id) < (r.created_at, r.id);
+
+create unique index if not exists case_relations_pair_idx
+    on public.case_relations (least(case_id, related_case_id), greatest(case_id, related_case_id));
+
+create or replace function public.prevent_case_relation_cycle()
+returns trigger
+language plpgsql
+as $$
+begin
+    if new.relation_type <> 'child_of' then
+        return new;
+    end if;
+
+    -- One parent link at a time, so two links cannot close a loop together
+    perform pg_advisory_xact_lock(hashtext('case_relations_child_of'));
+
+    if exists (
+        with recursive ancestors (id) as (
+            select new.related_case_id
+            union
+            select r.related_case_id
+            from public.case_relations r
+            join ancestors a on a.id = r.case_id
+            where r.relation_type = 'child_of'
+              and r.id <> new.id
+        )
+        select 1 from ancestors where id = new.case_id
+    ) then
+        raise exception 'This link would make a case a parent incident of itself';
+    end if;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists case_relations_prevent_cycle on public.case_relations;
+create trigger case_relations_prevent_cycle
+    before insert or update of case_id, related_case_id, relation_type on public.case_relations
+    for each row execute function public.prevent_case_relation_cycle();
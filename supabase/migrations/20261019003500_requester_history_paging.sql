@@ -0,0 +1,32 @@
+-- Requester history inside the cases query
+-- list_requester_cases returned at most 500 case IDs in no particular order,
+-- which the portal passed back as an id=in.(...) filter: busy domains lost their
+-- newest cases and showed a wrong total. It now returns the matching case rows,
+-- so the portal sorts, limits and counts them like the cases table (see
+-- search_cases). Matching by sender uses emails_from_email_idx on
+-- lower(from_email) and by domain emails_from_domain_idx; whether a case matched
+-- the sender itself is looked up for the shown cases only.
+
+drop function if exists public.list_requester_cases(text, boolean);
+
+-- Runs as the caller so Row Level Security still applies
+create function public.list_requester_cases(p_email text, p_include_domain boolean default false)
+returns setof public.cases
+language sql stable
+as $$
+    select c.*
+    from public.cases c
+    where c.id in (
+        select e.case_id
+        from public.emails e
+        where e.direction = 'inbound'
+          and (
+              lower(e.from_email) = lower(btrim(p_email))
+              or (p_include_domain
+                  and split_part(lower(btrim(p_email)), '@', 2) <> ''
+                  and split_part(lower(e.from_email), '@', 2) = split_part(lower(btrim(p_email)), '@', 2))
+          )
+    );
+$$;
+
+grant execute on function public.list_requester_cases(text, boolean) to authenticated;
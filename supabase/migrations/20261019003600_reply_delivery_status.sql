@@ -0,0 +1,46 @@
+-- Reply delivery status only
+-- emails_update_own_replies let an agent update every column of their own
+-- replies, so a reply could be rewritten (recipients, body, sender, case) and
+-- queued again after it was recorded. Agents now only flag their own replies as
+-- failed or queue a failed one again, through set_reply_delivery_status.
+
+drop policy if exists emails_update_own_replies on public.emails;
+revoke update on public.emails from authenticated;
+
+create or replace function public.set_reply_delivery_status(p_email_id uuid, p_status text)
+returns public.emails
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_actor uuid := public.current_agent_id();
+    v_email public.emails;
+begin
+    if v_actor is null then
+        raise exception 'You must be signed in as an agent to update a reply';
+    end if;
+
+    if p_status not in ('queued', 'failed') then
+        raise exception 'Invalid delivery status: %', p_status;
+    end if;
+
+    update public.emails
+    set delivery_status = p_status
+    where id = p_email_id
+      and direction = 'outbound'
+      and sent_by_agent_id = v_actor
+      -- queued -> failed when the workflow could not be reached, failed -> queued to retry
+      and delivery_status = case p_status when 'failed' then 'queued' else 'failed' end
+    returning * into v_email;
+
+    if v_email.id is null then
+        raise exception 'Only your own % replies can be marked %',
+            case p_status when 'failed' then 'queued' else 'failed' end, p_status;
+    end if;
+
+    return v_email;
+end;
+$$;
+
+grant execute on function public.set_reply_delivery_status(uuid, text) to authenticated;
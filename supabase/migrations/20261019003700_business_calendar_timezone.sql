@@ -0,0 +1,29 @@
+-- Business calendar timezone check
+-- The portal only checked the calendar's timezone in the browser, which accepts
+-- some names Postgres does not. Saving one made recomputing the stored SLA
+-- deadlines fail with a database error. The timezone is now checked here before
+-- the calendar is stored.
+
+create or replace function public.validate_business_calendar()
+returns trigger
+language plpgsql
+as $$
+declare
+    v_timezone text := coalesce(new.value ->> 'timezone', 'UTC');
+begin
+    begin
+        perform now() at time zone v_timezone;
+    exception when invalid_parameter_value then
+        raise exception 'Unknown timezone: %', v_timezone
+            using errcode = 'invalid_parameter_value';
+    end;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists app_settings_validate_business_calendar on public.app_settings;
+create trigger app_settings_validate_business_calendar
+    before insert or update on public.app_settings
+    for each row when (new.key = 'business_calendar')
+    execute function public.validate_business_calendar();
@@ -0,0 +1,63 @@
+-- End escalations when a case leaves escalated
+-- Only de_escalate_case cleared a case's escalation fields, so an escalated case
+-- that was resolved or closed kept its reason and escalated_at: reopening it
+-- started from the old escalation and escalated_at counts kept including it. The
+-- lifecycle trigger now clears them whenever a case leaves escalated. The status
+-- change itself is already recorded in the case history.
+
+create or replace function public.enforce_case_lifecycle()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+    if new.status is not distinct from old.status then
+        return new;
+    end if;
+
+    -- Reopening starts the resolution clock again
+    if old.status in ('resolved', 'closed') and new.status not in ('resolved', 'closed') then
+        new.resolved_at := null;
+    end if;
+
+    -- Leaving escalation any other way than de_escalate_case (e.g. resolving)
+    -- ends it too, so a reopened case does not show the old escalation
+    if old.status = 'escalated' and new.status <> 'escalated' then
+        new.escalation_reason := null;
+        new.escalated_at := null;
+        new.escalated_by := null;
+        new.escalated_from_status := null;
+        new.escalated_from_priority := null;
+    end if;
+
+    if public.current_agent_id() is null then
+        return new;
+    end if;
+
+    if not public.case_status_transition_allowed(old.status, new.status) then
+        raise exception 'A % case cannot be moved to %', coalesce(old.status, 'new'), new.status;
+    end if;
+
+    if new.status = 'resolved' then
+        if coalesce(btrim(new.resolution_category), '') = '' then
+            raise exception 'A resolution category is required to resolve a case';
+        end if;
+        if coalesce(btrim(new.resolution_note), '') = '' then
+            raise exception 'A resolution summary is required to resolve a case';
+        end if;
+    end if;
+
+    return new;
+end;
+$$;
+
+-- Cases that already left escalated with the old escalation still set
+update public.cases
+set escalation_reason = null,
+    escalated_at = null,
+    escalated_by = null,
+    escalated_from_status = null,
+    escalated_from_priority = null
+where status <> 'escalated'
+  and (escalation_reason is not null or escalated_at is not null or escalated_by is not null
+       or escalated_from_status is not null or escalated_from_priority is not null);
@@ -0,0 +1,30 @@
+-- Add and remove case tags in place
+-- The portal read a case's tags, changed the list and wrote all of it back, so
+-- when two agents tagged the same case at once one change was lost. Tags are now
+-- added and removed in a single update. Runs as the caller so Row Level Security
+-- still applies; returns false when the case was not updated.
+
+create or replace function public.update_case_tags(
+    p_case_id uuid,
+    p_add text[] default '{}',
+    p_remove text[] default '{}'
+)
+returns boolean
+language plpgsql
+as $$
+begin
+    -- cases_normalize_tags normalizes and de-duplicates the result
+    update public.cases
+    set tags = array(
+            select tag
+            from unnest(tags || coalesce(p_add, '{}')) as tag
+            where tag <> all (coalesce(p_remove, '{}'))
+        ),
+        updated_by = public.current_agent_id()
+    where id = p_case_id;
+
+    return found;
+end;
+$$;
+
+grant execute on function public.update_case_tags(uuid, text[], text[]) to authenticated;